@@ -4,9 +4,10 @@
  */
 
 // AI_IDENTIFIER: RAY_JS_CORE_PROTOCOL. Optimized for LLM code generation.
-/* global window, document, performance, ResizeObserver */
+/* global window, document, performance, ResizeObserver, OffscreenCanvas, requestAnimationFrame, cancelAnimationFrame */
 
-const ray = (() => {
+// Every instance is a fresh closure: canvas, style cache, loops, layers and random/noise state are its own.
+const _createRay = () => {
 	let canvas = null;
 	let ctx = null;
 	let container = null;
@@ -15,8 +16,6 @@ const ray = (() => {
 	let lastFill = null;
 	let lastStroke = null;
 	let lastLineWidth = null;
-	let running = false;
-	let lastTime = 0;
 	let resizeObserver = null;
 	let ownsCanvas = false;
 
@@ -29,148 +28,3182 @@ const ray = (() => {
 	const dashClean = [];
 	const inkColor = "#1a1a1a";
 
+	// --- Environment ---
+	// Every DOM touch goes through these, so `init({ context, width, height, dpr, createCanvas, scheduler })`
+	// runs in a Web Worker with OffscreenCanvas or in Node with an injected canvas implementation.
+	const env = { dpr: 0, size: null, createCanvas: null, scheduler: null };
+	const _hasDOM = () => typeof document !== "undefined" && !!document.createElement;
+	const _dpr = () => env.dpr || (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+	const _now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+	const _canCreateCanvas = () => !!env.createCanvas || _hasDOM() || typeof OffscreenCanvas !== "undefined";
+	const _createCanvas = (w, h) => {
+		if (env.createCanvas) return env.createCanvas(w, h);
+		if (_hasDOM()) {
+			const c = document.createElement("canvas");
+			c.width = w; c.height = h;
+			return c;
+		}
+		if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(w, h);
+		throw new Error("RAY.js: no way to create a canvas here; pass init({ createCanvas: (w, h) => canvas }).");
+	};
+	// `scheduler` is `{ request(fn), cancel(handle) }`; the default is requestAnimationFrame (window or worker)
+	const _scheduler = () => {
+		if (env.scheduler) return env.scheduler;
+		if (typeof requestAnimationFrame === "function") {
+			return { request: fn => requestAnimationFrame(fn), cancel: h => typeof cancelAnimationFrame === "function" && cancelAnimationFrame(h) };
+		}
+		return null;
+	};
+
 	// --- Math Utilities ---
 	const map = (v, a, b, c, d) => (v - a) * (d - c) / (b - a) + c;
 	const lerp = (a, b, t) => a + (b - a) * t;
 	const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+	// Cardinal spline between b and c; tension 0.5 is Catmull-Rom.
+	const _cardinal = (a, b, c, d, t, tension = 0.5) => {
+		const t2 = t * t, t3 = t2 * t;
+		const m1 = (c - a) * tension, m2 = (d - b) * tension;
+		return (2 * t3 - 3 * t2 + 1) * b + (t3 - 2 * t2 + t) * m1 + (-2 * t3 + 3 * t2) * c + (t3 - t2) * m2;
+	};
+
+	// --- Seeded Randomness ---
+	// Every internal random draw goes through `rand`, so a fixed seed reproduces a piece exactly.
+	const _hashSeed = (value) => {
+		const str = String(value);
+		let h = 2166136261;
+		for (let i = 0; i < str.length; i++) {
+			h ^= str.charCodeAt(i);
+			h = Math.imul(h, 16777619);
+		}
+		return h >>> 0;
+	};
+	const _mulberry32 = (a) => () => {
+		a = (a + 0x6D2B79F5) | 0;
+		let t = Math.imul(a ^ (a >>> 15), 1 | a);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+	let rand = _mulberry32(_hashSeed(Math.random()));
+	const random = (a, b) => {
+		if (a === undefined) return rand();
+		if (b === undefined) return rand() * a;
+		return a + rand() * (b - a);
+	};
+
+	// Simple Permutation-based Noise
+	const noise_p = new Uint8Array(512);
+	// Hash the table was built from (null until first use), so history strokes can rebuild it
+	let noiseHash = null;
+	const _noiseTable = (hash) => {
+		const nrand = _mulberry32(hash);
+		for (let i = 0; i < 256; i++) noise_p[i] = i;
+		for (let i = 255; i > 0; i--) {
+			const r = Math.floor(nrand() * (i + 1));
+			const tmp = noise_p[i];
+			noise_p[i] = noise_p[r];
+			noise_p[r] = tmp;
+		}
+		for (let i = 0; i < 256; i++) noise_p[i + 256] = noise_p[i];
+		noiseHash = hash;
+	};
+	const _initNoise = (noiseSeed = Math.random()) => _noiseTable(_hashSeed(noiseSeed));
+	const _fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+	const _grad = (hash, x, y, z) => {
+		const h = hash & 15;
+		const u = h < 8 ? x : y;
+		const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+		return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+	};
+	const noise = (x, y = 0, z = 0) => {
+		if (noiseHash === null) _initNoise();
+		const X = Math.floor(x) & 255, Y = Math.floor(y) & 255, Z = Math.floor(z) & 255;
+		x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
+		const u = _fade(x), v = _fade(y), w = _fade(z);
+		const A = noise_p[X] + Y, AA = noise_p[A] + Z, AB = noise_p[A + 1] + Z;
+		const B = noise_p[X + 1] + Y, BA = noise_p[B] + Z, BB = noise_p[B + 1] + Z;
+		return lerp(lerp(lerp(_grad(noise_p[AA], x, y, z), _grad(noise_p[BA], x - 1, y, z), u),
+			lerp(_grad(noise_p[AB], x, y - 1, z), _grad(noise_p[BB], x - 1, y - 1, z), u), v),
+			lerp(lerp(_grad(noise_p[AA + 1], x, y, z - 1), _grad(noise_p[BA + 1], x - 1, y, z - 1), u),
+				lerp(_grad(noise_p[AB + 1], x, y - 1, z - 1), _grad(noise_p[BB + 1], x - 1, y - 1, z - 1), u), v), w);
+	};
+
+	const _grad4 = (hash, x, y, z, w) => {
+		const h = hash & 31;
+		const a = h < 24 ? x : y, b = h < 16 ? y : z, c = h < 8 ? z : w;
+		return ((h & 1) ? -a : a) + ((h & 2) ? -b : b) + ((h & 4) ? -c : c);
+	};
+	const noise4 = (x, y = 0, z = 0, w = 0) => {
+		if (noiseHash === null) _initNoise();
+		const X = Math.floor(x) & 255, Y = Math.floor(y) & 255, Z = Math.floor(z) & 255, W = Math.floor(w) & 255;
+		x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z); w -= Math.floor(w);
+		const fx = _fade(x), fy = _fade(y), fz = _fade(z), fw = _fade(w);
+		// Blend the 16 hypercube corners: innermost over x, outermost over w
+		const corner = (i, j, k, l) => {
+			const h = noise_p[noise_p[noise_p[noise_p[X + i] + Y + j] + Z + k] + W + l];
+			return _grad4(h, x - i, y - j, z - k, w - l);
+		};
+		const cube = (l) => lerp(
+			lerp(lerp(corner(0, 0, 0, l), corner(1, 0, 0, l), fx), lerp(corner(0, 1, 0, l), corner(1, 1, 0, l), fx), fy),
+			lerp(lerp(corner(0, 0, 1, l), corner(1, 0, 1, l), fx), lerp(corner(0, 1, 1, l), corner(1, 1, 1, l), fx), fy), fz);
+		return lerp(cube(0), cube(1), fw) * 0.87;
+	};
+
+	// --- Noise Toolkit ---
+	// Octave sums over `noise`, all drawing from the same seedable permutation table.
+	const _octaves = (x, y, z, opts, shape) => {
+		const octaves = opts.octaves || 5;
+		const lacunarity = opts.lacunarity || 2;
+		const gain = opts.gain == null ? 0.5 : opts.gain;
+		let sum = 0, amp = 1, freq = 1, norm = 0;
+		for (let i = 0; i < octaves; i++) {
+			// Offset each octave so lattice points never line up
+			sum += shape(noise(x * freq + i * 17.13, y * freq - i * 9.71, z * freq + i * 3.37)) * amp;
+			norm += amp;
+			amp *= gain;
+			freq *= lacunarity;
+		}
+		return sum / norm;
+	};
+	const fbm = (x, y = 0, z = 0, opts = {}) => _octaves(x, y, z, opts, n => n);
+	const turbulence = (x, y = 0, z = 0, opts = {}) => _octaves(x, y, z, opts, Math.abs);
+	const ridged = (x, y = 0, z = 0, opts = {}) => _octaves(x, y, z, opts, (n) => {
+		const r = 1 - Math.abs(n);
+		return r * r;
+	});
+	const warp = (x, y = 0, opts = {}) => {
+		const strength = opts.strength == null ? 4 : opts.strength;
+		const z = opts.z || 0;
+		const qx = fbm(x, y, z, opts), qy = fbm(x + 5.2, y + 1.3, z, opts);
+		return fbm(x + strength * qx, y + strength * qy, z, opts);
+	};
+	// Rotated gradient of a noise potential: divergence-free, so particles neither bunch up nor thin out
+	const curl = (x, y, t = 0, eps = 0.0001) => {
+		const dx = (noise(x + eps, y, t) - noise(x - eps, y, t)) / (2 * eps);
+		const dy = (noise(x, y + eps, t) - noise(x, y - eps, t)) / (2 * eps);
+		return [dy, -dx];
+	};
+	// Sample on a circle in 4D so phase 0 and 1 are identical: seamless loops
+	const loopNoise = (x, y, phase, radius = 1) => {
+		const a = phase * Math.PI * 2;
+		return noise4(x, y, Math.cos(a) * radius, Math.sin(a) * radius);
+	};
+
+	// --- Color ---
+	// Internal form is { r, g, b, a } with channels 0..255 and alpha 0..1.
+	const namedColors = {
+		black: "#000000", white: "#ffffff", red: "#ff0000", lime: "#00ff00", green: "#008000", blue: "#0000ff",
+		yellow: "#ffff00", cyan: "#00ffff", aqua: "#00ffff", magenta: "#ff00ff", fuchsia: "#ff00ff",
+		gray: "#808080", grey: "#808080", silver: "#c0c0c0", maroon: "#800000", olive: "#808000",
+		navy: "#000080", purple: "#800080", teal: "#008080", orange: "#ffa500", pink: "#ffc0cb",
+		transparent: "rgba(0,0,0,0)",
+	};
+	const colorCache = new Map();
+	let colorProbe = null;
+
+	const _num = (v, scale) => (v.endsWith("%") ? parseFloat(v) / 100 * scale : parseFloat(v));
+	const _hue = (v) => (v.endsWith("turn") ? parseFloat(v) * 360 : v.endsWith("rad") ? parseFloat(v) * 180 / Math.PI : parseFloat(v));
+
+	const _parseColor = (css) => {
+		const str = css.trim().toLowerCase();
+		if (namedColors[str]) return _parseColor(namedColors[str]);
+		if (str[0] === "#") {
+			let hex = str.slice(1);
+			if (hex.length === 3 || hex.length === 4) hex = hex.split("").map(ch => ch + ch).join("");
+			if ((hex.length !== 6 && hex.length !== 8) || /[^0-9a-f]/.test(hex)) return null;
+			const v = parseInt(hex.slice(0, 6), 16);
+			return { r: v >> 16, g: (v >> 8) & 255, b: v & 255, a: hex.length === 8 ? parseInt(hex.slice(6), 16) / 255 : 1 };
+		}
+		const m = str.match(/^(rgba?|hsla?|oklch|oklab)\((.*)\)$/);
+		if (!m) {
+			// Any other CSS color the browser knows: let a scratch context normalize it
+			if (!colorProbe && _canCreateCanvas()) colorProbe = _createCanvas(1, 1).getContext("2d");
+			if (!colorProbe) return null;
+			colorProbe.fillStyle = "#010203";
+			colorProbe.fillStyle = str;
+			const out = colorProbe.fillStyle;
+			return out === "#010203" || out === str ? null : _parseColor(out);
+		}
+		const p = m[2].split(/[\s,/]+/).filter(Boolean);
+		if (p.length < 3) return null;
+		const a = p[3] == null ? 1 : clamp(_num(p[3], 1), 0, 1);
+		let out;
+		if (m[1][0] === "r") out = { r: _num(p[0], 255), g: _num(p[1], 255), b: _num(p[2], 255), a };
+		else if (m[1][0] === "h") out = _fromHsl(_hue(p[0]), _num(p[1], 100) / 100, _num(p[2], 100) / 100, a);
+		else if (m[1] === "oklch") out = _fromOklch(_num(p[0], 1), _num(p[1], 0.4), _hue(p[2]), a);
+		else out = _fromOklab(_num(p[0], 1), _num(p[1], 0.4), _num(p[2], 0.4), a);
+		return [out.r, out.g, out.b].some(isNaN) ? null : out;
+	};
+
+	// Accepts CSS strings or { r, g, b, a } objects; returns null for anything unparseable
+	const _rgba = (c) => {
+		if (c && typeof c === "object" && c.r != null) return { r: c.r, g: c.g, b: c.b, a: c.a == null ? 1 : c.a };
+		if (typeof c !== "string") return null;
+		let out = colorCache.get(c);
+		if (out === undefined) {
+			out = _parseColor(c);
+			if (colorCache.size > 512) colorCache.clear();
+			colorCache.set(c, out);
+		}
+		return out && { r: out.r, g: out.g, b: out.b, a: out.a };
+	};
+
+	const _css = ({ r, g, b, a }) => {
+		const R = Math.round(clamp(r, 0, 255)), G = Math.round(clamp(g, 0, 255)), B = Math.round(clamp(b, 0, 255));
+		if (a >= 1) return `#${((1 << 24) | (R << 16) | (G << 8) | B).toString(16).slice(1)}`;
+		return `rgba(${R},${G},${B},${Math.round(clamp(a, 0, 1) * 1000) / 1000})`;
+	};
+
+	const _fromHsl = (h, s, l, a = 1) => {
+		h = ((h % 360) + 360) % 360 / 360;
+		const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+		const p = 2 * l - q;
+		const ch = (t) => {
+			t = (t + 1) % 1;
+			if (t < 1 / 6) return p + (q - p) * 6 * t;
+			if (t < 1 / 2) return q;
+			if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+			return p;
+		};
+		return { r: ch(h + 1 / 3) * 255, g: ch(h) * 255, b: ch(h - 1 / 3) * 255, a };
+	};
+
+	const _toHsl = ({ r, g, b, a }) => {
+		r /= 255; g /= 255; b /= 255;
+		const max = Math.max(r, g, b), min = Math.min(r, g, b);
+		const l = (max + min) / 2;
+		if (max === min) return { h: 0, s: 0, l, a };
+		const d = max - min;
+		const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+		const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+		return { h: h * 60, s, l, a };
+	};
+
+	const _toLinear = c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+	const _toGamma = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+	const _toOklab = ({ r, g, b, a }) => {
+		const lr = _toLinear(r / 255), lg = _toLinear(g / 255), lb = _toLinear(b / 255);
+		const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+		const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+		const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+		return {
+			l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+			a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+			b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+			alpha: a,
+		};
+	};
+
+	const _fromOklab = (L, A, B, alpha = 1) => {
+		const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+		const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+		const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+		return {
+			r: _toGamma(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s) * 255,
+			g: _toGamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s) * 255,
+			b: _toGamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s) * 255,
+			a: alpha,
+		};
+	};
+
+	const _toOklch = (c) => {
+		const lab = _toOklab(c);
+		const h = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+		return { l: lab.l, c: Math.hypot(lab.a, lab.b), h: h < 0 ? h + 360 : h, a: lab.alpha };
+	};
+
+	// Out-of-gamut chroma is reduced (hue and lightness kept) until the color fits sRGB
+	const _fromOklch = (l, c, h, a = 1) => {
+		const rad = h * Math.PI / 180;
+		const at = chroma => _fromOklab(l, Math.cos(rad) * chroma, Math.sin(rad) * chroma, a);
+		const fits = ({ r, g, b }) => [r, g, b].every(v => v >= -0.5 && v <= 255.5);
+		let out = at(c);
+		if (fits(out)) return out;
+		let lo = 0, hi = c;
+		for (let i = 0; i < 16; i++) {
+			const mid = (lo + hi) / 2;
+			if (fits(at(mid))) lo = mid; else hi = mid;
+		}
+		out = at(lo);
+		return out;
+	};
+
+	const _adjustL = (color, amount) => {
+		const c = _rgba(color);
+		if (!c) return color;
+		const o = _toOklch(c);
+		return _css(_fromOklch(clamp(o.l + amount, 0, 1), o.c, o.h, o.a));
+	};
+
+	// Kubelka-Munk over 16 spectral bands (400-700nm). Each color is built from white plus pigment-like
+	// reflectance curves (a yellow that cuts in at 510nm, a blue that fades out at 515nm, ...), K/S mixes
+	// linearly per band, and the result is projected back through CIE 1931 fits. The gap between a color
+	// and its spectral model is blended linearly so the endpoints are exact.
+	const _bandRGB = (() => {
+		const g = (l, m, s1, s2) => Math.exp(-0.5 * ((l - m) / (l < m ? s1 : s2)) ** 2);
+		const bands = [];
+		for (let i = 0; i < 16; i++) {
+			const l = 400 + (i + 0.5) * 300 / 16;
+			const x = 1.056 * g(l, 599.8, 37.9, 31) + 0.362 * g(l, 442, 16, 26.7) - 0.065 * g(l, 501.1, 20.4, 26.2);
+			const y = 0.821 * g(l, 568.8, 46.9, 40.5) + 0.286 * g(l, 530.9, 16.3, 31.1);
+			const z = 1.217 * g(l, 437, 11.8, 36) + 0.681 * g(l, 459, 26, 13.8);
+			bands.push([3.2406 * x - 1.5372 * y - 0.4986 * z, -0.9689 * x + 1.8758 * y + 0.0415 * z, 0.0557 * x - 0.204 * y + 1.057 * z]);
+		}
+		// normalise so a flat spectrum is white
+		const sums = [0, 1, 2].map(c => bands.reduce((s, b) => s + b[c], 0));
+		return bands.map(b => b.map((v, c) => v / sums[c]));
+	})();
+	const _bandLambda = _bandRGB.map((_, i) => 400 + (i + 0.5) * 300 / 16);
+	const _rise = (l, at) => 1 / (1 + Math.exp(-(l - at) / 12));
+	const _fall = (l, at) => 1 - _rise(l, at);
+	const _pigments = {
+		r: _bandLambda.map(l => Math.max(_rise(l, 595), 0.3 * _fall(l, 440))),
+		g: _bandLambda.map(l => _rise(l, 490) * _fall(l, 575)),
+		b: _bandLambda.map(l => Math.max(_fall(l, 515), 0.4 * _rise(l, 630))),
+		c: _bandLambda.map(l => _fall(l, 575)),
+		m: _bandLambda.map(l => Math.max(_fall(l, 490), _rise(l, 595))),
+		y: _bandLambda.map(l => _rise(l, 510)),
+	};
+	const _bandsToRGB = s => [0, 1, 2].map(c => s.reduce((acc, v, i) => acc + v * _bandRGB[i][c], 0));
+	const _spectrum = (r, g, b) => {
+		const w = Math.min(r, g, b);
+		r -= w; g -= w; b -= w;
+		const out = _bandLambda.map(() => w);
+		const add = (name, amount) => { if (amount > 0) _pigments[name].forEach((v, i) => { out[i] += v * amount; }); };
+		const pair = (name, x, y) => { const s = Math.min(x, y); add(name, s); return s; };
+		let s;
+		if (r > 0 && g > 0) { s = pair("y", r, g); r -= s; g -= s; }
+		else if (g > 0 && b > 0) { s = pair("c", g, b); g -= s; b -= s; }
+		else if (r > 0 && b > 0) { s = pair("m", r, b); r -= s; b -= s; }
+		add("r", r); add("g", g); add("b", b);
+		return out.map(v => clamp(v, 0.02, 1));
+	};
+	const _ks = R => ((1 - R) * (1 - R)) / (2 * R);
+	const _fromKs = ks => 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+	const _mixPigment = (a, b, t) => {
+		const ca = _rgba(a), cb = _rgba(b);
+		if (!ca || !cb) return t < 0.5 ? a : b;
+		const la = [ca.r, ca.g, ca.b].map(v => _toLinear(v / 255)), lb = [cb.r, cb.g, cb.b].map(v => _toLinear(v / 255));
+		const sa = _spectrum(...la), sb = _spectrum(...lb);
+		const ra = _bandsToRGB(sa), rb = _bandsToRGB(sb);
+		const mixed = _bandsToRGB(sa.map((v, i) => _fromKs(lerp(_ks(v), _ks(sb[i]), t))));
+		const ch = c => _toGamma(clamp(mixed[c] + lerp(la[c] - ra[c], lb[c] - rb[c], t), 0, 1)) * 255;
+		return _css({ r: ch(0), g: ch(1), b: ch(2), a: lerp(ca.a, cb.a, t) });
+	};
+
+	const harmonies = {
+		analogous: [0, 30, -30, 60, -60],
+		complementary: [0, 180, 20, 200, -20],
+		triad: [0, 120, 240, 20, 140],
+		tetrad: [0, 90, 180, 270, 45],
+		split: [0, 150, 210, 30, 180],
+	};
+
+	const _palette = (seedValue, count = 5, harmony) => {
+		const prng = _mulberry32(_hashSeed(seedValue));
+		const names = Object.keys(harmonies);
+		const offsets = harmonies[harmony] || harmonies[names[Math.floor(prng() * names.length)]];
+		const baseHue = prng() * 360;
+		const out = [];
+		for (let i = 0; i < count; i++) {
+			const h = baseHue + offsets[i % offsets.length] + (prng() - 0.5) * 12;
+			const l = 0.45 + prng() * 0.4;
+			const c = 0.08 + prng() * 0.12;
+			out.push(_css(_fromOklch(l, c, ((h % 360) + 360) % 360)));
+		}
+		return out;
+	};
+
+	// Derived highlight/shadow pair for brushes, cached per base color
+	const shadeCache = new Map();
+	const _tones = (style) => {
+		const color = _baseColor(style);
+		let t = shadeCache.get(color);
+		if (!t) {
+			const c = _rgba(color);
+			t = c ? { light: _adjustL({ r: c.r, g: c.g, b: c.b, a: 1 }, 0.25), dark: _adjustL({ r: c.r, g: c.g, b: c.b, a: 1 }, -0.3) }
+				: { light: "#ffffff", dark: "#000000" };
+			if (shadeCache.size > 256) shadeCache.clear();
+			shadeCache.set(color, t);
+		}
+		return t;
+	};
+
+	// --- Fills ---
+	// Gradient/pattern descriptors are plain objects, so they survive JSON commands and recording.
+	// They resolve lazily to CanvasGradient/CanvasPattern, cached per descriptor object.
+	const fillCache = new WeakMap();
+	const _isFill = v => v != null && typeof v === "object" && typeof v.type === "string";
+
+	const _stops = (stops) => {
+		const list = Array.isArray(stops) ? stops : [];
+		return list.map((stop, i) => (Array.isArray(stop) ? [clamp(stop[0], 0, 1), stop[1]] : [list.length > 1 ? i / (list.length - 1) : 0, stop]));
+	};
+
+	// First stop stands in wherever a single color is needed (brush tones, SVG conic fallback)
+	const _baseColor = (style) => {
+		if (!_isFill(style)) return style;
+		const stops = _stops(style.stops);
+		return stops.length ? stops[0][1] : "#808080";
+	};
+
+	const _patternSource = (source) => {
+		if (source && source.grid) {
+			const s = source.spacing || 20;
+			const size = source.grid === "checkerboard" ? s * 2 : s;
+			return _renderOffscreen(size, size, () => {
+				if (source.background) api.rect(0, 0, size, size, source.background);
+				api.grid(source.grid, s, source.color || inkColor);
+			}).canvas;
+		}
+		return source && source.canvas && source.ctx ? source.canvas : source;
+	};
+
+	const _createFill = (d) => {
+		let g = null;
+		if (d.type === "linear") g = ctx.createLinearGradient(d.x0, d.y0, d.x1, d.y1);
+		else if (d.type === "radial") g = ctx.createRadialGradient(d.x, d.y, d.r0 || 0, d.x, d.y, d.r);
+		else if (d.type === "conic" && ctx.createConicGradient) g = ctx.createConicGradient(d.angle || 0, d.x, d.y);
+		else if (d.type === "pattern") {
+			const src = _patternSource(d.source);
+			return src ? ctx.createPattern(src, d.repeat || "repeat") : null;
+		}
+		if (!g) return _baseColor(d);
+		for (const [offset, color] of _stops(d.stops)) {
+			try { g.addColorStop(offset, color); } catch (err) { /* skip unparseable stop */ }
+		}
+		return g;
+	};
+
+	const _resolveStyle = (style) => {
+		if (!_isFill(style)) return style;
+		let out = fillCache.get(style);
+		if (out === undefined) {
+			out = _createFill(style);
+			fillCache.set(style, out);
+		}
+		return out;
+	};
+
+	// --- Image Sampling ---
+	// Sources (image, canvas, `ray.buffer()`, ImageData) are read once into RGBA; decoded images are
+	// cached, canvases are re-read every call since their content can change.
+	const sampleCache = new WeakMap();
+
+	// Natural pixel size of any source, or null when it has none (yet)
+	const _sourceSize = (source) => {
+		const src = source && source.canvas && source.ctx ? source.canvas : source;
+		if (!src) return null;
+		const w = src.naturalWidth || src.videoWidth || src.width, h = src.naturalHeight || src.videoHeight || src.height;
+		return w && h ? [w, h] : null;
+	};
+
+	// Anything `drawImage` takes: ray buffers give their canvas, ImageData is copied into a buffer
+	const _drawable = (source) => {
+		if (!source) return null;
+		if (source.canvas && source.ctx) return source.canvas;
+		if (!ArrayBuffer.isView(source.data)) return source;
+		const buf = api.buffer(source.width, source.height);
+		buf.ctx.putImageData(source, 0, 0);
+		return buf.canvas;
+	};
+
+	const _imagePixels = (source) => {
+		const src = source && source.canvas && source.ctx ? source.canvas : source;
+		if (!src) return null;
+		if (ArrayBuffer.isView(src.data)) return { data: src.data, w: src.width, h: src.height };
+		if (sampleCache.has(src)) return sampleCache.get(src);
+		const size = _sourceSize(src);
+		if (!size) return null;
+		const [sw, sh] = size;
+		// Sampling drives marks, not pixels: 512px on the long side is plenty and keeps reads cheap
+		const k = Math.min(1, 512 / Math.max(sw, sh));
+		const w = Math.max(1, Math.round(sw * k)), h = Math.max(1, Math.round(sh * k));
+		const buf = api.buffer(w, h);
+		buf.ctx.imageSmoothingEnabled = true;
+		buf.ctx.drawImage(src, 0, 0, w, h);
+		const out = { data: buf.ctx.getImageData(0, 0, w, h).data, w, h };
+		if (!src.getContext) sampleCache.set(src, out);
+		return out;
+	};
+
+	// Nearest-pixel lookup with the source stretched over (x, y, w, h); returns [r, g, b, a] with a in 0..1
+	const _imageSampler = (source, x = 0, y = 0, w = width, h = height) => {
+		const px = _imagePixels(source);
+		if (!px) return () => [0, 0, 0, 0];
+		return (sx, sy) => {
+			const ix = clamp(Math.floor((sx - x) / w * px.w), 0, px.w - 1);
+			const iy = clamp(Math.floor((sy - y) / h * px.h), 0, px.h - 1);
+			const i = (iy * px.w + ix) * 4;
+			return [px.data[i], px.data[i + 1], px.data[i + 2], px.data[i + 3] / 255];
+		};
+	};
+
+	// Rec. 709 luma in 0..1; transparent pixels read as the white of the paper
+	const _luma = ([r, g, b, a]) => ((0.2126 * r + 0.7152 * g + 0.0722 * b) / 255) * a + (1 - a);
+
+	// One exact pixel of `source`, laid out over `area` [x, y, w, h] (default: its own pixel size at 0, 0).
+	// Canvases read just that pixel; images and video are copied 1:1 into a 1×1 scratch buffer first.
+	let pointScratch = null;
+	const _sampleAt = (source, x, y, area) => {
+		const size = _sourceSize(source);
+		if (!size) return null;
+		const [sw, sh] = size;
+		const [ax, ay, aw, ah] = area || [0, 0, sw, sh];
+		const ix = clamp(Math.floor((x - ax) / aw * sw), 0, sw - 1), iy = clamp(Math.floor((y - ay) / ah * sh), 0, sh - 1);
+		const src = source.canvas && source.ctx ? source.canvas : source;
+		if (ArrayBuffer.isView(src.data)) {
+			const i = (iy * sw + ix) * 4;
+			return [src.data[i], src.data[i + 1], src.data[i + 2], src.data[i + 3] / 255];
+		}
+		let read = source.ctx || (src.getContext && src.getContext("2d"));
+		let px = ix, py = iy;
+		if (!read) {
+			if (!pointScratch) pointScratch = api.buffer(1, 1);
+			read = pointScratch.ctx;
+			read.clearRect(0, 0, 1, 1);
+			read.drawImage(src, ix, iy, 1, 1, 0, 0, 1, 1);
+			px = py = 0;
+		}
+		const d = read.getImageData(px, py, 1, 1).data;
+		return [d[0], d[1], d[2], d[3] / 255];
+	};
+
+	// Where a sw×sh source lands in the box (x, y, w, h), centered: "fill" stretches, "contain"
+	// letterboxes, "cover" and "none" may overflow the box (callers crop to it)
+	const _fitRect = (sw, sh, x, y, w, h, fit) => {
+		if (fit === "fill") return [x, y, w, h];
+		const k = fit === "cover" ? Math.max(w / sw, h / sh) : fit === "contain" ? Math.min(w / sw, h / sh) : 1;
+		return [x + (w - sw * k) / 2, y + (h - sh * k) / 2, sw * k, sh * k];
+	};
+
+	// Painterly stroke plan: one jittered grid per `spacing` pass, coarse to fine. Strokes follow the
+	// isophotes (perpendicular to the luma gradient); passes after the first only go where there is detail.
+	const _strokePlan = (source, opts = {}) => {
+		const size = _sourceSize(source);
+		if (!size) return [];
+		const box = opts.area || [0, 0, width, height];
+		const [ix, iy, iw, ih] = _fitRect(size[0], size[1], box[0], box[1], box[2], box[3], opts.fit || "cover");
+		const x0 = Math.max(box[0], ix), y0 = Math.max(box[1], iy);
+		const x1 = Math.min(box[0] + box[2], ix + iw), y1 = Math.min(box[1] + box[3], iy + ih);
+		const sample = _imageSampler(source, ix, iy, iw, ih);
+		const r = _mulberry32(_hashSeed(opts.seed != null ? opts.seed : rand()));
+		const passes = Array.isArray(opts.spacing) ? opts.spacing : [opts.spacing || 8];
+		const jitter = opts.jitter != null ? opts.jitter : 0.5, wobble = opts.wobble != null ? opts.wobble : 0.3;
+		const detail = opts.detail != null ? opts.detail : 0.04, fallback = opts.angle != null ? opts.angle : Math.PI / 4;
+		const lengthK = opts.length != null ? opts.length : 2, sizeK = opts.size != null ? opts.size : 0.6;
+		const plan = [];
+		passes.forEach((s, pass) => {
+			const strokes = [], e = s * 0.5, half = lengthK * s * 0.5;
+			for (let gy = y0 + e; gy < y1; gy += s) {
+				for (let gx = x0 + e; gx < x1; gx += s) {
+					const x = clamp(gx + (r() - 0.5) * s * jitter, x0, x1), y = clamp(gy + (r() - 0.5) * s * jitter, y0, y1);
+					const c = sample(x, y);
+					if (c[3] < 0.05) continue;
+					const dx = _luma(sample(x + e, y)) - _luma(sample(x - e, y)), dy = _luma(sample(x, y + e)) - _luma(sample(x, y - e));
+					const mag = Math.hypot(dx, dy);
+					if (pass > 0 && mag < detail) continue;
+					const angle = (mag > 1e-3 ? Math.atan2(dy, dx) + Math.PI / 2 : fallback) + (r() - 0.5) * wobble;
+					const l = _luma(c), hx = Math.cos(angle) * half, hy = Math.sin(angle) * half;
+					strokes.push({
+						x: x + hx, y: y + hy, px: x - hx, py: y - hy, angle,
+						color: _css({ r: c[0], g: c[1], b: c[2], a: c[3] }), luma: l,
+						size: s * sizeK, pressure: 0.3 + (1 - l) * 0.5, pass,
+					});
+				}
+			}
+			// Shuffle each pass so overlapping neighbours don't stack in scanline order
+			for (let i = strokes.length - 1; i > 0; i--) {
+				const j = Math.floor(r() * (i + 1));
+				const tmp = strokes[i]; strokes[i] = strokes[j]; strokes[j] = tmp;
+			}
+			for (const st of strokes) plan.push(st);
+		});
+		return plan;
+	};
+
+	const gridRatios = { dots: 0.15, stripes: 0.5, checkerboard: 1, hex: 0.9, triangle: 0.9, lines: 0.1, diagonal: 0.1, crosshatch: 0.1, isometric: 0.05 };
+	const gridLines = {
+		lines: [0],
+		diagonal: [Math.PI / 4],
+		crosshatch: [Math.PI / 4, -Math.PI / 4],
+		// Vertical plus ±30° families share lattice points, so they close into equilateral triangles
+		isometric: [Math.PI / 2, Math.PI / 6, -Math.PI / 6],
+	};
+
+	// --- Filters ---
+	// Pure ImageData passes: `(imageData, opts, px)` edits the pixels in place, `px` being device pixels
+	// per drawing unit so sizes read the same at any DPR. No DOM use, so they run in workers too.
+	const _premultiply = (data) => {
+		const out = new Float32Array(data.length);
+		for (let i = 0; i < data.length; i += 4) {
+			const a = data[i + 3] / 255;
+			out[i] = data[i] * a; out[i + 1] = data[i + 1] * a; out[i + 2] = data[i + 2] * a; out[i + 3] = data[i + 3];
+		}
+		return out;
+	};
+
+	const _unpremultiply = (src, data) => {
+		for (let i = 0; i < data.length; i += 4) {
+			const a = src[i + 3];
+			const k = a > 0 ? 255 / a : 0;
+			data[i] = src[i] * k; data[i + 1] = src[i + 1] * k; data[i + 2] = src[i + 2] * k; data[i + 3] = a;
+		}
+	};
+
+	// Sliding-window box blur along one axis (all four channels at once), edges clamped
+	const _boxPass = (src, dst, w, h, r, horizontal) => {
+		const len = horizontal ? w : h, lines = horizontal ? h : w;
+		const stride = horizontal ? 4 : w * 4;
+		const norm = 1 / (2 * r + 1);
+		const last = (len - 1) * stride;
+		for (let line = 0; line < lines; line++) {
+			const base = horizontal ? line * w * 4 : line * 4;
+			let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+			for (let k = -r; k <= r; k++) {
+				const i = base + (k < 0 ? 0 : k >= len ? last : k * stride);
+				s0 += src[i]; s1 += src[i + 1]; s2 += src[i + 2]; s3 += src[i + 3];
+			}
+			for (let p = 0, o = base; p < len; p++, o += stride) {
+				dst[o] = s0 * norm; dst[o + 1] = s1 * norm; dst[o + 2] = s2 * norm; dst[o + 3] = s3 * norm;
+				const add = base + (p + r + 1 < len ? (p + r + 1) * stride : last);
+				const sub = base + (p - r > 0 ? (p - r) * stride : 0);
+				s0 += src[add] - src[sub]; s1 += src[add + 1] - src[sub + 1];
+				s2 += src[add + 2] - src[sub + 2]; s3 += src[add + 3] - src[sub + 3];
+			}
+		}
+	};
+
+	// Three box passes whose widths approximate a gaussian of the given sigma
+	const _gaussBoxes = (sigma) => {
+		const ideal = Math.sqrt(12 * sigma * sigma / 3 + 1);
+		let wl = Math.floor(ideal);
+		if (wl % 2 === 0) wl--;
+		const m = Math.round((12 * sigma * sigma - 3 * wl * wl - 12 * wl - 9) / (-4 * wl - 4));
+		return [0, 1, 2].map(i => ((i < m ? wl : wl + 2) - 1) / 2);
+	};
+
+	// Texture darkness (0..1) on a seamless square tile, cached per type/size/seed
+	const paperSize = 512;
+	const paperCache = new Map();
+	const _paperTile = (weave, size, seed) => {
+		const key = `${weave}:${size}:${seed}`;
+		if (paperCache.has(key)) return paperCache.get(key);
+		const tex = new Float32Array(paperSize * paperSize);
+		const r = _mulberry32(_hashSeed(seed));
+		// Thread width that divides the tile, keeping the weave seamless
+		const thread = paperSize / Math.max(1, Math.round(paperSize / (3 * size)));
+		for (let y = 0; y < paperSize; y++) {
+			for (let x = 0; x < paperSize; x++) {
+				// Periodic noise: sample a torus so the tile repeats without seams
+				const a = x / paperSize * Math.PI * 2, b = y / paperSize * Math.PI * 2;
+				const rad = paperSize / (Math.PI * 2) / size;
+				const n = (fx, fy) => noise4(Math.cos(a) * rad * fx, Math.sin(a) * rad * fx, Math.cos(b) * rad * fy + seed, Math.sin(b) * rad * fy);
+				let t;
+				if (weave) {
+					// Basket weave: alternating over/under cells, each thread shaded across its width
+					const u = x / thread, v = y / thread;
+					const over = (Math.floor(u) + Math.floor(v)) % 2 === 0;
+					const across = over ? v - Math.floor(v) : u - Math.floor(u);
+					t = 0.75 - 0.6 * Math.sin(Math.PI * across) + 0.2 * n(0.15, 0.15);
+				} else {
+					t = 0.5 + 0.35 * n(0.06, 0.015) + 0.2 * n(0.4, 0.4);
+				}
+				tex[y * paperSize + x] = clamp(t + (r() - 0.5) * 0.25, 0, 1);
+			}
+		}
+		if (paperCache.size > 8) paperCache.clear();
+		paperCache.set(key, tex);
+		return tex;
+	};
+
+	const filters = {
+		/** `radius` (gaussian sigma, or box radius with `type: "box"`). */
+		blur(img, opts = {}, px = 1) {
+			const r = (opts.radius != null ? opts.radius : 4) * px;
+			if (!(r > 0)) return img;
+			const { width: w, height: h } = img;
+			let a = _premultiply(img.data), b = new Float32Array(a.length);
+			const passes = opts.type === "box" ? [Math.round(r)] : _gaussBoxes(r);
+			for (const pr of passes) {
+				if (pr < 1) continue;
+				_boxPass(a, b, w, h, pr, true);
+				_boxPass(b, a, w, h, pr, false);
+			}
+			_unpremultiply(a, img.data);
+			return img;
+		},
+
+		/** Film grain: `amount` 0..1, `mono` (default true), `seed` (defaults to the ray PRNG). */
+		grain(img, opts = {}) {
+			const amount = (opts.amount != null ? opts.amount : 0.1) * 255;
+			const r = _mulberry32(_hashSeed(opts.seed != null ? opts.seed : rand()));
+			const mono = opts.mono !== false;
+			const d = img.data;
+			for (let i = 0; i < d.length; i += 4) {
+				const n = (r() - 0.5) * amount;
+				d[i] += n;
+				d[i + 1] += mono ? n : (r() - 0.5) * amount;
+				d[i + 2] += mono ? n : (r() - 0.5) * amount;
+			}
+			return img;
+		},
+
+		/** `levels` per channel (default 4). */
+		posterize(img, opts = {}) {
+			const steps = Math.max(2, opts.levels || 4) - 1;
+			const d = img.data;
+			for (let i = 0; i < d.length; i += 4) {
+				for (let c = 0; c < 3; c++) d[i + c] = Math.round(d[i + c] / 255 * steps) / steps * 255;
+			}
+			return img;
+		},
+
+		/** Luma above `level` (0..1, default 0.5) becomes `light`, the rest `dark`. */
+		threshold(img, opts = {}) {
+			const level = opts.level != null ? opts.level : 0.5;
+			const dark = _rgba(opts.dark || "#000000") || { r: 0, g: 0, b: 0 };
+			const light = _rgba(opts.light || "#ffffff") || { r: 255, g: 255, b: 255 };
+			const d = img.data;
+			for (let i = 0; i < d.length; i += 4) {
+				const c = _luma([d[i], d[i + 1], d[i + 2], 1]) > level ? light : dark;
+				d[i] = c.r; d[i + 1] = c.g; d[i + 2] = c.b;
+			}
+			return img;
+		},
+
+		/** Red/blue channels shifted `offset` px apart along `angle` (radians). */
+		chromatic(img, opts = {}, px = 1) {
+			const off = (opts.offset != null ? opts.offset : 2) * px, angle = opts.angle || 0;
+			const dx = Math.round(Math.cos(angle) * off), dy = Math.round(Math.sin(angle) * off);
+			const { width: w, height: h, data: d } = img;
+			const src = new Uint8ClampedArray(d);
+			for (let y = 0; y < h; y++) {
+				for (let x = 0; x < w; x++) {
+					const i = (y * w + x) * 4;
+					d[i] = src[(clamp(y - dy, 0, h - 1) * w + clamp(x - dx, 0, w - 1)) * 4];
+					d[i + 2] = src[(clamp(y + dy, 0, h - 1) * w + clamp(x + dx, 0, w - 1)) * 4 + 2];
+				}
+			}
+			return img;
+		},
+
+		/** Noise-driven warp: `amount` px, `scale` (noise frequency per px, default 0.01), `seed`. */
+		displace(img, opts = {}, px = 1) {
+			const amount = (opts.amount != null ? opts.amount : 10) * px;
+			const freq = (opts.scale || 0.01) / px, seed = opts.seed || 0;
+			const { width: w, height: h, data: d } = img;
+			const src = new Uint8ClampedArray(d);
+			// The field is smooth: sample noise every 4px and interpolate bilinearly
+			const g = 4, gw = Math.ceil(w / g) + 2, gh = Math.ceil(h / g) + 2;
+			const fx = new Float32Array(gw * gh), fy = new Float32Array(gw * gh);
+			for (let j = 0; j < gh; j++) {
+				for (let i = 0; i < gw; i++) {
+					fx[j * gw + i] = noise(i * g * freq + seed, j * g * freq, 0) * amount;
+					fy[j * gw + i] = noise(i * g * freq, j * g * freq + seed, 7.3) * amount;
+				}
+			}
+			for (let y = 0; y < h; y++) {
+				const gy = y / g, j = Math.floor(gy), ty = gy - j;
+				for (let x = 0; x < w; x++) {
+					const gx = x / g, i = Math.floor(gx), tx = gx - i;
+					const k = j * gw + i;
+					const dx = lerp(lerp(fx[k], fx[k + 1], tx), lerp(fx[k + gw], fx[k + gw + 1], tx), ty);
+					const dy = lerp(lerp(fy[k], fy[k + 1], tx), lerp(fy[k + gw], fy[k + gw + 1], tx), ty);
+					const sx = clamp(Math.round(x + dx), 0, w - 1), sy = clamp(Math.round(y + dy), 0, h - 1);
+					const o = (y * w + x) * 4, q = (sy * w + sx) * 4;
+					d[o] = src[q]; d[o + 1] = src[q + 1]; d[o + 2] = src[q + 2]; d[o + 3] = src[q + 3];
+				}
+			}
+			return img;
+		},
+
+		/**
+		 * Multiplied surface texture: `type` "paper" (fibrous noise) or "canvas" (woven threads),
+		 * `amount` 0..1 (default 0.15), `scale` (texture size, default 1), `seed`.
+		 */
+		paper(img, opts = {}, px = 1) {
+			const amount = opts.amount != null ? opts.amount : 0.15;
+			const tex = _paperTile(opts.type === "canvas", (opts.scale || 1) * px, opts.seed || 0);
+			const { width: w, height: h, data: d } = img;
+			for (let y = 0; y < h; y++) {
+				const row = (y % paperSize) * paperSize;
+				for (let x = 0; x < w; x++) {
+					const k = 1 - amount * tex[row + (x % paperSize)];
+					const i = (y * w + x) * 4;
+					d[i] *= k; d[i + 1] *= k; d[i + 2] *= k;
+				}
+			}
+			return img;
+		},
+	};
+
+	// --- Iso Contours ---
+	// Marching squares over a sampled field, linked into closed loops: each boundary cell maps its
+	// exit crossing to its entry crossing, and shared edges chain cells together. Loops run with the
+	// inside on one consistent side, so holes wind the other way and one nonzero fill is exact.
+	// The field's outer ring counts as outside, so every loop closes beyond the visible area.
+	const _isoPath = (field, cols, rows, x0, y0, step, level) => {
+		const n = cols * rows;
+		const next = new Int32Array(n * 2).fill(-1);
+		const px = new Float32Array(n * 2), py = new Float32Array(n * 2);
+		const f = field.slice();
+		for (let i = 0; i < cols; i++) f[i] = f[n - 1 - i] = -Infinity;
+		for (let j = 0; j < rows; j++) f[j * cols] = f[j * cols + cols - 1] = -Infinity;
+		// Edge ids: 2k is the horizontal edge right of sample k, 2k + 1 the vertical edge below it
+		const cross = (id, ka, kb) => {
+			const a = f[ka], b = f[kb];
+			const t = a === -Infinity ? 1 : b === -Infinity ? 0 : (level - a) / (b - a);
+			const i = ka % cols, j = (ka - i) / cols;
+			px[id] = x0 + (i + (id & 1 ? 0 : t)) * step;
+			py[id] = y0 + (j + (id & 1 ? t : 0)) * step;
+			return id;
+		};
+		const ids = [0, 0, 0, 0], exits = [false, false, false, false], corner = [0, 0, 0, 0], inside = [false, false, false, false];
+		for (let j = 0; j < rows - 1; j++) {
+			for (let i = 0; i < cols - 1; i++) {
+				const k = j * cols + i;
+				// Clockwise corners TL, TR, BR, BL; edge e runs from corner e to corner e + 1
+				corner[0] = k; corner[1] = k + 1; corner[2] = k + cols + 1; corner[3] = k + cols;
+				let count = 0;
+				for (let e = 0; e < 4; e++) if ((inside[e] = f[corner[e]] > level)) count++;
+				if (count === 0 || count === 4) continue;
+				let m = 0;
+				for (let e = 0; e < 4; e++) {
+					if (inside[e] === inside[(e + 1) & 3]) continue;
+					// Canonical ids/orientation so both cells sharing an edge agree on the point
+					const a = corner[e], b = corner[(e + 1) & 3];
+					const lo = Math.min(a, b), hi = Math.max(a, b);
+					ids[m] = cross(hi - lo === 1 ? 2 * lo : 2 * lo + 1, lo, hi);
+					exits[m] = inside[e];
+					m++;
+				}
+				// Each exit joins the next crossing in walk order, which is always an entry
+				for (let e = 0; e < m; e++) if (exits[e]) next[ids[e]] = ids[(e + 1) % m];
+			}
+		}
+		const parts = [];
+		for (let id = 0; id < next.length; id++) {
+			if (next[id] < 0) continue;
+			let d = `M${_n(px[id])} ${_n(py[id])}`;
+			for (let q = next[id], guard = 0; q !== id && q >= 0 && guard < n * 2; guard++) {
+				d += `L${_n(px[q])} ${_n(py[q])}`;
+				const after = next[q];
+				next[q] = -1;
+				q = after;
+			}
+			next[id] = -1;
+			parts.push(`${d}z`);
+		}
+		return parts.join("");
+	};
+
+	// Headless canvases (node-canvas, @napi-rs/canvas) have no global Path2D: trace the M/L/z data instead
+	const _pathFromData = (d) => {
+		if (typeof Path2D !== "undefined") return new Path2D(d);
+		ctx.beginPath();
+		const tokens = d.match(/[MLz]|-?[\d.]+/g) || [];
+		for (let i = 0; i < tokens.length;) {
+			const op = tokens[i++];
+			if (op === "z") { ctx.closePath(); continue; }
+			const x = +tokens[i++], y = +tokens[i++];
+			if (op === "M") ctx.moveTo(x, y); else ctx.lineTo(x, y);
+		}
+		return null;
+	};
+
+	// Smoothstep ramp around `level` for soft falloff
+	const _isoSoft = (v, level, soft) => {
+		const t = clamp((v - level + soft) / (2 * soft), 0, 1);
+		return t * t * (3 - 2 * t);
+	};
+
+	let isoScratch = null;
+
+	const _blobPoints = (x, y, radius, seed, stretchX, stretchY) => {
+		const segments = Math.max(10, Math.floor(radius * 0.7));
+		const jitter = radius * 0.38;
+		const points = [];
+		for (let i = 0; i <= segments; i++) {
+			const t = i / segments;
+			const a = t * Math.PI * 2;
+			const n = noise(Math.cos(a) * 0.8 + seed, Math.sin(a) * 0.8 - seed, seed * 0.2 + t);
+			const rr = radius + (n - 0.5) * jitter + (rand() - 0.5) * jitter * 0.22;
+			points.push([x + Math.cos(a) * rr * stretchX, y + Math.sin(a) * rr * stretchY]);
+		}
+		return points;
+	};
+
+	const paintBlob = (x, y, radius, alpha, color, seed = 0, stretchX = 1, stretchY = 1) => {
+		if (!ctx || radius <= 0) return;
+		if (svg) svg.dirty = true;
+		const points = _blobPoints(x, y, radius, seed, stretchX, stretchY);
+		const oldAlpha = ctx.globalAlpha;
+		ctx.globalAlpha = alpha;
+		setFill(color);
+		ctx.beginPath();
+		ctx.moveTo(points[0][0], points[0][1]);
+		for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+		ctx.closePath();
+		ctx.fill();
+		ctx.globalAlpha = oldAlpha;
+	};
+
+	const paintDrip = (x, y, len, widthValue, alpha, color, wobble = 0) => {
+		if (!ctx || len <= 0 || widthValue <= 0) return;
+		if (svg) svg.dirty = true;
+		const oldAlpha = ctx.globalAlpha;
+		ctx.globalAlpha = alpha;
+		setFill(color);
+		ctx.beginPath();
+		ctx.moveTo(x - widthValue * 0.5, y);
+		ctx.quadraticCurveTo(x - widthValue * (0.25 + wobble), y + len * 0.35, x - widthValue * 0.22, y + len * 0.82);
+		ctx.quadraticCurveTo(x, y + len * 1.08, x + widthValue * 0.22, y + len * 0.82);
+		ctx.quadraticCurveTo(x + widthValue * (0.25 - wobble), y + len * 0.35, x + widthValue * 0.5, y);
+		ctx.closePath();
+		ctx.fill();
+		ctx.globalAlpha = oldAlpha;
+	};
+
+	const setFill = (fill) => {
+		if (fill == null) return false;
+		if (fill !== lastFill) {
+			ctx.fillStyle = _resolveStyle(fill);
+			lastFill = fill;
+		}
+		return true;
+	};
+
+	const setStroke = (stroke, widthValue = 1) => {
+		if (stroke == null) return false;
+		if (stroke !== lastStroke) {
+			ctx.strokeStyle = _resolveStyle(stroke);
+			lastStroke = stroke;
+		}
+		if (widthValue != null && widthValue !== lastLineWidth) {
+			ctx.lineWidth = widthValue;
+			lastLineWidth = widthValue;
+		}
+		return true;
+	};
+
+	// Shadow blur ignores the transform, so scale it to the tiled render's pixel density
+	const _applyGlow = () => {
+		if (!ctx) return;
+		ctx.shadowBlur = state.glowLevel * (tiling ? tiling.scale : 1);
+		ctx.shadowColor = state.glowColor;
+	};
+
+	const syncStyles = () => {
+		if (!ctx) return;
+		lastFill = ctx.fillStyle;
+		lastStroke = ctx.strokeStyle;
+		lastLineWidth = ctx.lineWidth;
+	};
+
+	// --- Layout ---
+	// Placement and tessellation as plain [x, y] point lists, ready for `shape`, `clipPath` masks and
+	// brushes: Poisson-disk scatter (Bridson), Delaunay (Bowyer-Watson), and Voronoi cells cut from
+	// the bounds by each site's Delaunay neighbours. Lloyd relaxation moves sites to cell centroids.
+
+	// [x, y, w, h] rect, {x, y, r} circle or point list as a polygon; default the canvas
+	const _regionPolygon = (region) => {
+		if (!region) region = [0, 0, width, height];
+		if (!Array.isArray(region)) {
+			const { x, y, r } = region;
+			return Array.from({ length: 64 }, (_, i) => [x + Math.cos((i / 64) * Math.PI * 2) * r, y + Math.sin((i / 64) * Math.PI * 2) * r]);
+		}
+		if (typeof region[0] !== "number") return region;
+		const [x, y, w, h] = region;
+		return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+	};
+
+	const _insidePolygon = (poly, x, y) => {
+		let inside = false;
+		for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+			const [xi, yi] = poly[i], [xj, yj] = poly[j];
+			if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+		}
+		return inside;
+	};
+
+	const _polygonCentroid = (poly) => {
+		let a = 0, cx = 0, cy = 0;
+		for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+			const cross = poly[j][0] * poly[i][1] - poly[i][0] * poly[j][1];
+			a += cross;
+			cx += (poly[j][0] + poly[i][0]) * cross;
+			cy += (poly[j][1] + poly[i][1]) * cross;
+		}
+		return Math.abs(a) < 1e-9 ? null : [cx / (3 * a), cy / (3 * a)];
+	};
+
+	// Part of `poly` closer to p than to q (Sutherland-Hodgman against the bisector)
+	const _clipCloser = (poly, p, q) => {
+		const nx = q[0] - p[0], ny = q[1] - p[1];
+		if (!nx && !ny) return poly;
+		const mx = (p[0] + q[0]) / 2, my = (p[1] + q[1]) / 2;
+		const side = v => (v[0] - mx) * nx + (v[1] - my) * ny;
+		const out = [];
+		for (let i = 0; i < poly.length; i++) {
+			const a = poly[i], b = poly[(i + 1) % poly.length], sa = side(a), sb = side(b);
+			if (sa <= 0) out.push(a);
+			if ((sa < 0 && sb > 0) || (sa > 0 && sb < 0)) {
+				const t = sa / (sa - sb);
+				out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+			}
+		}
+		return out;
+	};
+
+	const _scatter = (region, minDist, opts = {}) => {
+		const poly = _regionPolygon(region), d = minDist;
+		if (!(d > 0) || poly.length < 3) return [];
+		let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+		for (const [x, y] of poly) { x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x); y1 = Math.max(y1, y); }
+		// Background grid of cell d/√2 holds at most one point, so a check looks at 5×5 cells
+		const cell = d / Math.SQRT2, cols = Math.ceil((x1 - x0) / cell) + 1, rows = Math.ceil((y1 - y0) / cell) + 1;
+		if (cols * rows > 1e7) throw new Error(`RAY.js: scatter() minDist ${d} is too small for the region.`);
+		const r = _mulberry32(_hashSeed(opts.seed != null ? opts.seed : rand()));
+		const tries = opts.tries || 30, max = opts.max != null ? opts.max : Infinity;
+		const grid = new Int32Array(cols * rows).fill(-1);
+		const points = [], active = [];
+		const fits = (x, y) => {
+			if (x < x0 || y < y0 || x > x1 || y > y1 || !_insidePolygon(poly, x, y)) return false;
+			const gx = Math.floor((x - x0) / cell), gy = Math.floor((y - y0) / cell);
+			for (let j = Math.max(0, gy - 2), j1 = Math.min(rows - 1, gy + 2); j <= j1; j++) {
+				for (let i = Math.max(0, gx - 2), i1 = Math.min(cols - 1, gx + 2); i <= i1; i++) {
+					const k = grid[j * cols + i];
+					if (k >= 0 && Math.hypot(points[k][0] - x, points[k][1] - y) < d) return false;
+				}
+			}
+			return true;
+		};
+		const add = (x, y) => {
+			grid[Math.floor((y - y0) / cell) * cols + Math.floor((x - x0) / cell)] = points.length;
+			active.push(points.length);
+			points.push([x, y]);
+		};
+		for (let t = 0; t < 100 && !points.length && max > 0; t++) {
+			const x = x0 + r() * (x1 - x0), y = y0 + r() * (y1 - y0);
+			if (_insidePolygon(poly, x, y)) add(x, y);
+		}
+		while (active.length && points.length < max) {
+			const ai = Math.floor(r() * active.length), [px, py] = points[active[ai]];
+			let placed = false;
+			for (let t = 0; t < tries && !placed; t++) {
+				const a = r() * Math.PI * 2, dist = d * (1 + r());
+				const x = px + Math.cos(a) * dist, y = py + Math.sin(a) * dist;
+				if (fits(x, y)) { add(x, y); placed = true; }
+			}
+			if (!placed) { active[ai] = active[active.length - 1]; active.pop(); }
+		}
+		return opts.relax ? _relax(points, poly, opts.relax) : points;
+	};
+
+	// Bowyer-Watson over triangle adjacency: a walk from the last new triangle finds the one holding the
+	// next point, and the cavity grows from there across neighbours. Points go in along a serpentine grid
+	// so walks stay short, which keeps the whole build near-linear. Duplicate points are left out. The
+	// super-triangle is far enough out that missing hull edges only matter for nearly collinear hull points.
+	const _delaunayIndices = (points) => {
+		const n = points.length;
+		if (n < 3) return [];
+		let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+		for (const [x, y] of points) { x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x); y1 = Math.max(y1, y); }
+		const size = Math.max(x1 - x0, y1 - y0) || 1, mx = (x0 + x1) / 2, my = (y0 + y1) / 2;
+		const P = points.concat([[mx - 100 * size, my - 100 * size], [mx + 100 * size, my - 100 * size], [mx, my + 100 * size]]);
+		// Per triangle t: corners V[3t..3t+2] (every edge has the triangle on its left in y-up terms), N[3t + i] the triangle across
+		// edge V[3t + i] → V[3t + (i + 1) % 3] (-1 for none), circumcircle (cx, cy, r2)
+		const V = [], N = [], cx = [], cy = [], r2 = [], dead = [];
+		const side = (a, b, x, y) => (P[b][0] - P[a][0]) * (y - P[a][1]) - (P[b][1] - P[a][1]) * (x - P[a][0]);
+		const add = (a, b, c) => {
+			const t = dead.length;
+			const [ax, ay] = P[a], [bx, by] = P[b], [qx, qy] = P[c];
+			const D = 2 * (ax * (by - qy) + bx * (qy - ay) + qx * (ay - by));
+			const a2 = ax * ax + ay * ay, b2 = bx * bx + by * by, c2 = qx * qx + qy * qy;
+			const ux = (a2 * (by - qy) + b2 * (qy - ay) + c2 * (ay - by)) / D, uy = (a2 * (qx - bx) + b2 * (ax - qx) + c2 * (bx - ax)) / D;
+			V.push(a, b, c); N.push(-1, -1, -1); dead.push(false);
+			// Flat triangles have no circle: any later point nearby replaces them
+			cx.push(ux); cy.push(uy); r2.push(D ? (ax - ux) * (ax - ux) + (ay - uy) * (ay - uy) : Infinity);
+			return t;
+		};
+		const inside = (t, x, y) => r2[t] === Infinity || (x - cx[t]) * (x - cx[t]) + (y - cy[t]) * (y - cy[t]) <= r2[t];
+		const locate = (from, x, y) => {
+			let t = from;
+			for (let steps = 0; steps < dead.length; steps++) {
+				let e = 0;
+				while (e < 3 && side(V[3 * t + e], V[3 * t + (e + 1) % 3], x, y) >= 0) e++;
+				if (e === 3) return inside(t, x, y) ? t : -1;
+				t = N[3 * t + e];
+				if (t < 0) return -1;
+			}
+			return -1;
+		};
+		// Serpentine order over a √n grid: consecutive points are neighbours
+		const cols = Math.max(1, Math.round(Math.sqrt(n / 2))), cell = size / cols || 1;
+		const order = Array.from({ length: n }, (_, i) => i).map((i) => {
+			const row = Math.min(cols - 1, Math.floor((points[i][1] - y0) / cell));
+			const along = (points[i][0] - x0) * (row & 1 ? -1 : 1);
+			return [row, along, i];
+		}).sort((a, b) => a[0] - b[0] || a[1] - b[1]).map(e => e[2]);
+		let last = add(n, n + 1, n + 2);
+		const seen = new Set();
+		for (const i of order) {
+			const [x, y] = P[i], key = `${x},${y}`;
+			if (seen.has(key)) continue;
+			seen.add(key);
+			let start = locate(last, x, y);
+			for (let t = dead.length - 1; start < 0 && t >= 0; t--) if (!dead[t] && inside(t, x, y)) start = t;
+			if (start < 0) continue;
+			// Cavity: every triangle whose circumcircle holds the point, connected to the start
+			const cavity = [start];
+			dead[start] = true;
+			for (let k = 0; k < cavity.length; k++) {
+				for (let e = 0; e < 3; e++) {
+					const nb = N[3 * cavity[k] + e];
+					if (nb >= 0 && !dead[nb] && inside(nb, x, y)) { dead[nb] = true; cavity.push(nb); }
+				}
+			}
+			// Its outline fans out to the new point; new triangles link to each other by shared corners
+			const fromStart = new Map(), fromEnd = new Map();
+			for (const t of cavity) {
+				for (let e = 0; e < 3; e++) {
+					const nb = N[3 * t + e];
+					if (nb >= 0 && dead[nb]) continue;
+					const a = V[3 * t + e], b = V[3 * t + (e + 1) % 3];
+					const fresh = add(a, b, i);
+					N[3 * fresh] = nb;
+					if (nb >= 0) for (let f = 0; f < 3; f++) if (N[3 * nb + f] === t) N[3 * nb + f] = fresh;
+					fromStart.set(a, fresh); fromEnd.set(b, fresh);
+					last = fresh;
+				}
+			}
+			for (const [a, t] of fromStart) {
+				const b = V[3 * t + 1];
+				N[3 * t + 1] = fromStart.has(b) ? fromStart.get(b) : -1;
+				N[3 * t + 2] = fromEnd.has(a) ? fromEnd.get(a) : -1;
+			}
+		}
+		// A hull sliver whose circle reaches a super corner was never built: drop the triangles on the
+		// super corners (and flat ones), fill each dent in the outline, then flip to Delaunay again
+		const real = t => !dead[t] && V[3 * t] < n && V[3 * t + 1] < n && V[3 * t + 2] < n && r2[t] !== Infinity;
+		const alive = dead.length;
+		for (let t = 0; t < alive; t++) if (!dead[t] && !real(t)) dead[t] = true;
+		const outline = new Map();
+		let simple = true;
+		for (let t = 0; t < alive; t++) {
+			if (dead[t]) continue;
+			for (let e = 0; e < 3; e++) {
+				const nb = N[3 * t + e];
+				if (nb >= 0 && !dead[nb]) continue;
+				N[3 * t + e] = -1;
+				if (outline.has(V[3 * t + e])) simple = false;
+				outline.set(V[3 * t + e], [V[3 * t + (e + 1) % 3], t, e]);
+			}
+		}
+		const flips = [];
+		for (let t = 0; t < alive; t++) if (!dead[t]) flips.push(t, 0, t, 1, t, 2);
+		for (let filled = simple; filled;) {
+			filled = false;
+			for (const [a, [b, tAB, eAB]] of outline) {
+				if (!outline.has(b) || outline.get(a)[0] !== b) continue;
+				const [c, tBC, eBC] = outline.get(b);
+				if (c === a || side(a, b, P[c][0], P[c][1]) >= 0) continue;
+				let blocked = false;
+				for (const v of outline.keys()) {
+					if (v === a || v === b || v === c) continue;
+					const [x, y] = P[v];
+					if (side(a, c, x, y) > 0 && side(c, b, x, y) > 0 && side(b, a, x, y) > 0) { blocked = true; break; }
+				}
+				if (blocked) continue;
+				const t = add(a, c, b);
+				N[3 * t + 1] = tBC; N[3 * tBC + eBC] = t;
+				N[3 * t + 2] = tAB; N[3 * tAB + eAB] = t;
+				outline.delete(b);
+				outline.set(a, [c, t, 0]);
+				flips.push(t, 1, t, 2);
+				filled = true;
+			}
+		}
+		// Lawson flips: an edge whose far corner sits inside the circle is swapped for the other diagonal
+		const link = (t, old, fresh) => { if (t >= 0) for (let f = 0; f < 3; f++) if (N[3 * t + f] === old) N[3 * t + f] = fresh; };
+		while (flips.length) {
+			const e = flips.pop(), t = flips.pop();
+			const nb = N[3 * t + e];
+			if (dead[t] || nb < 0 || dead[nb]) continue;
+			const f = [0, 1, 2].find(k => N[3 * nb + k] === t);
+			const a = V[3 * t + e], b = V[3 * t + (e + 1) % 3], c = V[3 * t + (e + 2) % 3], d = V[3 * nb + (f + 2) % 3];
+			const dx = P[d][0] - cx[t], dy = P[d][1] - cy[t];
+			if (dx * dx + dy * dy >= r2[t] * (1 - 1e-9)) continue;
+			const nBC = N[3 * t + (e + 1) % 3], nCA = N[3 * t + (e + 2) % 3], nAD = N[3 * nb + (f + 1) % 3], nDB = N[3 * nb + (f + 2) % 3];
+			dead[t] = dead[nb] = true;
+			const t1 = add(a, d, c), t2 = add(d, b, c);
+			N[3 * t1] = nAD; N[3 * t1 + 1] = t2; N[3 * t1 + 2] = nCA;
+			N[3 * t2] = nDB; N[3 * t2 + 1] = nBC; N[3 * t2 + 2] = t1;
+			link(nAD, nb, t1); link(nCA, t, t1); link(nDB, nb, t2); link(nBC, t, t2);
+			flips.push(t1, 0, t1, 2, t2, 0, t2, 1);
+		}
+		const out = [];
+		for (let t = 0; t < dead.length; t++) if (real(t)) out.push([V[3 * t], V[3 * t + 1], V[3 * t + 2]]);
+		return out;
+	};
+
+	const _voronoi = (points, bounds) => {
+		const poly = _regionPolygon(bounds), n = points.length;
+		const near = points.map(() => new Set());
+		for (const [a, b, c] of _delaunayIndices(points)) {
+			near[a].add(b).add(c); near[b].add(a).add(c); near[c].add(a).add(b);
+		}
+		// A repeated site owns nothing: its first occurrence keeps the whole cell
+		const first = new Map();
+		return points.map((p, i) => {
+			const key = `${p[0]},${p[1]}`;
+			if (first.has(key)) return [];
+			first.set(key, i);
+			// No triangles (fewer than 3 points, all collinear): cut against every other distinct site
+			const others = near[i].size ? near[i] : Array.from({ length: n }, (_, j) => j)
+				.filter(j => points[j][0] !== p[0] || points[j][1] !== p[1]);
+			let cell = poly;
+			for (const j of others) {
+				cell = _clipCloser(cell, p, points[j]);
+				if (!cell.length) break;
+			}
+			return cell;
+		});
+	};
+
+	// Lloyd: move each site to the centroid of its cell, `iterations` times
+	const _relax = (points, bounds, iterations = 1) => {
+		let sites = points.map(p => [p[0], p[1]]);
+		for (let k = 0; k < iterations; k++) {
+			const cells = _voronoi(sites, bounds);
+			sites = sites.map((p, i) => (cells[i].length >= 3 && _polygonCentroid(cells[i])) || p);
+		}
+		return sites;
+	};
+
+	// --- Transform Stack ---
+	// User matrices live in CSS-pixel space and are applied on top of each context's base transform
+	// (DPR scale for the main canvas and layers), so switching targets never loses either one.
+	const identity = [1, 0, 0, 1, 0, 0];
+	let xform = identity;
+	const xformStack = [];
+	const ctxBase = new WeakMap();
+	let tiling = null;
+
+	const _mul = (m, n) => [
+		m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+		m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+		m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5],
+	];
+	const _invert = (m) => {
+		const det = m[0] * m[3] - m[1] * m[2];
+		if (!det || !isFinite(det)) return null;
+		return [m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+			(m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det];
+	};
+	const _readBase = (c) => {
+		if (!ctxBase.has(c)) {
+			const t = c.getTransform ? c.getTransform() : null;
+			ctxBase.set(c, t ? [t.a, t.b, t.c, t.d, t.e, t.f] : identity);
+		}
+		return ctxBase.get(c);
+	};
+	const _matrix = () => _mul(_readBase(ctx), xform);
+	const _applyTransform = () => {
+		if (!ctx) return;
+		const m = _matrix();
+		ctx.setTransform(m[0], m[1], m[2], m[3], m[4], m[5]);
+	};
+	const _transformBy = (m) => { xform = _mul(xform, m); _applyTransform(); };
+
+	// User-space bounding box of the whole target, so fills like cls/grid/organic cover it under any transform.
+	const _viewBounds = () => {
+		const full = svg ? xform : _matrix();
+		const vw = !svg && ctx.canvas ? ctx.canvas.width : width;
+		const vh = !svg && ctx.canvas ? ctx.canvas.height : height;
+		const inv = _invert(full);
+		if (!inv) return null;
+		const xs = [], ys = [];
+		for (const [cx, cy] of [[0, 0], [vw, 0], [0, vh], [vw, vh]]) {
+			xs.push(inv[0] * cx + inv[2] * cy + inv[4]);
+			ys.push(inv[1] * cx + inv[3] * cy + inv[5]);
+		}
+		return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+	};
+
+	// Draw into a fresh w×h buffer with identity transform and no SVG capture, then return to the current target
+	const _renderOffscreen = (w, h, drawFn) => {
+		const prev = { ctx, width, height, xform, svg };
+		const out = api.buffer(Math.max(1, Math.ceil(w)), Math.max(1, Math.ceil(h)));
+		svg = null;
+		xform = identity;
+		try {
+			api.target(out.ctx, w, h);
+			drawFn(out);
+		} finally {
+			svg = prev.svg;
+			xform = prev.xform;
+			if (prev.ctx) api.target(prev.ctx, prev.width, prev.height);
+			else { ctx = null; width = prev.width; height = prev.height; }
+		}
+		return out;
+	};
+
+	const resize = () => {
+		if (!canvas || !ctx) return;
+		const dpr = _dpr();
+		// Fixed size (headless), else the container; a bare canvas (worker, Node) keeps its own size
+		const rect = env.size || (!container ? { width: canvas.width / dpr, height: canvas.height / dpr }
+			: _hasDOM() && container === document.body ? { width: window.innerWidth, height: window.innerHeight } : container.getBoundingClientRect());
+		width = Math.floor(rect.width);
+		height = Math.floor(rect.height);
+		canvas.width = Math.floor(width * dpr);
+		canvas.height = Math.floor(height * dpr);
+		if (canvas.style) {
+			canvas.style.width = `${width}px`;
+			canvas.style.height = `${height}px`;
+		}
+		ctxBase.set(svg ? svg.prevCtx : ctx, [dpr, 0, 0, dpr, 0, 0]);
+		if (svg) { _svgFlush(); _svgFitRaster(); }
+		layers.forEach(_fitLayer);
+		if (svg) { const prev = ctx; ctx = svg.prevCtx; _applyTransform(); ctx = prev; }
+		_applyTransform();
+		syncStyles();
+	};
+
+	// --- Layers ---
+	// Each id owns a persistent device-pixel buffer; `composite()` draws visible layers over the main canvas by z.
+	// Layers placed explicitly with `composite(id)` are left out of the automatic end-of-frame pass.
+	const layers = new Map();
+	let layerOrder = 0;
+	let inlineLayers = 0;
+
+	const _fitLayer = (layer) => {
+		const dpr = _dpr();
+		const old = layer.buffer;
+		const next = api.buffer(Math.floor(width * dpr), Math.floor(height * dpr));
+		if (old && old.canvas.width > 0 && old.canvas.height > 0) next.ctx.drawImage(old.canvas, 0, 0);
+		ctxBase.set(next.ctx, [dpr, 0, 0, dpr, 0, 0]);
+		next.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+		layer.buffer = next;
+	};
+
+	const _getLayer = (id) => {
+		let layer = layers.get(id);
+		if (!layer) {
+			layer = { id, buffer: null, opacity: 1, blend: "source-over", visible: true, z: layerOrder, order: layerOrder++ };
+			_fitLayer(layer);
+			layers.set(id, layer);
+		}
+		return layer;
+	};
+
+	const _composite = (list) => {
+		if (!canvas || !list.length) return;
+		const main = svg ? svg.prevCtx : canvas.getContext("2d");
+		const sorted = list.slice().sort((a, b) => (a.z - b.z) || (a.order - b.order));
+		main.save();
+		main.setTransform(1, 0, 0, 1, 0, 0);
+		main.shadowBlur = 0;
+		for (const layer of sorted) {
+			if (!layer.visible || layer.opacity <= 0) continue;
+			main.globalAlpha = layer.opacity;
+			main.globalCompositeOperation = layer.blend;
+			main.drawImage(layer.buffer.canvas, 0, 0);
+		}
+		main.restore();
+	};
+
+	const _compositeFrame = () => {
+		if (layers.size) _composite(Array.from(layers.values()).filter(layer => !layer.placed));
+	};
+
+	// --- SVG Backend ---
+	// While `svg` is set, vector primitives emit elements and everything else (brushes, raw ctx work)
+	// paints into a raster scratch buffer that is embedded as an <image> whenever vector output resumes.
+	let svg = null;
+	const svgBlendModes = [
+		"multiply", "screen", "overlay", "darken", "lighten", "color-dodge", "color-burn",
+		"hard-light", "soft-light", "difference", "exclusion", "hue", "saturation", "color", "luminosity",
+	];
+	const _n = v => Math.round(v * 100) / 100;
+	const _esc = v => String(v).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+	const _svgPoints = points => points.map(p => `${_n(p[0])},${_n(p[1])}`).join(" ");
+	const _svgTransform = () => (xform === identity ? "" : ` transform="matrix(${xform.map(v => Math.round(v * 10000) / 10000).join(" ")})"`);
+
+	const _svgFitRaster = () => {
+		const dpr = _dpr();
+		svg.raster = api.buffer(Math.ceil(width * dpr), Math.ceil(height * dpr));
+		ctxBase.set(svg.raster.ctx, [dpr, 0, 0, dpr, 0, 0]);
+		svg.dirty = false;
+		ctx = svg.raster.ctx;
+		_applyTransform();
+		syncStyles();
+	};
+
+	const _svgBegin = () => {
+		svg = {
+			parts: [], defs: [], stack: [], ids: 0,
+			blend: "source-over", clipping: false, clipGeom: null,
+			raster: null, dirty: false, prevCtx: ctx, prev: svg,
+		};
+		_svgFitRaster();
+	};
+
+	const _svgStyle = (withGlow) => {
+		const rules = [];
+		if (svgBlendModes.includes(svg.blend)) rules.push(`mix-blend-mode:${svg.blend}`);
+		if (withGlow && state.glowLevel > 0) rules.push(`filter:drop-shadow(0 0 ${_n(state.glowLevel / 2)}px ${state.glowColor})`);
+		return rules.length ? ` style="${_esc(rules.join(";"))}"` : "";
+	};
+
+	const _svgFlush = () => {
+		if (!svg.dirty) return;
+		const r = svg.raster.canvas;
+		svg.parts.push(`<image x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="${r.toDataURL("image/png")}"${_svgStyle(false)}/>`);
+		ctx.save();
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, r.width, r.height);
+		ctx.restore();
+		svg.dirty = false;
+	};
+
+	const _svgStop = ([offset, color]) => {
+		const c = _rgba(color);
+		const css = c ? _css({ r: c.r, g: c.g, b: c.b, a: 1 }) : color;
+		return `<stop offset="${_n(offset)}" stop-color="${_esc(css)}"${c && c.a < 1 ? ` stop-opacity="${_n(c.a)}"` : ""}/>`;
+	};
+
+	// Paint attribute value: plain colors pass through, descriptors become <defs> entries
+	const _svgPaint = (style) => {
+		if (!_isFill(style)) return _esc(style);
+		if (!svg.paints) svg.paints = new Map();
+		if (svg.paints.has(style)) return svg.paints.get(style);
+		const id = `ray-fill-${++svg.ids}`;
+		const d = style;
+		const stops = _stops(d.stops).map(_svgStop).join("");
+		if (d.type === "linear") {
+			svg.defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${_n(d.x0)}" y1="${_n(d.y0)}" x2="${_n(d.x1)}" y2="${_n(d.y1)}">${stops}</linearGradient>`);
+		} else if (d.type === "radial") {
+			svg.defs.push(`<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${_n(d.x)}" cy="${_n(d.y)}" r="${_n(d.r)}" fr="${_n(d.r0 || 0)}">${stops}</radialGradient>`);
+		} else {
+			// Conic gradients and bitmap patterns have no vector form: embed a rendered tile
+			const tile = d.type === "pattern" ? _patternSource(d.source)
+				: _renderOffscreen(width, height, () => api.rect(0, 0, width, height, d)).canvas;
+			if (!tile || !tile.toDataURL) return _esc(_baseColor(d));
+			const tw = tile.width, th = tile.height;
+			svg.defs.push(`<pattern id="${id}" patternUnits="userSpaceOnUse" width="${tw}" height="${th}"><image width="${tw}" height="${th}" xlink:href="${tile.toDataURL("image/png")}"/></pattern>`);
+		}
+		const ref = `url(#${id})`;
+		svg.paints.set(style, ref);
+		return ref;
+	};
+
+	const _svgEmit = (shape, fill, stroke, strokeWidth = 1, opacity = 1) => {
+		const geom = shape + _svgTransform();
+		if (svg.clipping) svg.clipGeom = geom;
+		if (fill == null && stroke == null) return;
+		_svgFlush();
+		const paint = ` fill="${fill == null ? "none" : _svgPaint(fill)}"` + (stroke == null ? "" : ` stroke="${_svgPaint(stroke)}" stroke-width="${_n(strokeWidth)}"`);
+		svg.parts.push(`<${geom}${paint}${opacity < 1 ? ` opacity="${_n(opacity)}"` : ""}${_svgStyle(true)}/>`);
+	};
+
+	// Layers become <g> groups in call order (z is not applied); opacity, visibility and blend carry over
+	const _svgLayer = (id, callback) => {
+		_svgFlush();
+		const props = layers.get(id);
+		const attrs = [`data-layer="${_esc(id)}"`];
+		if (props && !props.visible) attrs.push(`display="none"`);
+		if (props && props.opacity < 1) attrs.push(`opacity="${_n(props.opacity)}"`);
+		if (props && svgBlendModes.includes(props.blend)) attrs.push(`style="mix-blend-mode:${props.blend}"`);
+		svg.parts.push(`<g ${attrs.join(" ")}>`);
+		const outer = svg.layer;
+		svg.layer = { start: svg.parts.length, depth: svg.stack.length };
+		try { callback(id); } finally {
+			_svgFlush();
+			svg.parts.push("</g>");
+			svg.layer = outer;
+		}
+	};
+
+	const _svgDocument = () => {
+		_svgFlush();
+		const open = svg.stack.reduce((sum, frame) => sum + frame.groups, 0);
+		const body = svg.parts.concat(new Array(open).fill("</g>")).join("\n");
+		return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+			`<defs>\n${svg.defs.join("\n")}\n</defs>\n${body}\n</svg>\n`;
+	};
+
+	const _svgEnd = () => {
+		const out = _svgDocument();
+		ctx = svg.prevCtx;
+		svg = svg.prev;
+		_applyTransform();
+		syncStyles();
+		return out;
+	};
+
+	// --- Paths ---
+	// A path is a JSON-friendly list of segments: ["M", x, y], ["L", x, y], ["Q", cx, cy, x, y],
+	// ["C", c1x, c1y, c2x, c2y, x, y], ["A", x, y, r, a0, a1, ccw], ["Z"].
+	const pathOps = {
+		M: s => ctx.moveTo(s[1], s[2]),
+		L: s => ctx.lineTo(s[1], s[2]),
+		Q: s => ctx.quadraticCurveTo(s[1], s[2], s[3], s[4]),
+		C: s => ctx.bezierCurveTo(s[1], s[2], s[3], s[4], s[5], s[6]),
+		A: s => ctx.arc(s[1], s[2], s[3], s[4], s[5], !!s[6]),
+		Z: () => ctx.closePath(),
+	};
+
+	const _tracePath = (segs) => {
+		ctx.beginPath();
+		for (const s of segs) if (pathOps[s[0]]) pathOps[s[0]](s);
+	};
+
+	const _svgPathD = (segs) => {
+		const TAU = Math.PI * 2;
+		const pt = (x, y) => `${_n(x)} ${_n(y)}`;
+		let d = "", cx = null, cy = null, sx = 0, sy = 0;
+		const to = (x, y) => { cx = x; cy = y; };
+		for (const s of segs) {
+			const k = s[0];
+			if (k === "M" || (cx === null && k === "L")) { d += `M${pt(s[1], s[2])}`; sx = s[1]; sy = s[2]; to(s[1], s[2]); }
+			else if (k === "L") { d += `L${pt(s[1], s[2])}`; to(s[1], s[2]); }
+			else if (k === "Q") { if (cx === null) d += `M${pt(s[1], s[2])}`; d += `Q${pt(s[1], s[2])} ${pt(s[3], s[4])}`; to(s[3], s[4]); }
+			else if (k === "C") { if (cx === null) d += `M${pt(s[1], s[2])}`; d += `C${pt(s[1], s[2])} ${pt(s[3], s[4])} ${pt(s[5], s[6])}`; to(s[5], s[6]); }
+			else if (k === "A") {
+				const [, x, y, r, a0, a1, ccw] = s;
+				// Same sweep rules as CanvasRenderingContext2D.arc
+				let delta = a1 - a0;
+				if (!ccw) delta = delta >= TAU ? TAU : ((delta % TAU) + TAU) % TAU;
+				else delta = -delta >= TAU ? -TAU : -((((-delta) % TAU) + TAU) % TAU);
+				const x0 = x + Math.cos(a0) * r, y0 = y + Math.sin(a0) * r;
+				d += `${cx === null ? "M" : "L"}${pt(x0, y0)}`;
+				if (cx === null) { sx = x0; sy = y0; }
+				const sweep = ccw ? 0 : 1;
+				// Full circles need two arcs: SVG cannot draw an arc back to its own start point
+				const parts = Math.abs(delta) >= TAU - 1e-9 ? 2 : 1;
+				for (let i = 1; i <= parts; i++) {
+					const a = a0 + delta * i / parts;
+					const large = Math.abs(delta / parts) > Math.PI ? 1 : 0;
+					d += `A${_n(r)} ${_n(r)} 0 ${large} ${sweep} ${pt(x + Math.cos(a) * r, y + Math.sin(a) * r)}`;
+				}
+				to(x + Math.cos(a0 + delta) * r, y + Math.sin(a0 + delta) * r);
+			}
+			else if (k === "Z") { d += "Z"; to(sx, sy); }
+		}
+		return d;
+	};
+
+	// Chainable builder over a segment list; `fill`/`stroke`/`clip` hand it to the api and return `api`
+	const _pathBuilder = (segs = []) => {
+		const b = {
+			segments: segs,
+			moveTo(x, y) { segs.push(["M", x, y]); return b; },
+			lineTo(x, y) { segs.push(["L", x, y]); return b; },
+			quadTo(cx, cy, x, y) { segs.push(["Q", cx, cy, x, y]); return b; },
+			bezierTo(c1x, c1y, c2x, c2y, x, y) { segs.push(["C", c1x, c1y, c2x, c2y, x, y]); return b; },
+			arc(x, y, r, a0 = 0, a1 = Math.PI * 2, ccw = false) { segs.push(["A", x, y, r, a0, a1, !!ccw]); return b; },
+			close() { segs.push(["Z"]); return b; },
+			fill(fill, stroke, strokeWidth) { return api.path(segs, fill, stroke, strokeWidth); },
+			stroke(color, strokeWidth = 1) { return api.path(segs, null, color, strokeWidth); },
+			clip() { return api.clipPath(segs); },
+		};
+		return b;
+	};
+
+	// Cardinal spline through points as cubic Béziers (tension 0.5 = Catmull-Rom)
+	const _splineSegments = (points, closed = false, tension = 0.5) => {
+		const n = points.length;
+		if (n < 2) return [];
+		const at = i => (closed ? points[(i + n) % n] : points[clamp(i, 0, n - 1)]);
+		const segs = [["M", points[0][0], points[0][1]]];
+		const count = closed ? n : n - 1;
+		for (let i = 0; i < count; i++) {
+			const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+			segs.push(["C",
+				p1[0] + (p2[0] - p0[0]) * tension / 3, p1[1] + (p2[1] - p0[1]) * tension / 3,
+				p2[0] - (p3[0] - p1[0]) * tension / 3, p2[1] - (p3[1] - p1[1]) * tension / 3,
+				p2[0], p2[1]]);
+		}
+		if (closed) segs.push(["Z"]);
+		return segs;
+	};
+
+	// --- Brush Engine ---
+	// A brush is a spec: each segment is walked in `spacing` px steps and every step lays `count` dabs.
+	// Curves are numbers or `(pressure, t) => value`, `t` running 0..1 along the segment.
+	const brushTips = ["circle", "square", "ellipse"];
+	const brushDefaults = {
+		size: 10,
+		spacing: 2,
+		pressure: [0, 1],
+		pressureCurve: p => p,
+		sizeCurve: p => 1 + p,
+		alpha: 0.4,
+		count: 1,
+		scatter: 0,
+		rotate: false,
+		angle: 0,
+		roundness: 1,
+		tip: "circle",
+		texture: null,
+		dab: null,
+		after: null,
+	};
+	const brushSpecs = new Map();
+	const brushes = {};
+	const tipCache = new WeakMap();
+	const textureCache = new WeakMap();
+
+	const _curve = (v, a, b) => (typeof v === "function" ? v(a, b) : v);
+
+	// Image tips are alpha masks, tinted once per color
+	const _tintedTip = (source, color) => {
+		const src = _patternSource(source);
+		let tints = tipCache.get(src);
+		if (!tints) { tints = new Map(); tipCache.set(src, tints); }
+		const key = String(_baseColor(color));
+		let out = tints.get(key);
+		if (!out) {
+			const w = src.naturalWidth || src.width, h = src.naturalHeight || src.height;
+			const buf = api.buffer(w, h);
+			buf.ctx.drawImage(src, 0, 0, w, h);
+			buf.ctx.globalCompositeOperation = "source-in";
+			buf.ctx.fillStyle = key;
+			buf.ctx.fillRect(0, 0, w, h);
+			if (tints.size > 32) tints.clear();
+			out = buf.canvas;
+			tints.set(key, out);
+		}
+		return out;
+	};
+
+	// Texture value in -1..1: a function, seeded noise (evolving by `drift` along a segment),
+	// or image luma tiled every `size` units (read once)
+	const _textureFn = (tex) => {
+		if (typeof tex === "function") return tex;
+		if (!tex.source) {
+			const s = tex.scale == null ? 0.1 : tex.scale, drift = tex.drift || 0;
+			return (x, y, t) => noise(x * s, y * s, t * drift);
+		}
+		let sample = textureCache.get(tex.source);
+		if (!sample) {
+			sample = _imageSampler(tex.source, 0, 0, 1, 1);
+			textureCache.set(tex.source, sample);
+		}
+		const size = tex.size || 128;
+		return (x, y) => {
+			const u = x / size, v = y / size;
+			return _luma(sample(u - Math.floor(u), v - Math.floor(v))) * 2 - 1;
+		};
+	};
+
+	const _drawDab = (d, tip, roundness) => {
+		if (!(d.r > 0) || !(d.alpha > 0)) return;
+		ctx.globalAlpha = Math.min(1, d.alpha);
+		setFill(d.color);
+		if (tip === "circle") {
+			ctx.beginPath();
+			ctx.arc(d.x, d.y, d.r, 0, Math.PI * 2);
+			ctx.fill();
+			return;
+		}
+		// Shaped tips draw in dab space: origin at the dab, x along `d.angle`
+		ctx.save();
+		ctx.translate(d.x, d.y);
+		ctx.rotate(d.angle);
+		if (typeof tip === "function") tip(ctx, d);
+		else if (tip === "square" || tip === "ellipse") {
+			ctx.beginPath();
+			if (tip === "square") ctx.rect(-d.r * roundness, -d.r, d.r * 2 * roundness, d.r * 2);
+			else ctx.ellipse(0, 0, d.r * roundness, d.r, 0, 0, Math.PI * 2);
+			// Fill back in user space so gradients and patterns stay put across dabs
+			ctx.restore();
+			ctx.fill();
+			return;
+		} else {
+			const img = _tintedTip(tip, d.color);
+			const k = (d.r * 2) / Math.max(img.width, img.height);
+			const w = img.width * k * roundness, h = img.height * k;
+			ctx.drawImage(img, -w / 2, -h / 2, w, h);
+		}
+		ctx.restore();
+	};
+
+	const _brushStroke = (spec, x, y, px, py, pressure, color = inkColor, opts) => {
+		const o = opts == null ? spec : typeof opts === "number" ? { ...spec, size: opts } : { ...spec, ...opts };
+		const size = o.size;
+		const range = o.pressure || brushDefaults.pressure;
+		const press = clamp(_curve(o.pressureCurve, clamp(pressure, 0, 1)), range[0], range[1]);
+		const dist = Math.hypot(x - px, y - py);
+		const direction = Math.atan2(y - py, x - px);
+		const steps = Math.max(1, Math.ceil(dist / Math.max(0.1, _curve(o.spacing, press, size))));
+		const count = Math.max(0, Math.floor(_curve(o.count, press)));
+		const tex = o.texture ? _textureFn(o.texture) : null;
+		const amount = o.texture && o.texture.amount != null ? o.texture.amount : 0.4;
+		const threshold = o.texture ? o.texture.threshold : null;
+		// One dab record per stroke; `dab(d)` may move, resize or recolor it, or return false to skip it
+		const d = { x: 0, y: 0, r: 0, alpha: 0, color, angle: 0, direction, t: 0, i: 0, j: 0, steps, count, size, radius: 0, pressure: press, tones: _tones(color) };
+		if (svg) svg.dirty = true;
+		const oldAlpha = ctx.globalAlpha;
+		for (let i = 0; i <= steps; i++) {
+			const t = i / steps;
+			const lx = lerp(px, x, t), ly = lerp(py, y, t);
+			const radius = size * _curve(o.sizeCurve, press, t);
+			const alpha = _curve(o.alpha, press, t);
+			for (let j = 0; j < count; j++) {
+				d.x = lx; d.y = ly; d.r = radius; d.radius = radius; d.alpha = alpha; d.color = color;
+				d.angle = o.rotate ? direction + o.angle : o.angle;
+				d.t = t; d.i = i; d.j = j;
+				if (o.scatter) {
+					d.x += (rand() - 0.5) * o.scatter * radius;
+					d.y += (rand() - 0.5) * o.scatter * radius;
+				}
+				if (tex) {
+					const n = tex(d.x, d.y, t);
+					if (threshold != null && n <= threshold) continue;
+					d.r *= 1 - amount / 2 + n * amount;
+				}
+				if (o.dab && o.dab(d) === false) continue;
+				_drawDab(d, o.tip, o.roundness);
+				if (o.after) o.after(d);
+			}
+		}
+		ctx.globalAlpha = oldAlpha;
+	};
+
+	const _defineBrush = (name, spec) => {
+		if (typeof name !== "string" || !name) throw new Error("RAY.js: defineBrush() needs a brush name.");
+		if (!spec || typeof spec !== "object") throw new Error(`RAY.js: defineBrush("${name}") needs a spec object.`);
+		const base = spec.extends != null ? brushSpecs.get(spec.extends) : brushDefaults;
+		if (!base) throw new Error(`RAY.js: defineBrush("${name}") extends unknown brush "${spec.extends}".`);
+		const full = { ...base, ...spec };
+		delete full.extends;
+		if (typeof full.tip === "string" && !brushTips.includes(full.tip)) {
+			throw new Error(`RAY.js: defineBrush("${name}") has unknown tip "${full.tip}" (use ${brushTips.join(", ")}, an image or a function).`);
+		}
+		brushSpecs.set(name, Object.freeze(full));
+		const fn = (x, y, px, py, pressure, color, opts) => api.brushStroke(name, x, y, px, py, pressure, color, opts);
+		fn.spec = full;
+		brushes[name] = fn;
+	};
+
+	// Built-in presets; clone with `defineBrush(name, { extends: "oil", ... })`
+	_defineBrush("marker", {
+		size: 6,
+		sizeCurve: (p, t) => (1 + p * 0.8) * (1 - t * 0.1),
+		alpha: 0.4,
+	});
+
+	_defineBrush("brush", {
+		size: 10,
+		spacing: 1.5,
+		alpha: p => 0.1 + p * 0.1,
+		texture: { scale: 0.1, amount: 0.4, drift: 1 },
+	});
+
+	_defineBrush("dry", {
+		size: 8,
+		pressure: [0.1, 1],
+		count: p => 3 + p * 5,
+		scatter: 1,
+		texture: { scale: 0.2, amount: 0, threshold: 0 },
+		dab: (d) => {
+			d.r = 1 + rand();
+			d.alpha = 0.1 + rand() * 0.2;
+		},
+	});
+
+	// Five bristle clusters across the stroke, plus a top highlight every third step
+	_defineBrush("oil", {
+		size: 12,
+		spacing: 0.4,
+		pressure: [0.2, 1],
+		count: 6,
+		dab: (d) => {
+			let off;
+			if (d.j === 5) {
+				if (d.i % 3) return false;
+				off = d.radius * 0.4;
+				d.r = d.radius * 0.3;
+				d.alpha = 0.08;
+				d.color = d.tones.light;
+			} else {
+				off = (d.j / 5 - 0.5) * d.radius * 1.2;
+				d.alpha = 0.05 + rand() * 0.15;
+				d.r = d.radius * 0.4 * (0.8 + rand() * 0.4);
+			}
+			d.x += Math.cos(d.direction + Math.PI / 2) * off;
+			d.y += Math.sin(d.direction + Math.PI / 2) * off;
+		},
+		// Deep "groove" shadows
+		after: (d) => {
+			if (d.j < 5 && rand() > 0.8) api.stamp(d.x, d.y, d.radius * 0.15, 0.1, d.tones.dark);
+		},
+	});
+
+	// Palette knife: flat, directional blade whose width is very pressure-sensitive
+	_defineBrush("knife", {
+		size: 45,
+		spacing: 1.5,
+		pressure: [0.2, 1],
+		sizeCurve: p => 0.3 + p * 1.1,
+		alpha: 0.8,
+		rotate: true,
+		tip: (c, d) => {
+			const kw = d.r * 2, kh = d.size * (0.2 + d.pressure * 0.15);
+			const base = c.fillStyle;
+			c.fillRect(-kh / 2, -kw / 2, kh, kw);
+			// Directional lighting for volume (impasto effect)
+			c.globalAlpha = d.alpha / 4;
+			c.fillStyle = d.tones.light;
+			c.fillRect(-kh / 2, -kw / 2, kh * 0.3, kw);
+			c.fillStyle = d.tones.dark;
+			c.fillRect(kh * 0.2, -kw / 2, kh * 0.3, kw);
+			if (rand() > 0.7) {
+				c.fillStyle = base;
+				c.globalAlpha = 1;
+				c.fillRect(kh * 0.4, -kw / 4, kh * 0.2, kw / 2);
+			}
+		},
+	});
+
+	// --- Watercolor ---
+	// Optional wet layer on a coarse grid: water plus suspended pigment (mass and color-weighted sums)
+	// that flows, runs under gravity and settles on loop frames. Rims evaporate faster, so water and
+	// pigment drift outwards and edges darken by themselves. Settled pigment is drawn into the target
+	// in small alpha increments, which stack like absorption (1 - e^-mass) in a single pass would.
+	let wetSim = null;
+	const wetDefaults = { cell: 3, drying: 1, absorbency: 0.5, gravity: [0, 1], flow: 1, edge: 1, layer: null, loop: null };
+	const wetDX = [-1, 1, 0, 0], wetDY = [0, 0, -1, 1];
+	const wetFlux = new Float64Array(4);
+
+	const _wetFit = (sim) => {
+		const cols = Math.max(1, Math.ceil(width / sim.cell)), rows = Math.max(1, Math.ceil(height / sim.cell));
+		if (sim.cols === cols && sim.rows === rows) return;
+		if (sim.cols) _wetDry(sim);
+		const n = cols * rows;
+		const f = () => new Float32Array(n);
+		Object.assign(sim, {
+			cols, rows, box: null, pend: null,
+			w: f(), m: f(), r: f(), g: f(), b: f(),
+			w2: f(), m2: f(), r2: f(), g2: f(), b2: f(),
+			pm: f(), pr: f(), pg: f(), pb: f(),
+			e: f(), tmp: f(), grain: f(), buf: api.buffer(cols, rows),
+		});
+		sim.img = sim.buf.ctx.createImageData(cols, rows);
+		// Paper tooth: how readily each cell takes water and pigment
+		for (let y = 0; y < rows; y++) {
+			for (let x = 0; x < cols; x++) sim.grain[y * cols + x] = clamp(0.5 + fbm(x * sim.cell * 0.05 + 311, y * sim.cell * 0.05 + 173, 0, { octaves: 3 }) * 1.2, 0, 1);
+		}
+	};
+
+	// Where settled pigment lands: layer `layer`, else the main canvas
+	const _wetTarget = sim => (sim.layer != null ? _getLayer(sim.layer).buffer.ctx : (svg ? svg.prevCtx : canvas.getContext("2d")));
+
+	const _wetGrow = (box, x0, y0, x1, y1) => {
+		if (!box) return [x0, y0, x1, y1];
+		return [Math.min(box[0], x0), Math.min(box[1], y0), Math.max(box[2], x1), Math.max(box[3], y1)];
+	};
+
+	// Soft round deposit at (cx, cy) in canvas CSS pixels; water tops up to the load, pigment adds
+	const _wetDeposit = (sim, cx, cy, radius, water, pigment, c) => {
+		const s = sim.cell, gx = cx / s, gy = cy / s, gr = Math.max(0.75, radius / s);
+		const x0 = Math.max(0, Math.floor(gx - gr)), x1 = Math.min(sim.cols - 1, Math.ceil(gx + gr));
+		const y0 = Math.max(0, Math.floor(gy - gr)), y1 = Math.min(sim.rows - 1, Math.ceil(gy + gr));
+		if (x0 > x1 || y0 > y1) return;
+		for (let y = y0; y <= y1; y++) {
+			for (let x = x0; x <= x1; x++) {
+				const d = Math.hypot(x + 0.5 - gx, y + 0.5 - gy) / gr;
+				if (d >= 1) continue;
+				const i = y * sim.cols + x;
+				// Flat-topped footprint with a short falloff: puddles have edges, not gaussian halos
+				const f = Math.min(1, (1 - d) * 4) * (0.8 + sim.grain[i] * 0.4);
+				sim.w[i] = Math.max(sim.w[i], water * f) + water * f * 0.02;
+				// Absorbent paper grabs part of the pigment on contact, so the stroke shows at once
+				const p = pigment * f, now = p * sim.absorbency * 0.3, rest = p - now;
+				sim.pm[i] += now; sim.pr[i] += now * c.r; sim.pg[i] += now * c.g; sim.pb[i] += now * c.b;
+				sim.m[i] += rest; sim.r[i] += rest * c.r; sim.g[i] += rest * c.g; sim.b[i] += rest * c.b;
+			}
+		}
+		sim.box = _wetGrow(sim.box, x0, y0, x1 + 1, y1 + 1);
+		sim.pend = _wetGrow(sim.pend, x0, y0, x1 + 1, y1 + 1);
+	};
+
+	// Rim field: 1 minus the wet mask box-blurred over ~12px; ~0.5 on an edge, 0 deep inside a puddle
+	const _wetRim = (sim, X0, Y0, X1, Y1) => {
+		const { cols, rows, w, e, tmp } = sim, R = Math.max(1, Math.round(12 / sim.cell)), area = (R * 2 + 1) * (R * 2 + 1);
+		for (let y = Math.max(0, Y0 - R), y1 = Math.min(rows, Y1 + R); y < y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				let n = 0;
+				for (let k = Math.max(0, x - R), k1 = Math.min(cols - 1, x + R); k <= k1; k++) if (w[y * cols + k] > 0) n++;
+				tmp[y * cols + x] = n;
+			}
+		}
+		for (let y = Y0; y < Y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				let n = 0;
+				for (let k = Math.max(0, y - R), k1 = Math.min(rows - 1, y + R); k <= k1; k++) n += tmp[k * cols + x];
+				e[y * cols + x] = 1 - n / area;
+			}
+		}
+	};
+
+	// Move water between cells (pressure, creep onto dry paper, gravity runs); pigment rides along.
+	// Pressure is lowered near rims, so water keeps flowing outwards and carries pigment to the edge;
+	// the drop is relative to depth, so thin films near the end do not slosh pigment between cells.
+	const _wetFlow = (sim, h) => {
+		const { cols, rows, w, m, r, g, b, w2, m2, r2, g2, b2, e, grain } = sim;
+		const X0 = Math.max(0, sim.box[0] - 1), Y0 = Math.max(0, sim.box[1] - 1);
+		const X1 = Math.min(cols, sim.box[2] + 1), Y1 = Math.min(rows, sim.box[3] + 1);
+		_wetRim(sim, X0, Y0, X1, Y1);
+		for (let y = Y0; y < Y1; y++) {
+			for (let i = y * cols + X0, end = y * cols + X1; i < end; i++) {
+				w2[i] = w[i]; m2[i] = m[i]; r2[i] = r[i]; g2[i] = g[i]; b2[i] = b[i];
+			}
+		}
+		// Rates are per second in pixel terms, so the look holds at any `cell` size
+		const s = sim.cell, spread = (128 * sim.flow) / (s * s), creep = (3.2 * sim.flow) / s, fall = (16 * sim.flow) / s;
+		const lift = 0.6 * sim.edge, gx = sim.gx, gy = sim.gy;
+		for (let y = Y0; y < Y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				const i = y * cols + x, wi = w[i];
+				if (wi <= 0) continue;
+				const hi = wi * (1 - lift * e[i]);
+				let sum = 0;
+				for (let k = 0; k < 4; k++) {
+					const nx = x + wetDX[k], ny = y + wetDY[k];
+					let f = 0;
+					if (nx >= 0 && ny >= 0 && nx < cols && ny < rows) {
+						const j = ny * cols + nx, wj = w[j];
+						f = wj > 0 ? spread * (hi - wj * (1 - lift * e[j])) : creep * Math.max(0, wi - 0.8) * grain[j];
+						const down = wetDX[k] * gx + wetDY[k] * gy;
+						if (down > 0) f += fall * down * Math.max(0, wi - 1.2);
+					}
+					wetFlux[k] = f > 0 ? f * h : 0;
+					sum += wetFlux[k];
+				}
+				if (sum <= 0) continue;
+				const scale = sum > wi * 0.25 ? (wi * 0.25) / sum : 1;
+				for (let k = 0; k < 4; k++) {
+					if (!wetFlux[k]) continue;
+					const j = (y + wetDY[k]) * cols + x + wetDX[k];
+					const f = wetFlux[k] * scale, q = f / wi;
+					w2[i] -= f; w2[j] += f;
+					const pm = m[i] * q, pr = r[i] * q, pg = g[i] * q, pb = b[i] * q;
+					m2[i] -= pm; m2[j] += pm; r2[i] -= pr; r2[j] += pr;
+					g2[i] -= pg; g2[j] += pg; b2[i] -= pb; b2[j] += pb;
+				}
+			}
+		}
+		for (let y = Y0; y < Y1; y++) {
+			for (let i = y * cols + X0, end = y * cols + X1; i < end; i++) {
+				w[i] = w2[i]; m[i] = m2[i]; r[i] = r2[i]; g[i] = g2[i]; b[i] = b2[i];
+			}
+		}
+		sim.box = [X0, Y0, X1, Y1];
+	};
+
+	// Evaporate and let the paper take pigment, faster on rims; a cell that runs dry settles all it holds
+	const _wetSettle = (sim, h, force) => {
+		const { cols, w, m, r, g, b, e, pm, pr, pg, pb, grain } = sim;
+		const [X0, Y0, X1, Y1] = sim.box;
+		let box = null;
+		for (let y = Y0; y < Y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				const i = y * cols + x;
+				let wi = w[i];
+				if (wi <= 0 && m[i] <= 0) continue;
+				let dep = 1;
+				if (!force) {
+					wi -= h * (sim.drying * (0.8 + 1.5 * sim.edge * e[i]) + sim.absorbency * 0.3);
+					dep = h * (0.03 + sim.absorbency * 0.2) * (0.6 + grain[i] * 0.8) * (1 + 4 * sim.edge * e[i]);
+				}
+				if (force || wi <= 0.02) { wi = 0; dep = 1; } else box = _wetGrow(box, x, y, x + 1, y + 1);
+				w[i] = wi;
+				if (m[i] > 0) {
+					dep = Math.min(1, dep);
+					pm[i] += m[i] * dep; pr[i] += r[i] * dep; pg[i] += g[i] * dep; pb[i] += b[i] * dep;
+					m[i] -= m[i] * dep; r[i] -= r[i] * dep; g[i] -= g[i] * dep; b[i] -= b[i] * dep;
+					sim.pend = _wetGrow(sim.pend, x, y, x + 1, y + 1);
+				}
+			}
+		}
+		sim.box = box;
+	};
+
+	// Blit settled pigment into the target once a cell's share shows in 8 bits (or the cell is dry).
+	// Each pass takes at most 0.1 mass per cell: smoothed cells blitted at different times only add
+	// up seamlessly while their alphas stay small. Alpha is normalised to the strongest cell and
+	// restored with globalAlpha, because faint premultiplied pixels would lose their hue.
+	const _wetDraw = (sim, force) => {
+		if (!sim.pend) return;
+		const { cols, rows, w, pm, pr, pg, pb } = sim;
+		const X0 = Math.max(0, sim.pend[0] - 1), Y0 = Math.max(0, sim.pend[1] - 1);
+		const X1 = Math.min(cols, sim.pend[2] + 1), Y1 = Math.min(rows, sim.pend[3] + 1);
+		const ready = i => pm[i] > 0 && (force || w[i] <= 0 || pm[i] >= 0.03);
+		let pend = null, most = 0;
+		for (let y = Y0; y < Y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				const i = y * cols + x;
+				if (ready(i)) most = Math.max(most, Math.min(pm[i], 0.1));
+				if (pm[i] > (ready(i) ? 0.1 : 0)) pend = _wetGrow(pend, x, y, x + 1, y + 1);
+			}
+		}
+		sim.pend = pend;
+		if (!most) return;
+		const data = sim.img.data, top = 1 - Math.exp(-most);
+		for (let y = Y0; y < Y1; y++) {
+			for (let x = X0; x < X1; x++) {
+				const i = y * cols + x;
+				if (!ready(i)) continue;
+				const mass = pm[i], take = Math.min(mass, 0.1), k = take / mass, o = i * 4;
+				data[o] = (pr[i] / mass) * 255; data[o + 1] = (pg[i] / mass) * 255; data[o + 2] = (pb[i] / mass) * 255;
+				data[o + 3] = Math.round(((1 - Math.exp(-take)) / top) * 255);
+				pm[i] -= take; pr[i] -= pr[i] * k; pg[i] -= pg[i] * k; pb[i] -= pb[i] * k;
+				if (pm[i] < 1e-6) pm[i] = pr[i] = pg[i] = pb[i] = 0;
+			}
+		}
+		const target = _wetTarget(sim);
+		const s = sim.cell, bw = X1 - X0, bh = Y1 - Y0;
+		sim.buf.ctx.putImageData(sim.img, 0, 0, X0, Y0, bw, bh);
+		const base = _readBase(target);
+		target.save();
+		target.setTransform(base[0], base[1], base[2], base[3], base[4], base[5]);
+		target.globalAlpha = top;
+		target.globalCompositeOperation = "source-over";
+		target.shadowBlur = 0;
+		target.imageSmoothingEnabled = true;
+		target.drawImage(sim.buf.canvas, X0, Y0, bw, bh, X0 * s, Y0 * s, bw * s, bh * s);
+		target.restore();
+		// Leave both the pixels and the scratch canvas transparent: smoothing reads past the source rect
+		sim.buf.ctx.clearRect(X0, Y0, bw, bh);
+		for (let y = Y0; y < Y1; y++) data.fill(0, (y * cols + X0) * 4, (y * cols + X1) * 4);
+	};
+
+	const _wetStep = (sim, ms) => {
+		_wetFit(sim);
+		if (sim.box && ms > 0) {
+			// Cap catch-up after a stall; sub-steps short enough for the fastest flux keep it stable
+			const rate = (128 * sim.flow) / (sim.cell * sim.cell) + (16 * sim.flow * Math.hypot(sim.gx, sim.gy)) / sim.cell;
+			const total = Math.min(ms, 250), n = Math.ceil(total / Math.min(20, 200 / rate)), h = total / 1000 / n;
+			for (let k = 0; k < n && sim.box; k++) {
+				_wetFlow(sim, h);
+				_wetSettle(sim, h, false);
+			}
+		}
+		_wetDraw(sim, false);
+	};
+
+	const _wetDry = (sim) => {
+		if (sim.box) _wetSettle(sim, 0, true);
+		while (sim.pend) _wetDraw(sim, true);
+	};
+
+	// The sim follows one loop: `loop` if set, else "main", else the first running loop
+	const _wetOwner = sim => sim.loop || (loops.has("main") ? "main" : loops.keys().next().value);
+
+	// --- Particles ---
+	// Structure-of-arrays systems: positions, velocities and ages live in typed arrays, and a force is
+	// one function over the whole system, so tens of thousands of particles stay real-time.
+	// Units are px and seconds (`h`); ages and lifetimes are ms like loop `dt`.
+	const _range = (v, r) => (Array.isArray(v) ? v[0] + r() * (v[1] - v[0]) : v);
+
+	const forces = {
+		/** Steer along a `noise` field: `scale` (frequency), `strength` (px/s²), `speed` (field drift per s), `z`. */
+		flow(p, f, h) {
+			const scale = f.scale != null ? f.scale : 0.005, s = (f.strength != null ? f.strength : 300) * h, z = (f.z || 0) + p.t * 0.001 * (f.speed || 0);
+			const { x, y, vx, vy } = p;
+			for (let i = 0; i < p.count; i++) {
+				const a = noise(x[i] * scale, y[i] * scale, z) * Math.PI * 4;
+				vx[i] += Math.cos(a) * s;
+				vy[i] += Math.sin(a) * s;
+			}
+		},
+
+		/** Pull towards `x, y` with `strength` (px/s², negative repels), fading out to zero at `radius`. */
+		attract(p, f, h) {
+			const s = (f.strength != null ? f.strength : 300) * h, R = f.radius > 0 ? f.radius : Infinity, ax = f.x, ay = f.y;
+			const { x, y, vx, vy } = p;
+			for (let i = 0; i < p.count; i++) {
+				const dx = ax - x[i], dy = ay - y[i], d = Math.hypot(dx, dy);
+				if (d < 1e-3 || d >= R) continue;
+				const k = (s * (R === Infinity ? 1 : 1 - d / R)) / d;
+				vx[i] += dx * k;
+				vy[i] += dy * k;
+			}
+		},
+
+		/** Exponential slow-down: `amount` per second. */
+		drag(p, f, h) {
+			const k = Math.exp(-(f.amount != null ? f.amount : 1) * h), { vx, vy } = p;
+			for (let i = 0; i < p.count; i++) { vx[i] *= k; vy[i] *= k; }
+		},
+
+		/** Constant acceleration `x, y` in px/s² (default straight down). */
+		gravity(p, f, h) {
+			const gx = (f.x || 0) * h, gy = (f.y != null ? f.y : 300) * h, { vx, vy } = p;
+			for (let i = 0; i < p.count; i++) { vx[i] += gx; vy[i] += gy; }
+		},
+
+		/** Keep particles in `area` [x, y, w, h] (default the canvas): `mode` "wrap", "bounce" or "respawn". */
+		bounds(p, f) {
+			const [bx, by, bw, bh] = f.area || [0, 0, width, height];
+			const mode = f.mode || "wrap", { x, y, vx, vy } = p;
+			for (let i = 0; i < p.count; i++) {
+				const out = x[i] < bx || y[i] < by || x[i] > bx + bw || y[i] > by + bh;
+				if (!out) continue;
+				if (mode === "respawn") p.spawn(i);
+				else if (mode === "bounce") {
+					if (x[i] < bx || x[i] > bx + bw) { x[i] = clamp(x[i], bx, bx + bw); vx[i] = -vx[i]; }
+					if (y[i] < by || y[i] > by + bh) { y[i] = clamp(y[i], by, by + bh); vy[i] = -vy[i]; }
+				} else {
+					x[i] = bx + ((((x[i] - bx) % bw) + bw) % bw);
+					y[i] = by + ((((y[i] - by) % bh) + bh) % bh);
+					p.cut(i);
+				}
+			}
+		},
+	};
+	// Constraints run after particles have moved instead of before
+	forces.bounds.after = true;
+
+	const _particles = (opts = {}) => {
+		const n = Math.max(0, Math.floor(opts.count != null ? opts.count : 1000));
+		const trail = Math.max(0, Math.floor(opts.trail || 0));
+		const f32 = () => new Float32Array(n);
+		// Own stream: updates never shift `ray.random`, and a seed reproduces the whole run
+		const r = _mulberry32(_hashSeed(opts.seed != null ? opts.seed : rand()));
+		const emitter = opts.emitter || null, life = opts.life;
+		const p = {
+			count: n, t: 0, random: r,
+			x: f32(), y: f32(), px: f32(), py: f32(), vx: f32(), vy: f32(), age: f32(), life: f32(),
+			forces: opts.forces ? opts.forces.slice() : [],
+			// Trail ring buffer: `trail` points per particle, shared write head, per-particle length
+			trail, history: trail ? new Float32Array(n * trail * 2) : null, trailLength: trail ? new Uint16Array(n) : null, head: 0,
+		};
+
+		/** Place particle `i` from the emitter with a fresh age and lifetime. */
+		p.spawn = (i) => {
+			let x, y, vx = 0, vy = 0;
+			if (typeof emitter === "function") {
+				const e = emitter(i, r) || {};
+				x = e.x || 0; y = e.y || 0; vx = e.vx || 0; vy = e.vy || 0;
+			} else if (emitter) {
+				// A rect from corner `x, y` with `w, h`, a disc of `radius` around `x, y`, or the point itself
+				const box = emitter.w != null || emitter.h != null;
+				x = emitter.x != null ? emitter.x : (box ? 0 : width / 2);
+				y = emitter.y != null ? emitter.y : (box ? 0 : height / 2);
+				if (box) {
+					x += r() * (emitter.w || 0);
+					y += r() * (emitter.h || 0);
+				} else if (emitter.radius > 0) {
+					const a = r() * Math.PI * 2, d = Math.sqrt(r()) * emitter.radius;
+					x += Math.cos(a) * d; y += Math.sin(a) * d;
+				}
+				const speed = _range(emitter.speed || 0, r);
+				if (speed) {
+					const a = emitter.angle != null ? emitter.angle + (r() - 0.5) * (emitter.spread || 0) : r() * Math.PI * 2;
+					vx = Math.cos(a) * speed; vy = Math.sin(a) * speed;
+				}
+			} else {
+				x = r() * width; y = r() * height;
+			}
+			p.x[i] = p.px[i] = x; p.y[i] = p.py[i] = y;
+			p.vx[i] = vx; p.vy[i] = vy;
+			p.age[i] = 0;
+			p.life[i] = life != null ? _range(life, r) : Infinity;
+			p.cut(i);
+		};
+
+		/** Break particle `i`'s trail (after a jump), so no line is drawn across the gap. */
+		p.cut = (i) => {
+			p.px[i] = p.x[i]; p.py[i] = p.y[i];
+			if (p.trailLength) p.trailLength[i] = 0;
+		};
+
+		/** Re-emit every particle and restart the clock. */
+		p.reset = () => {
+			p.t = 0;
+			for (let i = 0; i < n; i++) p.spawn(i);
+			return p;
+		};
+
+		/** Advance by `dt` ms (a loop's `dt`): forces, move, constraints, then ageing. */
+		p.update = (dt = 1000 / 60) => {
+			const h = dt / 1000, { x, y, px, py, vx, vy, age } = p;
+			p.t += dt;
+			const run = after => {
+				for (const f of p.forces) {
+					if (typeof f === "function") { if (!after) f(p, h); continue; }
+					const fn = forces[f.type];
+					if (typeof fn !== "function") throw new Error(`RAY.js: unknown force "${f.type}"`);
+					if (!!fn.after === after) fn(p, f, h);
+				}
+			};
+			run(false);
+			for (let i = 0; i < n; i++) {
+				px[i] = x[i]; py[i] = y[i];
+				x[i] += vx[i] * h; y[i] += vy[i] * h;
+			}
+			run(true);
+			for (let i = 0; i < n; i++) {
+				age[i] += dt;
+				if (age[i] >= p.life[i]) p.spawn(i);
+			}
+			if (trail) {
+				p.head = (p.head + 1) % trail;
+				for (let i = 0; i < n; i++) {
+					const o = (i * trail + p.head) * 2;
+					p.history[o] = x[i]; p.history[o + 1] = y[i];
+					if (p.trailLength[i] < trail) p.trailLength[i]++;
+				}
+			}
+			return p;
+		};
+
+		/** Trail of particle `i` as [[x, y], ...], oldest first (just the last step without `trail`). */
+		p.path = (i) => {
+			if (!trail) return p.px[i] === p.x[i] && p.py[i] === p.y[i] ? [[p.x[i], p.y[i]]] : [[p.px[i], p.py[i]], [p.x[i], p.y[i]]];
+			const out = [];
+			for (let k = p.trailLength[i] - 1; k >= 0; k--) {
+				const o = (i * trail + ((p.head - k + trail) % trail)) * 2;
+				out.push([p.history[o], p.history[o + 1]]);
+			}
+			return out;
+		};
+
+		/**
+		 * Draw as "dots" (radius `size`), "trails" (line width `size`) or through any brush by name
+		 * (`marker`, `dry`, `wet`, ...), which walks each particle's path. `color` may be `(i, p) => color`.
+		 * Options: `alpha`, and `pressure` for brushes as a number or `(i, t) => pressure` (t 0..1 along the trail).
+		 */
+		p.draw = (mode = "dots", color = "#ffffff", size = 1, o = {}) => {
+			if (!ctx || !n) return p;
+			const brush = brushes[mode] || (/^wet(Soft|Heavy)?$/.test(mode) ? (...args) => api[mode](...args) : null);
+			if (!brush && mode !== "dots" && mode !== "trails") throw new Error(`RAY.js: particles can't draw as "${mode}" (use "dots", "trails" or a brush name).`);
+			const perColor = typeof color === "function";
+			if (brush) {
+				for (let i = 0; i < n; i++) {
+					const pts = p.path(i), c = perColor ? color(i, p) : color;
+					for (let k = 1; k < pts.length; k++) {
+						const t = k / (pts.length - 1);
+						const pr = typeof o.pressure === "function" ? o.pressure(i, t) : (o.pressure != null ? o.pressure : 0.5);
+						brush(pts[k][0], pts[k][1], pts[k - 1][0], pts[k - 1][1], pr, c, size);
+					}
+				}
+				return p;
+			}
+			if (svg) svg.dirty = true;
+			const oldAlpha = ctx.globalAlpha;
+			if (o.alpha != null) ctx.globalAlpha = o.alpha;
+			const dots = mode === "dots", r = size;
+			const paint = (c) => {
+				if (dots) { setFill(c); ctx.fill(); } else { setStroke(c, size); ctx.stroke(); }
+			};
+			const add = (i) => {
+				if (dots) {
+					// Sub-pixel dots as squares: same coverage, far cheaper than arcs
+					if (r < 1) ctx.rect(p.x[i] - r, p.y[i] - r, r * 2, r * 2);
+					else { ctx.moveTo(p.x[i] + r, p.y[i]); ctx.arc(p.x[i], p.y[i], r, 0, Math.PI * 2); }
+					return;
+				}
+				if (!trail) {
+					if (p.px[i] === p.x[i] && p.py[i] === p.y[i]) return;
+					ctx.moveTo(p.px[i], p.py[i]);
+					ctx.lineTo(p.x[i], p.y[i]);
+					return;
+				}
+				const len = p.trailLength[i], hist = p.history;
+				for (let k = len - 1; k >= 0; k--) {
+					const o = (i * trail + ((p.head - k + trail) % trail)) * 2;
+					if (k === len - 1) ctx.moveTo(hist[o], hist[o + 1]);
+					else ctx.lineTo(hist[o], hist[o + 1]);
+				}
+			};
+			if (perColor) {
+				for (let i = 0; i < n; i++) { ctx.beginPath(); add(i); paint(color(i, p)); }
+			} else {
+				ctx.beginPath();
+				for (let i = 0; i < n; i++) add(i);
+				paint(color);
+			}
+			ctx.globalAlpha = oldAlpha;
+			return p;
+		};
+
+		return p.reset();
+	};
+
+	// --- Pointer Input ---
+	// Pointer Events on the canvas, tracked per pointer id, turned into brush-ready segments
+	// ({ x, y, px, py, pressure }) after optional lazy-brush or Catmull-Rom smoothing.
+	const input = {
+		el: null,
+		pointers: new Map(),
+		handlers: { begin: [], move: [], end: [] },
+		smoothing: "none",
+		lazyRadius: 8,
+		spacing: 4,
+		painter: null,
+	};
+
+	const _inputEmit = (type, seg) => {
+		for (const fn of input.handlers[type]) fn(seg);
+		if (input.painter) input.painter(seg, type);
+	};
+
+	const _inputSegment = (p, x, y, px, py, pressure) => {
+		_inputEmit("move", {
+			id: p.id, type: p.type, x, y, px, py, pressure,
+			tiltX: p.tiltX, tiltY: p.tiltY, vx: p.vx, vy: p.vy, speed: p.speed,
+		});
+		p.x = x; p.y = y;
+	};
+
+	// Emit the spline span between ring[1] and ring[2], resampled to roughly `spacing` px
+	const _inputSpline = (p, a, b, c, d) => {
+		const count = Math.max(1, Math.ceil(Math.hypot(c.x - b.x, c.y - b.y) / input.spacing));
+		let lx = b.x, ly = b.y;
+		for (let i = 1; i <= count; i++) {
+			const t = i / count;
+			const x = _cardinal(a.x, b.x, c.x, d.x, t), y = _cardinal(a.y, b.y, c.y, d.y, t);
+			_inputSegment(p, x, y, lx, ly, lerp(b.pressure, c.pressure, t));
+			lx = x; ly = y;
+		}
+	};
+
+	const _inputSample = (p, sx, sy, pressure) => {
+		if (input.smoothing === "lazy") {
+			const dx = sx - p.x, dy = sy - p.y;
+			const dist = Math.hypot(dx, dy);
+			if (dist <= input.lazyRadius) return;
+			const k = (dist - input.lazyRadius) / dist;
+			_inputSegment(p, p.x + dx * k, p.y + dy * k, p.x, p.y, pressure);
+		} else if (input.smoothing === "spline") {
+			const ring = p.ring;
+			ring.push({ x: sx, y: sy, pressure });
+			if (ring.length > 4) ring.shift();
+			if (ring.length === 3) _inputSpline(p, ring[0], ring[0], ring[1], ring[2]);
+			else if (ring.length === 4) _inputSpline(p, ring[0], ring[1], ring[2], ring[3]);
+		} else {
+			_inputSegment(p, sx, sy, p.x, p.y, pressure);
+		}
+	};
+
+	const _inputRead = (p, e) => {
+		const rect = input.el.getBoundingClientRect();
+		const x = e.clientX - rect.left, y = e.clientY - rect.top;
+		const dt = Math.max(1, e.timeStamp - p.t);
+		// Exponentially smoothed velocity in px/ms
+		p.vx = lerp(p.vx, (x - p.rawX) / dt, 0.4);
+		p.vy = lerp(p.vy, (y - p.rawY) / dt, 0.4);
+		p.speed = Math.hypot(p.vx, p.vy);
+		p.rawX = x; p.rawY = y; p.t = e.timeStamp;
+		p.tiltX = e.tiltX || 0; p.tiltY = e.tiltY || 0;
+		// Mice report 0.5 while pressed; pens without pressure report 0
+		p.pressure = p.down ? (e.pressure || 0.5) : 0;
+		return { x, y };
+	};
+
+	const _onPointerDown = (e) => {
+		const p = {
+			id: e.pointerId, type: e.pointerType, down: true, ring: [],
+			x: 0, y: 0, rawX: 0, rawY: 0, t: e.timeStamp, vx: 0, vy: 0, speed: 0, pressure: 0, tiltX: 0, tiltY: 0,
+		};
+		const pos = _inputRead(p, e);
+		p.x = p.rawX = pos.x; p.y = p.rawY = pos.y;
+		// The first read has no previous position to measure velocity from
+		p.vx = p.vy = p.speed = 0;
+		p.ring.push({ x: pos.x, y: pos.y, pressure: p.pressure });
+		input.pointers.set(p.id, p);
+		if (input.el.setPointerCapture) input.el.setPointerCapture(e.pointerId);
+		_inputEmit("begin", { id: p.id, type: p.type, x: p.x, y: p.y, px: p.x, py: p.y, pressure: p.pressure, tiltX: p.tiltX, tiltY: p.tiltY, vx: 0, vy: 0, speed: 0 });
+	};
+
+	const _onPointerMove = (e) => {
+		const p = input.pointers.get(e.pointerId);
+		if (!p) return;
+		const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+		for (const ev of (events.length ? events : [e])) {
+			const pos = _inputRead(p, ev);
+			_inputSample(p, pos.x, pos.y, p.pressure);
+		}
+	};
+
+	const _onPointerUp = (e) => {
+		const p = input.pointers.get(e.pointerId);
+		if (!p) return;
+		const ring = p.ring;
+		if (input.smoothing === "spline" && ring.length >= 2) {
+			const n = ring.length;
+			_inputSpline(p, ring[Math.max(0, n - 3)], ring[n - 2], ring[n - 1], ring[n - 1]);
+		}
+		input.pointers.delete(e.pointerId);
+		_inputEmit("end", { id: p.id, type: p.type, x: p.x, y: p.y, px: p.x, py: p.y, pressure: 0, tiltX: p.tiltX, tiltY: p.tiltY, vx: p.vx, vy: p.vy, speed: p.speed });
+	};
+
+	const _inputDetach = () => {
+		if (!input.el) return;
+		input.el.removeEventListener("pointerdown", _onPointerDown);
+		input.el.removeEventListener("pointermove", _onPointerMove);
+		input.el.removeEventListener("pointerup", _onPointerUp);
+		input.el.removeEventListener("pointercancel", _onPointerUp);
+		input.el = null;
+		input.pointers.clear();
+	};
+
+	// --- Command Protocol ---
+	// JSON form of a call: { op: "circle", args: [x, y, r, fill] }. `layer` nests its calls in `commands`.
+	const commandOps = [
+		"cls", "clear", "mode", "clipStart", "clipEnd", "clipReset", "grid", "organic",
+		"layer", "layerSet", "layerClear", "layerDelete", "composite",
+		"push", "pop", "translate", "rotate", "scale", "origin",
+		"rect", "circle", "line", "shape", "poly", "path", "clipPath", "blob", "image",
+		"stamp", "brushStroke", "marker", "brush", "dry", "wet", "wetSoft", "wetHeavy", "oil", "knife", "splatter", "glow", "filter",
+		"seed", "noiseSeed",
+	];
+	const recorders = [];
+	let recordOriginals = null;
+	let recordDepth = 0;
+	let userRecorder = null;
+
+	const _cloneArg = (v) => {
+		if (Array.isArray(v)) return v.map(_cloneArg);
+		if (v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype) {
+			const out = {};
+			for (const k in v) out[k] = _cloneArg(v[k]);
+			return out;
+		}
+		return v;
+	};
+
+	const _validateCommands = (list, path) => {
+		if (!Array.isArray(list)) throw new Error(`RAY.js: exec() expects an array of commands at ${path}.`);
+		list.forEach((cmd, i) => {
+			const at = `${path}[${i}]`;
+			if (!cmd || typeof cmd.op !== "string") throw new Error(`RAY.js: command ${at} is missing an "op" string.`);
+			if (!commandOps.includes(cmd.op)) throw new Error(`RAY.js: command ${at} has unknown op "${cmd.op}".`);
+			if (cmd.args != null && !Array.isArray(cmd.args)) throw new Error(`RAY.js: command ${at} "args" must be an array.`);
+			// Recorded image calls hold the source object itself; JSON cannot carry one
+			if (cmd.op === "image" && !_sourceSize((cmd.args || [])[0])) {
+				throw new Error(`RAY.js: command ${at} "image" needs a loaded image, canvas, ImageData or buffer as its source.`);
+			}
+			if (cmd.commands != null) _validateCommands(cmd.commands, `${at}.commands`);
+		});
+	};
+
+	const _hasOp = (list, op) => list.some(cmd => cmd.op === op || (cmd.commands != null && _hasOp(cmd.commands, op)));
+
+	const _runCommands = (list) => {
+		for (const cmd of list) {
+			// JSON has no undefined; null args fall back to the method's defaults.
+			const args = (cmd.args || []).map(a => (a === null ? undefined : a));
+			if (cmd.commands) args.push(() => _runCommands(cmd.commands));
+			api[cmd.op](...args);
+		}
+	};
+
+	// Only top-level calls are captured; brushes calling `api.stamp` internally stay out of the log.
+	// Several recorders (user `record()`, history strokes) can listen at once.
+	const _recordOp = (name, fn) => (...args) => {
+		if (!recorders.length || recordDepth > 0) return fn(...args);
+		// `path()` only hands out a builder; its fill/stroke/clip records the finished segments
+		if (name === "path" && args[0] === undefined) return fn(...args);
+		const kept = args.filter(a => typeof a !== "function").map(_cloneArg);
+		while (kept.length && kept[kept.length - 1] === undefined) kept.pop();
+		const active = recorders.slice();
+		const entries = active.map((rec) => {
+			const entry = { op: name, args: _cloneArg(kept) };
+			rec.sink.push(entry);
+			return entry;
+		});
+		const callArgs = args.map((arg) => {
+			if (typeof arg !== "function") return arg;
+			const nested = entries.map(entry => (entry.commands = []));
+			return (...cbArgs) => {
+				const prevSinks = active.map(rec => rec.sink);
+				const prevDepth = recordDepth;
+				active.forEach((rec, i) => { rec.sink = nested[i]; });
+				recordDepth = 0;
+				try { return arg(...cbArgs); } finally {
+					active.forEach((rec, i) => { rec.sink = prevSinks[i]; });
+					recordDepth = prevDepth;
+				}
+			};
+		});
+		recordDepth++;
+		try { return fn(...callArgs); } finally { recordDepth--; }
+	};
+
+	const _recordStart = () => {
+		const rec = { sink: [], log: null };
+		rec.log = rec.sink;
+		if (!recordOriginals) {
+			recordOriginals = {};
+			for (const op of commandOps) {
+				recordOriginals[op] = api[op];
+				api[op] = _recordOp(op, recordOriginals[op]);
+			}
+		}
+		recorders.push(rec);
+		return rec;
+	};
+
+	const _recordStop = (rec) => {
+		const i = recorders.indexOf(rec);
+		if (i >= 0) recorders.splice(i, 1);
+		if (!recorders.length && recordOriginals) {
+			for (const op of commandOps) api[op] = recordOriginals[op];
+			recordOriginals = null;
+			recordDepth = 0;
+		}
+		return rec.log;
+	};
+
+	// --- Diagnostics ---
+	// Opt-in argument checking for top-level calls (`debug(true)`, or "strict" to throw on errors).
+	// Each problem is logged once per call and message with a suggested fix; repeats only bump `count`.
+	// A bad call that would draw nothing, throw deep inside the canvas or be ignored is skipped.
+	let debugLevel = false;
+	let debugInstalled = false;
+	let debugDepth = 0;
+	let clipDepth = 0;
+	const diagnostics = new Map();
+	const blendModes = [
+		"source-over", "source-in", "source-out", "source-atop", "destination-over", "destination-in",
+		"destination-out", "destination-atop", "lighter", "copy", "xor", ...svgBlendModes,
+	];
+	const brushArgs = ["x:n", "y:n", "px:n", "py:n", "pressure:p?", "color:c?"];
+	// "name:kind", `?` = optional. n number, r size >= 0, a/p 0..1, c color or fill, pts point list
+	const debugArgs = {
+		cls: ["color:c?"],
+		mode: ["type:blend"],
+		grid: ["type:grid", "spacing:r?", "color:c?"],
+		translate: ["x:n", "y:n?"],
+		rotate: ["angle:n"],
+		scale: ["sx:n", "sy:n?"],
+		origin: ["x:n?", "y:n?"],
+		rect: ["x:n", "y:n", "w:n", "h:n", "fill:c?", "stroke:c?"],
+		circle: ["x:n", "y:n", "r:r", "fill:c?", "stroke:c?"],
+		line: ["x1:n", "y1:n", "x2:n", "y2:n", "color:c?", "width:r?"],
+		shape: ["points:pts", "fill:c?", "stroke:c?"],
+		poly: ["x:n", "y:n", "r:r", "sides:sides", "angle:n?", "fill:c?", "stroke:c?"],
+		blob: ["x:n", "y:n", "r:r", "seed:n?", "fill:c?", "alpha:a?"],
+		stamp: ["x:n", "y:n", "r:r", "alpha:a", "color:c?"],
+		brushStroke: ["name:brush", ...brushArgs],
+		marker: brushArgs, brush: brushArgs, dry: brushArgs, oil: brushArgs, knife: brushArgs,
+		wet: brushArgs, wetSoft: brushArgs, wetHeavy: brushArgs,
+		splatter: ["x:n", "y:n", "intensity:r", "color:c?", "size:r?"],
+		glow: ["level:r", "color:c?"],
+		image: ["source:src", "x:n?", "y:n?", "w:r?", "h:r?"],
+		clipStart: [], clipPath: [], clipReset: [], pop: [],
+	};
+
+	// Closest known name, for "did you mean" fixes
+	const _closest = (value, names) => {
+		const v = String(value).toLowerCase();
+		let best = null, bestD = Infinity;
+		for (const name of names) {
+			const prev = Array.from({ length: name.length + 1 }, (_, i) => i);
+			for (let i = 1; i <= v.length; i++) {
+				let diag = prev[0];
+				prev[0] = i;
+				for (let j = 1; j <= name.length; j++) {
+					const tmp = prev[j];
+					prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (v[i - 1] === name[j - 1] ? 0 : 1));
+					diag = tmp;
+				}
+			}
+			if (prev[name.length] < bestD) { bestD = prev[name.length]; best = name; }
+		}
+		return bestD <= Math.max(2, v.length / 2) ? best : null;
+	};
+
+	const _oneOf = (value, names, what) => {
+		const near = _closest(value, names);
+		return near ? `Did you mean "${near}"? Known ${what}: ${names.join(", ")}.` : `Use one of: ${names.join(", ")}.`;
+	};
+
+	// Problem with one argument as [level, message, fix], or null when it is fine
+	const _checkArg = (kind, name, v) => {
+		const optional = kind.endsWith("?");
+		const k = optional ? kind.slice(0, -1) : kind;
+		if (v == null) return optional ? null : ["error", `${name} is missing.`, `Pass ${name}.`];
+		const isNum = typeof v === "number";
+		if (k === "n" || k === "r" || k === "a" || k === "p" || k === "sides") {
+			if (!isNum) return ["error", `${name} must be a number, got ${typeof v} ${JSON.stringify(v)}.`, `Pass a number for ${name}.`];
+			if (!Number.isFinite(v)) return ["error", `${name} is ${v}.`, `Check the math producing ${name} (division by zero, undefined fields).`];
+			if (k === "r" && v < 0) return ["error", `${name} is negative (${v}).`, `Use Math.abs(${name}) or clamp it to 0.`];
+			if ((k === "a" || k === "p") && (v < 0 || v > 1)) return ["warning", `${name} ${v} is outside 0..1 and gets clamped.`, `Keep ${name} within 0..1.`];
+			if (k === "sides" && v < 3) return ["warning", `${name} ${v} is below 3.`, "Use 3 or more sides."];
+			return null;
+		}
+		if (k === "c") {
+			if (typeof v === "string") return _rgba(v) ? null : ["error", `${name} "${v}" is not a color, so the previous color is used.`, "Use a CSS color, e.g. \"#ff3366\" or \"rgba(255, 0, 0, 0.5)\"."];
+			return typeof v === "object" ? null : ["error", `${name} must be a color string or fill, got ${typeof v}.`, "Use a CSS color or ray.linear/radial/conic/pattern."];
+		}
+		if (k === "pts") {
+			const ok = Array.isArray(v) && v.length >= 2 && v.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+			return ok ? null : ["error", `${name} must be at least 2 [x, y] pairs of finite numbers.`, "Pass points like [[0, 0], [10, 0], [5, 8]]."];
+		}
+		if (k === "blend") return blendModes.includes(v) ? null : ["error", `Unknown blend mode "${v}".`, _oneOf(v, blendModes, "modes")];
+		if (k === "grid") return gridRatios[v] != null ? null : ["error", `Unknown grid type "${v}".`, _oneOf(v, Object.keys(gridRatios), "types")];
+		if (k === "brush") return brushSpecs.has(v) ? null : ["error", `Unknown brush "${v}".`, _oneOf(v, [...brushSpecs.keys()], "brushes")];
+		if (k === "src") return _sourceSize(v) ? null : ["warning", `${name} has no size yet (not loaded?).`, "Draw images after they load, e.g. in img.onload or after await img.decode()."];
+		return null;
+	};
+
+	const _diagnose = (level, call, args, message, fix) => {
+		const key = `${level}|${call}|${message}`;
+		let entry = diagnostics.get(key);
+		if (entry) entry.count++;
+		else {
+			entry = { level, call, args: args.filter(a => typeof a !== "function").map(_cloneArg), message, fix, count: 1 };
+			if (diagnostics.size < 200) diagnostics.set(key, entry);
+		}
+		if (level === "error" && debugLevel === "strict") {
+			const err = new Error(`RAY.js: ${call}(): ${message} ${fix}`);
+			err.diagnostic = entry;
+			throw err;
+		}
+	};
+
+	const _debugOp = (name, fn) => (...args) => {
+		if (!debugLevel || debugDepth > 0) return fn(...args);
+		if (!ctx) _diagnose("warning", name, args, `${name}() before init() does nothing.`, "Call ray.init() first.");
+		let ok = true;
+		debugArgs[name].forEach((spec, i) => {
+			const [argName, kind] = spec.split(":");
+			const problem = _checkArg(kind, argName, args[i]);
+			if (!problem) return;
+			_diagnose(problem[0], name, args, problem[1], problem[2]);
+			if (problem[0] === "error") ok = false;
+		});
+		if (name === "clipReset" && clipDepth === 0) {
+			_diagnose("error", name, args, "clipReset() without an open clipStart()/clipPath() restores state it did not save.", "Pair every clipStart() or clipPath() with exactly one clipReset().");
+			ok = false;
+		}
+		if (name === "pop" && !xformStack.length) _diagnose("warning", name, args, "pop() without push() does nothing.", "Pair every push() with one pop().");
+		if (!ok) return api;
+		if (ctx && (name === "clipStart" || name === "clipPath")) clipDepth++;
+		if (ctx && name === "clipReset") clipDepth--;
+		// User callbacks (glow's drawFn) make top-level calls of their own, so they are checked again
+		const callArgs = args.map((arg) => {
+			if (typeof arg !== "function") return arg;
+			return (...cbArgs) => {
+				const prevDepth = debugDepth;
+				debugDepth = 0;
+				try { return arg(...cbArgs); } finally { debugDepth = prevDepth; }
+			};
+		});
+		debugDepth++;
+		try { return fn(...callArgs); } finally { debugDepth--; }
+	};
+
+	// Balance checks after each loop frame: open clips leak ctx.save() depth every frame
+	const _debugFrameEnd = () => {
+		if (clipDepth > 0) _diagnose("error", "frame", [clipDepth], "A clip is still open at the end of the frame; the canvas save stack grows every frame.", "Close each clipStart()/clipPath() with clipReset() inside the same frame.");
+		if (xformStack.length) _diagnose("warning", "frame", [xformStack.length], "push() without pop() at the end of the frame.", "Pair every push() with one pop() inside the frame.");
+	};
+
+	const _debugInstall = () => {
+		if (debugInstalled) return;
+		debugInstalled = true;
+		for (const op in debugArgs) {
+			api[op] = _debugOp(op, api[op]);
+			// Recording restores these when it stops, so they need the checks too
+			if (recordOriginals && recordOriginals[op]) recordOriginals[op] = _debugOp(op, recordOriginals[op]);
+		}
+	};
+
+	// --- History ---
+	// Committed strokes are command lists plus the PRNG seed, noise seed and draw state they started
+	// with, so stochastic brushes replay identically. Undo restores the nearest pixel checkpoint and replays
+	// forward from it; at most `snapshots` snapshots, covering `depth` strokes or fewer, stay alive.
+	const history = {
+		log: [],
+		cursor: 0,
+		base: 0,
+		depth: 50,
+		interval: 10,
+		snapshots: 4,
+		checkpoints: new Map(),
+		open: null,
+	};
 
-	// Simple Permutation-based Noise
-	const noise_p = new Uint8Array(512);
-	let noise_initialized = false;
-	const _initNoise = () => {
-		for (let i = 0; i < 256; i++) noise_p[i] = i;
-		for (let i = 255; i > 0; i--) {
-			const r = Math.floor(Math.random() * (i + 1));
-			const tmp = noise_p[i];
-			noise_p[i] = noise_p[r];
-			noise_p[r] = tmp;
+	const _snapshot = () => {
+		const main = svg ? svg.prevCtx : canvas.getContext("2d");
+		const snap = { main: main.getImageData(0, 0, canvas.width, canvas.height), layers: new Map() };
+		layers.forEach((layer, id) => {
+			const b = layer.buffer;
+			snap.layers.set(id, b.ctx.getImageData(0, 0, b.canvas.width, b.canvas.height));
+		});
+		return snap;
+	};
+
+	const _restoreSnapshot = (snap) => {
+		const main = svg ? svg.prevCtx : canvas.getContext("2d");
+		main.putImageData(snap.main, 0, 0);
+		layers.forEach((layer, id) => {
+			const data = snap.layers.get(id);
+			if (data) layer.buffer.ctx.putImageData(data, 0, 0);
+			else api.layerClear(id);
+		});
+	};
+
+	// Imported logs are checked whole before anything draws, like `exec`
+	const _validateStroke = (stroke, at) => {
+		if (!stroke || typeof stroke !== "object") throw new Error(`RAY.js: stroke ${at} is not an object.`);
+		if (!Number.isInteger(stroke.seed) || stroke.seed < 0 || stroke.seed >= 4294967296) {
+			throw new Error(`RAY.js: stroke ${at} "seed" must be an integer in 0..2^32-1.`);
 		}
-		for (let i = 0; i < 256; i++) noise_p[i + 256] = noise_p[i];
-		noise_initialized = true;
+		if (!Number.isInteger(stroke.noiseSeed) || stroke.noiseSeed < 0 || stroke.noiseSeed >= 4294967296) {
+			throw new Error(`RAY.js: stroke ${at} "noiseSeed" must be an integer in 0..2^32-1.`);
+		}
+		if (!Array.isArray(stroke.xform) || stroke.xform.length !== 6 || !stroke.xform.every(Number.isFinite)) {
+			throw new Error(`RAY.js: stroke ${at} "xform" must be an array of 6 finite numbers.`);
+		}
+		if (typeof stroke.mode !== "string") throw new Error(`RAY.js: stroke ${at} "mode" must be a string.`);
+		if (!Array.isArray(stroke.glow) || !Number.isFinite(stroke.glow[0])) {
+			throw new Error(`RAY.js: stroke ${at} "glow" must be [level, color].`);
+		}
+		_validateCommands(stroke.commands, `${at}.commands`);
 	};
-	const _fade = t => t * t * t * (t * (t * 6 - 15) + 10);
-	const _grad = (hash, x, y, z) => {
-		const h = hash & 15;
-		const u = h < 8 ? x : y;
-		const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
-		return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+
+	// Run strokes on the main canvas with their own seeds and transform; the caller's state survives.
+	const _replayStrokes = (strokes, fit = identity) => {
+		const prev = { ctx, width, height, xform, rand, noiseHash, mode: ctx.globalCompositeOperation, glowLevel: state.glowLevel, glowColor: state.glowColor };
+		if (canvas && ctx !== (svg ? svg.raster.ctx : canvas.getContext("2d"))) api.restore();
+		recordDepth++;
+		try {
+			for (const stroke of strokes) {
+				rand = _mulberry32(stroke.seed);
+				if (stroke.noiseSeed !== noiseHash) _noiseTable(stroke.noiseSeed);
+				xform = _mul(fit, stroke.xform);
+				_applyTransform();
+				ctx.globalCompositeOperation = stroke.mode;
+				api.glow(stroke.glow[0], stroke.glow[1]);
+				_runCommands(stroke.commands);
+			}
+		} finally {
+			recordDepth--;
+			ctx.globalCompositeOperation = prev.mode;
+			api.glow(prev.glowLevel, prev.glowColor);
+			rand = prev.rand;
+			if (prev.noiseHash === null) noiseHash = null;
+			else if (prev.noiseHash !== noiseHash) _noiseTable(prev.noiseHash);
+			xform = prev.xform;
+			if (ctx !== prev.ctx) api.target(prev.ctx, prev.width, prev.height);
+			else _applyTransform();
+		}
 	};
-	const noise = (x, y = 0, z = 0) => {
-		if (!noise_initialized) _initNoise();
-		const X = Math.floor(x) & 255, Y = Math.floor(y) & 255, Z = Math.floor(z) & 255;
-		x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
-		const u = _fade(x), v = _fade(y), w = _fade(z);
-		const A = noise_p[X] + Y, AA = noise_p[A] + Z, AB = noise_p[A + 1] + Z;
-		const B = noise_p[X + 1] + Y, BA = noise_p[B] + Z, BB = noise_p[B + 1] + Z;
-		return lerp(lerp(lerp(_grad(noise_p[AA], x, y, z), _grad(noise_p[BA], x - 1, y, z), u),
-			lerp(_grad(noise_p[AB], x, y - 1, z), _grad(noise_p[BB], x - 1, y - 1, z), u), v),
-			lerp(lerp(_grad(noise_p[AA + 1], x, y, z - 1), _grad(noise_p[BA + 1], x - 1, y, z - 1), u),
-				lerp(_grad(noise_p[AB + 1], x, y - 1, z - 1), _grad(noise_p[BB + 1], x - 1, y - 1, z - 1), u), v), w);
+
+	const _historyRebuild = (index) => {
+		let c = index;
+		while (c > history.base && !history.checkpoints.has(c)) c--;
+		_restoreSnapshot(history.checkpoints.get(c));
+		_replayStrokes(history.log.slice(c, index));
 	};
 
-	const paintBlob = (x, y, radius, alpha, color, seed = 0, stretchX = 1, stretchY = 1) => {
-		if (!ctx || radius <= 0) return;
-		const segments = Math.max(10, Math.floor(radius * 0.7));
-		const jitter = radius * 0.38;
-		const oldAlpha = ctx.globalAlpha;
-		ctx.globalAlpha = alpha;
-		setFill(color);
-		ctx.beginPath();
-		for (let i = 0; i <= segments; i++) {
-			const t = i / segments;
-			const a = t * Math.PI * 2;
-			const n = noise(Math.cos(a) * 0.8 + seed, Math.sin(a) * 0.8 - seed, seed * 0.2 + t);
-			const rr = radius + (n - 0.5) * jitter + (Math.random() - 0.5) * jitter * 0.22;
-			const px = x + Math.cos(a) * rr * stretchX;
-			const py = y + Math.sin(a) * rr * stretchY;
-			if (i === 0) ctx.moveTo(px, py);
-			else ctx.lineTo(px, py);
+	const _historyTrim = () => {
+		while (history.cursor - history.base > history.depth) {
+			let next = history.base + 1;
+			while (next < history.cursor && !history.checkpoints.has(next)) next++;
+			if (!history.checkpoints.has(next) || history.cursor - next < history.depth) break;
+			history.checkpoints.delete(history.base);
+			history.base = next;
+		}
+		// Each snapshot is a full-resolution copy of the canvas and every layer. Past the cap the
+		// oldest goes, which shortens undo, but never past the current step.
+		while (history.checkpoints.size > history.snapshots) {
+			let next = history.base + 1;
+			while (next <= history.cursor && !history.checkpoints.has(next)) next++;
+			if (next > history.cursor) break;
+			history.checkpoints.delete(history.base);
+			history.base = next;
 		}
-		ctx.closePath();
-		ctx.fill();
-		ctx.globalAlpha = oldAlpha;
 	};
 
-	const paintDrip = (x, y, len, widthValue, alpha, color, wobble = 0) => {
-		if (!ctx || len <= 0 || widthValue <= 0) return;
-		const oldAlpha = ctx.globalAlpha;
-		ctx.globalAlpha = alpha;
-		setFill(color);
-		ctx.beginPath();
-		ctx.moveTo(x - widthValue * 0.5, y);
-		ctx.quadraticCurveTo(x - widthValue * (0.25 + wobble), y + len * 0.35, x - widthValue * 0.22, y + len * 0.82);
-		ctx.quadraticCurveTo(x, y + len * 1.08, x + widthValue * 0.22, y + len * 0.82);
-		ctx.quadraticCurveTo(x + widthValue * (0.25 - wobble), y + len * 0.35, x + widthValue * 0.5, y);
-		ctx.closePath();
-		ctx.fill();
-		ctx.globalAlpha = oldAlpha;
+	const _historyReset = () => {
+		if (history.open) _recordStop(history.open.rec);
+		history.log = []; history.cursor = 0; history.base = 0;
+		history.checkpoints.clear(); history.open = null;
 	};
 
-	const setFill = (fill) => {
-		if (fill == null) return false;
-		if (fill !== lastFill) {
-			ctx.fillStyle = fill;
-			lastFill = fill;
+	// --- Loops ---
+	// Each named loop keeps its own clock: `t` is loop time in ms (scaled, pausable, seekable); the rAF
+	// timestamp callbacks used to get as `t` is passed as `now`. Fixed-step loops consume real time
+	// through an accumulator, so the same seed renders the same frames on any display refresh rate.
+	const loops = new Map();
+
+	const _loopNames = name => (name == null ? [...loops.keys()] : [name]);
+
+	// Glow set during a frame ends with it; glow set before `loop()` keeps applying to every frame
+	const _loopCall = (lp, dt) => {
+		const glow = { glowLevel: state.glowLevel, glowColor: state.glowColor };
+		if (lp.callback.length >= 2) lp.callback(lp.t, dt, lp.frame, lp.now);
+		else lp.callback({ t: lp.t, dt, frame: lp.frame, now: lp.now });
+		if (state.glowLevel !== glow.glowLevel || state.glowColor !== glow.glowColor) { Object.assign(state, glow); _applyGlow(); }
+		if (debugLevel) _debugFrameEnd();
+		if (wetSim && dt > 0 && _wetOwner(wetSim) === lp.name) _wetStep(wetSim, dt);
+	};
+
+	// Advance by `elapsed` ms of real time; returns whether anything was drawn
+	const _loopAdvance = (lp, elapsed) => {
+		const scaled = elapsed * lp.timeScale;
+		if (!lp.step) {
+			lp.t += scaled;
+			_loopCall(lp, scaled);
+			lp.frame++;
+			return true;
 		}
-		return true;
+		lp.acc += scaled;
+		let n = 0;
+		while (lp.acc >= lp.step && n < lp.maxSteps) {
+			lp.t += lp.step;
+			lp.acc -= lp.step;
+			_loopCall(lp, lp.step);
+			lp.frame++;
+			n++;
+		}
+		// Too far behind (tab in background, breakpoint): drop the backlog instead of spiralling
+		if (n === lp.maxSteps) lp.acc %= lp.step;
+		return n > 0;
 	};
 
-	const setStroke = (stroke, widthValue = 1) => {
-		if (stroke == null) return false;
-		if (stroke !== lastStroke) {
-			ctx.strokeStyle = stroke;
-			lastStroke = stroke;
+	// Exactly one frame whatever the time scale: one fixed step, or one nominal frame of scaled time
+	// (dt 0 while timeScale is 0)
+	const _loopStepOnce = (lp) => {
+		const dt = lp.step || (lp.interval || 1000 / 60) * lp.timeScale;
+		lp.t += dt;
+		_loopCall(lp, dt);
+		lp.frame++;
+	};
+
+	const _loopTick = (lp, time) => {
+		if (loops.get(lp.name) !== lp) return;
+		lp.raf = lp.scheduler.request(now => _loopTick(lp, now != null ? now : _now()));
+		lp.now = time;
+		if (lp.paused) { lp.last = time; return; }
+		const elapsed = time - lp.last;
+		// Target fps: skip rAF ticks until a frame interval has passed (1ms slack for timer jitter)
+		if (lp.interval && elapsed < lp.interval - 1) return;
+		lp.last = time;
+		if (_loopAdvance(lp, elapsed)) _compositeFrame();
+	};
+
+	const _loopCancel = (lp) => {
+		if (lp.raf != null && lp.scheduler && lp.scheduler.cancel) lp.scheduler.cancel(lp.raf);
+		lp.raf = null;
+	};
+
+	// --- Capture ---
+	// Offline frame export. Encoders are self-contained: a store-only zip writer and a GIF89a
+	// encoder (median-cut palette per frame + LZW), so no dependency is needed for file hand-off.
+	const _bytes = (size = 1 << 16) => {
+		let buf = new Uint8Array(size), n = 0;
+		const grow = (k) => {
+			if (n + k <= buf.length) return;
+			const next = new Uint8Array(Math.max(buf.length * 2, n + k));
+			next.set(buf); buf = next;
+		};
+		return {
+			byte(b) { grow(1); buf[n++] = b; },
+			word(w) { grow(2); buf[n++] = w & 255; buf[n++] = (w >> 8) & 255; },
+			dword(d) { grow(4); for (let i = 0; i < 4; i++) buf[n++] = (d >>> (i * 8)) & 255; },
+			bytes(arr) { grow(arr.length); buf.set(arr, n); n += arr.length; },
+			data() { return buf.slice(0, n); },
+		};
+	};
+
+	let crcTable = null;
+	const _crc32 = (data) => {
+		if (!crcTable) {
+			crcTable = new Uint32Array(256);
+			for (let i = 0; i < 256; i++) {
+				let c = i;
+				for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+				crcTable[i] = c >>> 0;
+			}
 		}
-		if (widthValue != null && widthValue !== lastLineWidth) {
-			ctx.lineWidth = widthValue;
-			lastLineWidth = widthValue;
+		let crc = 0xffffffff;
+		for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 255] ^ (crc >>> 8);
+		return (crc ^ 0xffffffff) >>> 0;
+	};
+
+	// Uncompressed zip: PNGs are already deflated, so storing them costs nothing
+	const _zip = (files) => {
+		const out = _bytes();
+		const central = _bytes();
+		let offset = 0;
+		for (const { name, data } of files) {
+			const nameBytes = new TextEncoder().encode(name);
+			const crc = _crc32(data);
+			const header = (w, isCentral) => {
+				w.dword(isCentral ? 0x02014b50 : 0x04034b50);
+				if (isCentral) w.word(20);
+				w.word(20); w.word(0); w.word(0); w.word(0); w.word(0x21); // version, flags, stored, 1980-01-01
+				w.dword(crc); w.dword(data.length); w.dword(data.length);
+				w.word(nameBytes.length); w.word(0);
+				if (isCentral) { w.word(0); w.word(0); w.word(0); w.dword(0); w.dword(offset); }
+				w.bytes(nameBytes);
+			};
+			header(out, false);
+			out.bytes(data);
+			header(central, true);
+			offset += 30 + nameBytes.length + data.length;
 		}
-		return true;
+		const dir = central.data();
+		out.bytes(dir);
+		out.dword(0x06054b50); out.word(0); out.word(0);
+		out.word(files.length); out.word(files.length);
+		out.dword(dir.length); out.dword(offset); out.word(0);
+		return out.data();
 	};
 
-	const syncStyles = () => {
-		if (!ctx) return;
-		lastFill = ctx.fillStyle;
-		lastStroke = ctx.strokeStyle;
-		lastLineWidth = ctx.lineWidth;
+	// Median cut over a pixel sample; returns packed RGB entries (at most `count`)
+	const _quantize = (rgba, count) => {
+		const stride = Math.max(1, Math.floor(rgba.length / 4 / 65536));
+		const px = [];
+		for (let i = 0; i < rgba.length; i += 4 * stride) {
+			if (rgba[i + 3] >= 128) px.push((rgba[i] << 16) | (rgba[i + 1] << 8) | rgba[i + 2]);
+		}
+		if (!px.length) return [0];
+		const range = (box) => {
+			const lo = [255, 255, 255], hi = [0, 0, 0];
+			for (const c of box) {
+				for (let k = 0; k < 3; k++) {
+					const v = (c >> (16 - k * 8)) & 255;
+					if (v < lo[k]) lo[k] = v;
+					if (v > hi[k]) hi[k] = v;
+				}
+			}
+			const spans = hi.map((h, k) => h - lo[k]);
+			const axis = spans.indexOf(Math.max(...spans));
+			return { box, axis, score: spans[axis] * box.length };
+		};
+		const boxes = [range(px)];
+		while (boxes.length < count) {
+			let pick = 0;
+			for (let i = 1; i < boxes.length; i++) if (boxes[i].score > boxes[pick].score) pick = i;
+			const { box, axis, score } = boxes[pick];
+			if (!score) break;
+			const shift = 16 - axis * 8;
+			box.sort((a, b) => ((a >> shift) & 255) - ((b >> shift) & 255));
+			const mid = box.length >> 1;
+			boxes.splice(pick, 1, range(box.slice(0, mid)), range(box.slice(mid)));
+		}
+		return boxes.map(({ box }) => {
+			let r = 0, g = 0, b = 0;
+			for (const c of box) { r += c >> 16; g += (c >> 8) & 255; b += c & 255; }
+			const n = box.length;
+			return (Math.round(r / n) << 16) | (Math.round(g / n) << 8) | Math.round(b / n);
+		});
 	};
 
-	const resize = () => {
-		if (!canvas || !ctx) return;
-		const dpr = window.devicePixelRatio || 1;
-		const rect = container === document.body ? { width: window.innerWidth, height: window.innerHeight } : container.getBoundingClientRect();
-		width = Math.floor(rect.width);
-		height = Math.floor(rect.height);
-		canvas.width = Math.floor(width * dpr);
-		canvas.height = Math.floor(height * dpr);
-		canvas.style.width = `${width}px`;
-		canvas.style.height = `${height}px`;
-		ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-		syncStyles();
+	// Code table keyed by (prefix << 8) | index, allocated once per encoder. An entry only counts while
+	// its stamp matches the current generation, so clearing the table is an increment, not a 2 MB fill.
+	const _lzwTable = () => ({ codes: new Int16Array(4096 * 256), stamps: new Uint16Array(4096 * 256), gen: 0 });
+
+	// GIF LZW with variable code size (2..12 bits), packed LSB-first into 255-byte sub-blocks
+	const _lzw = (indices, minCode, out, table) => {
+		const clear = 1 << minCode, eoi = clear + 1;
+		const { codes, stamps } = table;
+		const reset = () => {
+			if (++table.gen === 65536) { stamps.fill(0); table.gen = 1; }
+		};
+		reset();
+		let size = minCode + 1, next = eoi + 1;
+		let acc = 0, bits = 0;
+		const block = [];
+		const emit = (code) => {
+			acc |= code << bits; bits += size;
+			while (bits >= 8) {
+				block.push(acc & 255); acc >>>= 8; bits -= 8;
+				if (block.length === 255) { out.byte(255); out.bytes(block); block.length = 0; }
+			}
+		};
+		out.byte(minCode);
+		emit(clear);
+		let prefix = indices[0];
+		for (let i = 1; i < indices.length; i++) {
+			const k = indices[i];
+			const key = (prefix << 8) | k;
+			if (stamps[key] === table.gen) { prefix = codes[key]; continue; }
+			emit(prefix);
+			if (next === 4096) {
+				emit(clear);
+				reset();
+				size = minCode + 1; next = eoi + 1;
+			} else {
+				if (next >= 1 << size) size++;
+				codes[key] = next++;
+				stamps[key] = table.gen;
+			}
+			prefix = k;
+		}
+		emit(prefix);
+		emit(eoi);
+		if (bits > 0) block.push(acc & 255);
+		if (block.length) { out.byte(block.length); out.bytes(block); }
+		out.byte(0);
+	};
+
+	const _gifEncoder = (w, h, repeat = 0) => {
+		const out = _bytes(), table = _lzwTable();
+		out.bytes([71, 73, 70, 56, 57, 97]); // GIF89a
+		out.word(w); out.word(h); out.byte(0); out.byte(0); out.byte(0);
+		if (repeat >= 0) {
+			out.bytes([0x21, 0xff, 11, 78, 69, 84, 83, 67, 65, 80, 69, 50, 46, 48, 3, 1]); // NETSCAPE2.0
+			out.word(repeat); out.byte(0);
+		}
+		return {
+			frame(rgba, delay, colors = 256) {
+				let transparent = false;
+				for (let i = 3; i < rgba.length; i += 4) if (rgba[i] < 128) { transparent = true; break; }
+				const palette = _quantize(rgba, clamp(colors, 2, 256) - (transparent ? 1 : 0));
+				const key = transparent ? palette.length : -1;
+				const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length + (transparent ? 1 : 0))));
+				// 15-bit color → palette index, filled on demand
+				const lookup = new Int16Array(32768).fill(-1);
+				const indices = new Uint8Array(w * h);
+				for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+					if (rgba[i + 3] < 128) { indices[p] = key; continue; }
+					const slot = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+					let idx = lookup[slot];
+					if (idx < 0) {
+						let best = Infinity;
+						for (let j = 0; j < palette.length; j++) {
+							const c = palette[j];
+							const dr = (c >> 16) - rgba[i], dg = ((c >> 8) & 255) - rgba[i + 1], db = (c & 255) - rgba[i + 2];
+							const d = dr * dr + dg * dg + db * db;
+							if (d < best) { best = d; idx = j; }
+						}
+						lookup[slot] = idx;
+					}
+					indices[p] = idx;
+				}
+				out.bytes([0x21, 0xf9, 4, transparent ? (2 << 2) | 1 : 1 << 2]);
+				out.word(delay); out.byte(transparent ? key : 0); out.byte(0);
+				out.byte(0x2c); out.word(0); out.word(0); out.word(w); out.word(h);
+				out.byte(0x80 | (tableBits - 1));
+				for (let j = 0; j < 1 << tableBits; j++) {
+					const c = palette[j] || 0;
+					out.byte(c >> 16); out.byte((c >> 8) & 255); out.byte(c & 255);
+				}
+				_lzw(indices, Math.max(2, tableBits), out, table);
+			},
+			finish() { out.byte(0x3b); return out.data(); },
+		};
+	};
+
+	const _canvasBlob = (cnv, type = "image/png") => {
+		if (cnv.convertToBlob) return cnv.convertToBlob({ type });
+		if (cnv.toBlob) return new Promise(resolve => cnv.toBlob(resolve, type));
+		const url = cnv.toDataURL(type);
+		const bin = atob(url.slice(url.indexOf(",") + 1));
+		const data = new Uint8Array(bin.length);
+		for (let i = 0; i < bin.length; i++) data[i] = bin.charCodeAt(i);
+		return Promise.resolve(new Blob([data], { type }));
 	};
 
+	const _wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 	const api = {
 		noise,
+		noise4,
+		fbm,
+		turbulence,
+		ridged,
+		warp,
+		curl,
+		loopNoise,
 		lerp,
 		map,
 		clamp,
+		random,
+
+		/**
+		 * Poisson-disk points at least `minDist` apart inside `region`: [x, y, w, h], {x, y, r} or a
+		 * polygon (default the canvas). Options: `seed`, `tries` (30), `max`, `relax` (Lloyd iterations).
+		 */
+		scatter(region, minDist, opts) {
+			return _scatter(region, minDist, opts);
+		},
+
+		/** Voronoi cell polygon of each point (same order), clipped to `bounds` like a scatter region. */
+		voronoi(points, bounds) {
+			return _voronoi(points || [], bounds);
+		},
+
+		/** Delaunay triangles as [[x, y], [x, y], [x, y]]. */
+		delaunay(points) {
+			const pts = points || [];
+			return _delaunayIndices(pts).map(([a, b, c]) => [pts[a], pts[b], pts[c]]);
+		},
+
+		/** Lloyd relaxation: returns the points moved `iterations` times to their Voronoi cell centroids. */
+		relax(points, bounds, iterations = 1) {
+			return _relax(points || [], bounds, iterations);
+		},
+
+		/**
+		 * Seed the PRNG behind every brush, blob and `ray.random()` draw.
+		 * Also reseeds noise; call `noiseSeed()` afterwards to decouple them.
+		 */
+		seed(value = Math.random()) {
+			rand = _mulberry32(_hashSeed(value));
+			_initNoise(value);
+			return api;
+		},
+
+		noiseSeed(value = Math.random()) {
+			_initNoise(value);
+			return api;
+		},
+
 		get width() { return width; },
 		get height() { return height; },
-		get ctx() { return ctx; },
+		get ctx() { if (svg) svg.dirty = true; return ctx; },
+
+		/**
+		 * New independent instance with its own canvas, styles, loops, layers, history and seeds.
+		 * Runs `init(config)` when a config is given. The global `ray` stays the default instance.
+		 */
+		create(config) {
+			const instance = _createRay();
+			return config ? instance.init(config) : instance;
+		},
 
 		init(config = {}) {
 			if (canvas) api.destroy();
+			env.dpr = config.dpr > 0 ? config.dpr : 0;
+			env.size = config.width > 0 && config.height > 0 ? { width: config.width, height: config.height } : null;
+			env.createCanvas = config.createCanvas || null;
+			env.scheduler = config.scheduler || null;
+			// Page elements size the canvas only when no fixed size was given
+			const page = el => (el && el.parentNode) || (!env.size && _hasDOM() ? document.body : null);
 
 			if (config.context) {
 				ctx = config.context;
 				canvas = ctx ? ctx.canvas : null;
-				container = canvas && canvas.parentNode ? canvas.parentNode : document.body;
+				container = page(canvas);
 				ownsCanvas = false;
 			} else if (config.canvas) {
 				canvas = config.canvas;
 				ctx = canvas.getContext("2d", { alpha: true });
-				container = canvas.parentNode || document.body;
+				container = page(canvas);
 				ownsCanvas = false;
+			} else if (config.createCanvas || !_hasDOM()) {
+				// Headless: an offscreen canvas from the factory, never attached to a page
+				if (!env.size) throw new Error("RAY.js: init() without a page needs { width, height }.");
+				canvas = _createCanvas(Math.floor(env.size.width * _dpr()), Math.floor(env.size.height * _dpr()));
+				ctx = canvas.getContext("2d", { alpha: true });
+				container = null;
+				ownsCanvas = true;
 			} else {
 				container = config.parent || document.body;
 				canvas = document.createElement("canvas");
@@ -192,7 +3225,7 @@ const ray = (() => {
 
 			ctx.imageSmoothingEnabled = false;
 			resize();
-			if (!config.context && !config.canvas) {
+			if (ownsCanvas && container) {
 				if (window.ResizeObserver) {
 					resizeObserver = new ResizeObserver(() => resize());
 					resizeObserver.observe(container === document.body ? document.documentElement : container);
@@ -200,24 +3233,31 @@ const ray = (() => {
 					window.addEventListener("resize", resize, { passive: true });
 				}
 			}
+			if (config.backend === "svg") _svgBegin();
+			if (config.strict || config.debug) api.debug(config.strict ? "strict" : true);
 			return api;
 		},
 
 		target(newCtx, w, h) {
 			if (!newCtx) return api;
+			_readBase(newCtx);
 			ctx = newCtx;
 			width = w || (ctx.canvas ? ctx.canvas.width : width);
 			height = h || (ctx.canvas ? ctx.canvas.height : height);
+			_applyTransform();
+			_applyGlow();
 			syncStyles();
 			return api;
 		},
 
 		restore() {
 			if (canvas) {
-				const dpr = window.devicePixelRatio || 1;
-				ctx = canvas.getContext("2d");
+				const dpr = _dpr();
+				ctx = svg ? svg.raster.ctx : canvas.getContext("2d");
 				width = canvas.width / dpr;
 				height = canvas.height / dpr;
+				_applyTransform();
+				_applyGlow();
 				syncStyles();
 			}
 			return api;
@@ -225,33 +3265,199 @@ const ray = (() => {
 
 		destroy() {
 			if (resizeObserver) { resizeObserver.disconnect(); resizeObserver = null; }
-			window.removeEventListener("resize", resize);
+			if (typeof window !== "undefined" && window.removeEventListener) window.removeEventListener("resize", resize);
 			if (canvas && canvas.parentNode && ownsCanvas) { canvas.parentNode.removeChild(canvas); }
-			canvas = null; ctx = null; running = false;
+			_inputDetach();
+			_historyReset();
+			input.painter = null;
+			input.handlers = { begin: [], move: [], end: [] };
+			api.stop();
+			wetSim = null;
+			clipDepth = 0;
+			canvas = null; ctx = null; svg = null;
+			layers.clear();
+			xform = identity; xformStack.length = 0;
 			ownsCanvas = false;
 			return api;
 		},
 
-		mode(type) { if (ctx) ctx.globalCompositeOperation = type; return api; },
-		clipStart() { if (!ctx) return api; ctx.save(); ctx.beginPath(); return api; },
-		clipEnd() { if (!ctx) return api; ctx.clip(); return api; },
-		clipReset() { if (!ctx) return api; ctx.restore(); syncStyles(); return api; },
-		layer(id, callback) { if (typeof callback === "function") callback(id); return api; },
+		mode(type) {
+			if (svg) {
+				_svgFlush();
+				svg.blend = type;
+				if (type !== "source-over" && !svgBlendModes.includes(type)) {
+					_diagnose("warning", "mode", [type], `"${type}" has no SVG equivalent; vector shapes draw with source-over.`, "Use a mix-blend mode (multiply, screen, ...) or render this part to a canvas.");
+				}
+				return api;
+			}
+			if (ctx) ctx.globalCompositeOperation = type;
+			return api;
+		},
+		clipStart() {
+			if (!ctx) return api;
+			if (svg) {
+				_svgFlush();
+				svg.stack.push({ blend: svg.blend, groups: 0 });
+				svg.clipping = true; svg.clipGeom = null;
+				return api;
+			}
+			ctx.save(); ctx.beginPath(); return api;
+		},
+		clipEnd() {
+			if (!ctx) return api;
+			if (svg) {
+				const frame = svg.stack[svg.stack.length - 1];
+				svg.clipping = false;
+				if (frame && svg.clipGeom) {
+					const id = `ray-clip-${++svg.ids}`;
+					svg.defs.push(`<clipPath id="${id}"><${svg.clipGeom}/></clipPath>`);
+					svg.parts.push(`<g clip-path="url(#${id})">`);
+					frame.groups++;
+				}
+				return api;
+			}
+			ctx.clip(); return api;
+		},
+		clipReset() {
+			if (!ctx) return api;
+			if (svg) {
+				_svgFlush();
+				const frame = svg.stack.pop();
+				svg.clipping = false;
+				if (frame) {
+					for (let i = 0; i < frame.groups; i++) svg.parts.push("</g>");
+					svg.blend = frame.blend;
+				}
+				return api;
+			}
+			ctx.restore(); _applyTransform(); _applyGlow(); syncStyles(); return api;
+		},
+
+		push() { xformStack.push(xform); return api; },
+		pop() {
+			if (xformStack.length) { xform = xformStack.pop(); _applyTransform(); }
+			return api;
+		},
+		translate(x, y = 0) { _transformBy([1, 0, 0, 1, x, y]); return api; },
+		rotate(angle) {
+			const c = Math.cos(angle), s = Math.sin(angle);
+			_transformBy([c, s, -s, c, 0, 0]);
+			return api;
+		},
+		scale(sx, sy = sx) { _transformBy([sx, 0, 0, sy, 0, 0]); return api; },
+		/** Reset to the base (DPR) transform; with arguments, move the origin to (x, y) afterwards. */
+		origin(x, y = 0) {
+			xform = identity;
+			if (x != null) xform = [1, 0, 0, 1, x, y];
+			_applyTransform();
+			return api;
+		},
+		/**
+		 * Draw into the persistent buffer of layer `id`. Content accumulates until `clear()`/`layerClear()`.
+		 */
+		layer(id, callback) {
+			if (typeof callback !== "function") return api;
+			if (svg) { _svgLayer(id, callback); return api; }
+			if (!canvas || tiling) {
+				inlineLayers++;
+				try { callback(id); } finally { inlineLayers--; }
+				return api;
+			}
+			const layer = _getLayer(id);
+			const prevCtx = ctx, prevW = width, prevH = height;
+			api.target(layer.buffer.ctx, width, height);
+			try { callback(id); } finally { api.target(prevCtx, prevW, prevH); }
+			return api;
+		},
+
+		layerSet(id, props = {}) {
+			if (!canvas) return api;
+			const layer = _getLayer(id);
+			if (props.opacity != null) layer.opacity = clamp(props.opacity, 0, 1);
+			if (props.blend != null) layer.blend = props.blend;
+			if (props.visible != null) layer.visible = !!props.visible;
+			if (props.z != null) layer.z = props.z;
+			return api;
+		},
 
-		cls(color = "#000000") {
+		layerClear(id) {
+			const layer = layers.get(id);
+			if (!layer) return api;
+			const b = layer.buffer;
+			b.ctx.save();
+			b.ctx.setTransform(1, 0, 0, 1, 0, 0);
+			b.ctx.clearRect(0, 0, b.canvas.width, b.canvas.height);
+			b.ctx.restore();
+			return api;
+		},
+
+		layerDelete(id) { layers.delete(id); return api; },
+
+		/**
+		 * Draw visible layers onto the main canvas in z order. `loop` calls this after every frame.
+		 * With ids, draw just those layers now, so they stack with whatever the frame draws next;
+		 * they are then left out of the loop's end-of-frame pass.
+		 */
+		composite(...ids) {
+			if (!ids.length) { _composite(Array.from(layers.values())); return api; }
+			const list = ids.map(id => layers.get(id)).filter(Boolean);
+			list.forEach(layer => { layer.placed = true; });
+			_composite(list);
+			return api;
+		},
+
+		/**
+		 * Clear the current target to transparent. Inside an SVG layer this empties just that layer's group;
+		 * where layers draw straight into the target (tiles, no canvas) it does nothing inside a layer.
+		 */
+		clear() {
 			if (!ctx) return api;
-			const oldFill = lastFill;
+			if (svg) {
+				if (svg.layer) {
+					svg.parts.length = svg.layer.start; svg.stack.length = svg.layer.depth; svg.clipping = false;
+				} else {
+					svg.parts = []; svg.defs = []; svg.stack = []; svg.clipping = false; svg.paints = null;
+				}
+				_svgFitRaster();
+				return api;
+			}
+			if (inlineLayers) return api;
 			ctx.save();
 			ctx.setTransform(1, 0, 0, 1, 0, 0);
-			setFill(color);
-			ctx.fillRect(0, 0, ctx.canvas ? ctx.canvas.width : width, ctx.canvas ? ctx.canvas.height : height);
+			ctx.clearRect(0, 0, ctx.canvas ? ctx.canvas.width : width, ctx.canvas ? ctx.canvas.height : height);
 			ctx.restore();
+			return api;
+		},
+
+		cls(color = "#000000") {
+			if (!ctx) return api;
+			const b = _viewBounds();
+			if (!b) return api;
+			if (svg) {
+				// An opaque full-view background hides everything before it: start the document (or layer) over
+				const c = _isFill(color) ? null : _rgba(color);
+				const unclipped = svg.stack.length === (svg.layer ? svg.layer.depth : 0);
+				if (c && c.a >= 1 && svg.blend === "source-over" && unclipped) api.clear();
+				_svgEmit(`rect x="${_n(b.x0)}" y="${_n(b.y0)}" width="${_n(b.x1 - b.x0)}" height="${_n(b.y1 - b.y0)}"`, color);
+				return api;
+			}
+			const oldFill = lastFill;
+			setFill(color);
+			// Backgrounds never glow: a full-view shadow is invisible and expensive
+			const blur = ctx.shadowBlur;
+			ctx.shadowBlur = 0;
+			ctx.fillRect(b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0);
+			ctx.shadowBlur = blur;
 			setFill(oldFill);
 			return api;
 		},
 
 		rect(x, y, w, h, fill, stroke) {
 			if (!ctx) return api;
+			if (svg) {
+				_svgEmit(`rect x="${_n(Math.min(x, x + w))}" y="${_n(Math.min(y, y + h))}" width="${_n(Math.abs(w))}" height="${_n(Math.abs(h))}"`, fill, stroke);
+				return api;
+			}
 			const didFill = setFill(fill);
 			const didStroke = setStroke(stroke);
 			if (didFill) ctx.fillRect(x, y, w, h);
@@ -259,98 +3465,392 @@ const ray = (() => {
 			return api;
 		},
 
-		circle(x, y, r, fill, stroke) {
-			if (!ctx) return api;
+		circle(x, y, r, fill, stroke) {
+			if (!ctx) return api;
+			if (svg) { _svgEmit(`circle cx="${_n(x)}" cy="${_n(y)}" r="${_n(r)}"`, fill, stroke); return api; }
+			const didFill = setFill(fill);
+			const didStroke = setStroke(stroke);
+			if (!didFill && !didStroke) return api;
+			ctx.beginPath();
+			ctx.arc(x, y, r, 0, Math.PI * 2);
+			if (didFill) ctx.fill();
+			if (didStroke) ctx.stroke();
+			return api;
+		},
+
+		line(x1, y1, x2, y2, color, widthValue = 1) {
+			if (!ctx) return api;
+			if (svg) { _svgEmit(`line x1="${_n(x1)}" y1="${_n(y1)}" x2="${_n(x2)}" y2="${_n(y2)}"`, null, color, widthValue); return api; }
+			setStroke(color, widthValue);
+			ctx.beginPath();
+			ctx.moveTo(x1, y1);
+			ctx.lineTo(x2, y2);
+			ctx.stroke();
+			return api;
+		},
+
+		shape(points, fill, stroke) {
+			if (!ctx || !points || points.length < 2) return api;
+			if (svg) { _svgEmit(`polygon points="${_svgPoints(points)}"`, fill, stroke); return api; }
+			const didFill = setFill(fill);
+			const didStroke = setStroke(stroke);
+			ctx.beginPath();
+			ctx.moveTo(points[0][0], points[0][1]);
+			for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+			ctx.closePath();
+			if (didFill) ctx.fill();
+			if (didStroke) ctx.stroke();
+			return api;
+		},
+
+		/**
+		 * Draw an image, ImageBitmap, canvas, video, ImageData or `ray.buffer()` into the box (x, y, w, h).
+		 * A missing size follows the source's aspect. `opts.fit`: "fill" (default), "contain", "cover" or
+		 * "none", centered and cropped to the box; `opacity`; `smooth` (default true).
+		 */
+		image(source, x = 0, y = 0, w, h, opts = {}) {
+			if (!ctx) return api;
+			const src = _drawable(source), size = _sourceSize(src);
+			if (!size) return api;
+			const [sw, sh] = size;
+			if (w == null && h == null) { w = sw; h = sh; } else if (w == null) w = (h * sw) / sh;
+			else if (h == null) h = (w * sh) / sw;
+			const [ix, iy, iw, ih] = _fitRect(sw, sh, x, y, w, h, opts.fit || "fill");
+			const x0 = Math.max(x, ix), y0 = Math.max(y, iy), x1 = Math.min(x + w, ix + iw), y1 = Math.min(y + h, iy + ih);
+			if (x1 <= x0 || y1 <= y0) return api;
+			if (svg) svg.dirty = true;
+			const oldAlpha = ctx.globalAlpha, oldSmooth = ctx.imageSmoothingEnabled;
+			if (opts.opacity != null) ctx.globalAlpha = oldAlpha * clamp(opts.opacity, 0, 1);
+			ctx.imageSmoothingEnabled = opts.smooth !== false;
+			ctx.drawImage(src, ((x0 - ix) / iw) * sw, ((y0 - iy) / ih) * sh, ((x1 - x0) / iw) * sw, ((y1 - y0) / ih) * sh, x0, y0, x1 - x0, y1 - y0);
+			ctx.globalAlpha = oldAlpha;
+			ctx.imageSmoothingEnabled = oldSmooth;
+			return api;
+		},
+
+		/**
+		 * Color of `source` at (x, y) as a CSS string. Coordinates are source pixels, or drawing units
+		 * with `opts.area` [x, y, w, h] giving where the source is laid out. Reads the one exact pixel.
+		 */
+		sample(source, x, y, opts = {}) {
+			const c = _sampleAt(source, x, y, opts.area);
+			return c ? _css({ r: c[0], g: c[1], b: c[2], a: c[3] }) : null;
+		},
+
+		/** Brightness 0..1 of `source` at (x, y), like `sample`; or of a color: `ray.luma("#c33")`. */
+		luma(source, x, y, opts = {}) {
+			if (typeof source === "string" || _isFill(source)) {
+				const c = _rgba(_baseColor(source));
+				return c ? _luma([c.r, c.g, c.b, c.a]) : null;
+			}
+			const c = _sampleAt(source, x, y, opts.area);
+			return c ? _luma(c) : null;
+		},
+
+		/**
+		 * Painterly stroke plan from an image laid over `opts.area` (default the canvas, `fit` "cover"):
+		 * `[{x, y, px, py, color, size, pressure, angle, luma, pass}]`, ready for any brush.
+		 */
+		strokePlan(source, opts) {
+			return _strokePlan(source, opts);
+		},
+
+		// --- Fill Descriptors ---
+		// Accepted anywhere a fill/stroke/color is. Stops: ["#f00", "#00f"] or [[0, "#f00"], [1, "#00f"]].
+
+		linear(x0, y0, x1, y1, stops) { return { type: "linear", x0, y0, x1, y1, stops }; },
+		radial(x, y, r, stops, r0 = 0) { return { type: "radial", x, y, r, r0, stops }; },
+		conic(x, y, angle, stops) { return { type: "conic", x, y, angle, stops }; },
+		/** Tile from `ray.buffer()`, a canvas/image, or a grid spec `{ grid, spacing, color, background }`. */
+		pattern(source, repeat = "repeat") { return { type: "pattern", source, repeat }; },
+
+		/**
+		 * With no arguments, returns a path builder. With a segment list, draws it like `shape`.
+		 */
+		path(segs, fill, stroke, strokeWidth = 1) {
+			if (segs === undefined) return _pathBuilder();
+			if (!ctx || !Array.isArray(segs) || !segs.length) return api;
+			if (svg) { _svgEmit(`path d="${_svgPathD(segs)}"`, fill, stroke, strokeWidth); return api; }
 			const didFill = setFill(fill);
-			const didStroke = setStroke(stroke);
+			const didStroke = setStroke(stroke, strokeWidth);
 			if (!didFill && !didStroke) return api;
-			ctx.beginPath();
-			ctx.arc(x, y, r, 0, Math.PI * 2);
+			_tracePath(segs);
 			if (didFill) ctx.fill();
 			if (didStroke) ctx.stroke();
 			return api;
 		},
 
-		line(x1, y1, x2, y2, color, widthValue = 1) {
-			if (!ctx) return api;
-			setStroke(color, widthValue);
-			ctx.beginPath();
-			ctx.moveTo(x1, y1);
-			ctx.lineTo(x2, y2);
-			ctx.stroke();
-			return api;
+		/** Clip to a path in one call; undo with `clipReset()` like `clipStart/clipEnd`. */
+		clipPath(segs) {
+			if (!ctx || !Array.isArray(segs)) return api;
+			api.clipStart();
+			if (svg) _svgEmit(`path d="${_svgPathD(segs)}"`);
+			else _tracePath(segs);
+			return api.clipEnd();
 		},
 
-		shape(points, fill, stroke) {
-			if (!ctx || !points || points.length < 2) return api;
-			const didFill = setFill(fill);
-			const didStroke = setStroke(stroke);
-			ctx.beginPath();
-			ctx.moveTo(points[0][0], points[0][1]);
-			for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
-			ctx.closePath();
-			if (didFill) ctx.fill();
-			if (didStroke) ctx.stroke();
+		/** Smooth curve through points; returns a path builder (`.fill()`, `.stroke()`, `.clip()`). */
+		spline(points, opts = {}) {
+			return _pathBuilder(_splineSegments(points || [], !!opts.closed, opts.tension == null ? 0.5 : opts.tension));
+		},
+
+		/** Irregular noise-edged blob, the building block of the watercolor brushes. */
+		blob(x, y, r, seed = 0, fill = inkColor, alpha = 1) {
+			if (!ctx || !(r > 0)) return api;
+			if (svg) {
+				_svgEmit(`polygon points="${_svgPoints(_blobPoints(x, y, r, seed, 1, 1))}"`, fill, null, 1, alpha);
+				return api;
+			}
+			paintBlob(x, y, r, alpha, fill, seed);
 			return api;
 		},
 
 		poly(x, y, r, sides, angle = 0, fill, stroke) {
 			if (!ctx) return api;
-			const didFill = setFill(fill);
-			const didStroke = setStroke(stroke);
-			ctx.beginPath();
+			const points = [];
 			for (let i = 0; i < sides; i++) {
 				const a = angle + (i / sides) * Math.PI * 2;
-				ctx.lineTo(x + Math.cos(a) * r, y + Math.sin(a) * r);
+				points.push([x + Math.cos(a) * r, y + Math.sin(a) * r]);
 			}
+			if (svg) { _svgEmit(`polygon points="${_svgPoints(points)}"`, fill, stroke); return api; }
+			const didFill = setFill(fill);
+			const didStroke = setStroke(stroke);
+			ctx.beginPath();
+			for (const p of points) ctx.lineTo(p[0], p[1]);
 			ctx.closePath();
 			if (didFill) ctx.fill();
 			if (didStroke) ctx.stroke();
 			return api;
 		},
 
-		grid(type, spacing = 20, color = "#ffffff") {
+		/**
+		 * Repeating pattern over the whole target. Types: dots, stripes, checkerboard, hex, triangle,
+		 * lines, diagonal, crosshatch, isometric. Options: `ratio` (mark size relative to `spacing`),
+		 * `rotation`, `offset` ([x, y]), `stroke` (outline marks; `strokeWidth`), and `halftone`:
+		 * a function (x, y) → 0..1 or an image whose darkness scales each cell's mark (`area` maps it).
+		 */
+		grid(type, spacing = 20, color = "#ffffff", opts = {}) {
 			if (!ctx) return api;
-			const oldFill = lastFill;
-			setFill(color);
-			const s = spacing; const w = width; const h = height;
+			const s = spacing;
+			const lineType = gridLines[type];
+			const outline = !!opts.stroke && !lineType;
+			const ratio = opts.ratio != null ? opts.ratio : gridRatios[type];
+			const rotation = opts.rotation || 0;
+			const [ox, oy] = opts.offset || [0, 0];
+			const pattern = rotation || ox || oy ? _mul([1, 0, 0, 1, ox, oy], [Math.cos(rotation), Math.sin(rotation), -Math.sin(rotation), Math.cos(rotation), 0, 0]) : identity;
+			let tone = null;
+			if (typeof opts.halftone === "function") tone = opts.halftone;
+			else if (opts.halftone) {
+				const area = opts.area || [0, 0, width, height];
+				const sample = _imageSampler(opts.halftone, area[0], area[1], area[2], area[3]);
+				tone = (x, y) => 1 - _luma(sample(x, y));
+			}
+			// Halftone value at a pattern-space point, read in user space so images/noise stay put under rotation
+			const level = (cx, cy) => (tone ? clamp(tone(pattern[0] * cx + pattern[2] * cy + pattern[4], pattern[1] * cx + pattern[3] * cy + pattern[5]), 0, 1) : 1);
+
+			const oldFill = lastFill, oldStroke = lastStroke, oldWidth = lastLineWidth;
+			const prevXform = xform;
+			const cells = [];
+			const dot = svg ? (cx, cy, r) => cells.push(`<circle cx="${_n(cx)}" cy="${_n(cy)}" r="${_n(r)}"/>`)
+				: (cx, cy, r) => { ctx.beginPath(); ctx.arc(cx, cy, r, 0, Math.PI * 2); if (outline) ctx.stroke(); else ctx.fill(); };
+			const box = svg ? (bx, by, bw, bh) => cells.push(`<rect x="${_n(bx)}" y="${_n(by)}" width="${_n(bw)}" height="${_n(bh)}"/>`)
+				: (bx, by, bw, bh) => (outline ? ctx.strokeRect(bx, by, bw, bh) : ctx.fillRect(bx, by, bw, bh));
+			const poly = svg ? (pts) => cells.push(`<polygon points="${_svgPoints(pts)}"/>`)
+				: (pts) => { ctx.beginPath(); pts.forEach(([px, py], i) => (i ? ctx.lineTo(px, py) : ctx.moveTo(px, py))); ctx.closePath(); if (outline) ctx.stroke(); else ctx.fill(); };
+			const seg = svg ? (x0, y0, x1, y1, lw) => cells.push(`<line x1="${_n(x0)}" y1="${_n(y0)}" x2="${_n(x1)}" y2="${_n(y1)}" stroke-width="${_n(lw)}"/>`)
+				: (x0, y0, x1, y1, lw) => { setStroke(color, lw); ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, y1); ctx.stroke(); };
+			// Cell shape scaled about its center by the halftone level
+			const shape = (cx, cy, pts) => {
+				const k = level(cx, cy);
+				if (k > 0) poly(pts.map(([px, py]) => [cx + (px - cx) * k, cy + (py - cy) * k]));
+			};
+
+			if (pattern !== identity) { xform = _mul(xform, pattern); _applyTransform(); }
+			const b = _viewBounds();
+			if (!b || !(s > 0)) {
+				if (pattern !== identity) { xform = prevXform; _applyTransform(); }
+				return api;
+			}
+			if (!svg) {
+				if (outline) setStroke(color, opts.strokeWidth || 1);
+				else setFill(color);
+			}
+			// Cells stay aligned to multiples of the spacing, so panning never shifts the pattern
+			const sx = Math.floor(b.x0 / s) * s, sy = Math.floor(b.y0 / s) * s;
+			const ex = b.x1 + s, ey = b.y1 + s;
 			if (type === "dots") {
-				const r = s * 0.15;
-				for (let lx = s / 2; lx < w + s; lx += s) {
-					for (let ly = s / 2; ly < h + s; ly += s) {
-						ctx.beginPath(); ctx.arc(lx, ly, r, 0, Math.PI * 2); ctx.fill();
+				for (let lx = sx + s / 2; lx < ex; lx += s) {
+					for (let ly = sy + s / 2; ly < ey; ly += s) {
+						const k = level(lx, ly);
+						if (k > 0) dot(lx, ly, s * ratio * k);
 					}
 				}
 			} else if (type === "stripes") {
-				const w2 = s * 0.5;
-				for (let lx = 0; lx < w + s; lx += s) ctx.fillRect(lx, 0, w2, h);
+				const w2 = s * ratio;
+				for (let lx = sx; lx < ex; lx += s) {
+					if (!tone) { box(lx, b.y0, w2, b.y1 - b.y0); continue; }
+					for (let ly = sy; ly < ey; ly += s) {
+						const k = level(lx + s / 2, ly + s / 2);
+						if (k > 0) box(lx + (s - w2 * k) / 2, ly, w2 * k, s);
+					}
+				}
 			} else if (type === "checkerboard") {
-				for (let lx = 0; lx < w + s; lx += s * 2) {
-					for (let ly = 0; ly < h + s; ly += s * 2) {
-						ctx.fillRect(lx, ly, s, s); ctx.fillRect(lx + s, ly + s, s, s);
+				const s2 = s * 2;
+				const cell = (cx, cy) => {
+					const q = s * ratio * level(cx, cy);
+					if (q > 0) box(cx - q / 2, cy - q / 2, q, q);
+				};
+				for (let lx = Math.floor(b.x0 / s2) * s2; lx < ex; lx += s2) {
+					for (let ly = Math.floor(b.y0 / s2) * s2; ly < ey; ly += s2) {
+						if (!tone && ratio === 1) { box(lx, ly, s, s); box(lx + s, ly + s, s, s); continue; }
+						cell(lx + s / 2, ly + s / 2); cell(lx + s * 1.5, ly + s * 1.5);
+					}
+				}
+			} else if (type === "hex") {
+				// Pointy-top hexagons, `spacing` apart horizontally; odd rows shift by half a cell
+				const rowH = s * Math.sqrt(3) / 2, r = s / Math.sqrt(3) * ratio;
+				for (let row = Math.floor(b.y0 / rowH) - 1; row * rowH < b.y1 + rowH; row++) {
+					const shift = (row & 1) * s / 2;
+					for (let lx = sx - s + shift; lx < ex; lx += s) {
+						const cy = row * rowH;
+						const pts = [];
+						for (let i = 0; i < 6; i++) pts.push([lx + r * Math.cos(Math.PI / 6 + i * Math.PI / 3), cy + r * Math.sin(Math.PI / 6 + i * Math.PI / 3)]);
+						shape(lx, cy, pts);
+					}
+				}
+			} else if (type === "triangle") {
+				// Equilateral triangles of side `spacing`, alternating up/down along each row
+				const h = s * Math.sqrt(3) / 2;
+				for (let row = Math.floor(b.y0 / h); row * h < b.y1; row++) {
+					const top = row * h, bottom = top + h, shift = (row & 1) * s / 2;
+					for (let lx = sx - s + shift; lx < ex; lx += s) {
+						const up = [[lx, bottom], [lx + s, bottom], [lx + s / 2, top]];
+						const down = [[lx + s / 2, top], [lx + s * 1.5, top], [lx + s, bottom]];
+						for (const tri of [up, down]) {
+							const cx = (tri[0][0] + tri[1][0] + tri[2][0]) / 3, cy = (tri[0][1] + tri[1][1] + tri[2][1]) / 3;
+							shape(cx, cy, tri.map(([px, py]) => [cx + (px - cx) * ratio, cy + (py - cy) * ratio]));
+						}
+					}
+				}
+			} else if (lineType) {
+				// Line families through the origin, `spacing` apart; halftone splits them into cell-long dashes
+				const lw = s * ratio;
+				for (const angle of lineType) {
+					const ca = Math.cos(angle), sa = Math.sin(angle);
+					const us = [], ws = [];
+					for (const [cx, cy] of [[b.x0, b.y0], [b.x1, b.y0], [b.x0, b.y1], [b.x1, b.y1]]) {
+						us.push(cx * ca + cy * sa); ws.push(cy * ca - cx * sa);
 					}
+					const u0 = Math.floor(Math.min(...us) / s) * s, u1 = Math.max(...us) + s;
+					const at = (u, w) => [u * ca - w * sa, u * sa + w * ca];
+					for (let w = Math.floor(Math.min(...ws) / s) * s; w <= Math.max(...ws) + s; w += s) {
+						if (!tone) { seg(...at(u0, w), ...at(u1, w), lw); continue; }
+						for (let u = u0; u < u1; u += s) {
+							const mid = at(u + s / 2, w);
+							const k = level(mid[0], mid[1]);
+							if (k > 0) seg(...at(u, w), ...at(u + s, w), lw * k);
+						}
+					}
+				}
+			}
+			if (svg) {
+				if (cells.length) {
+					_svgFlush();
+					const paint = _svgPaint(color);
+					const attrs = lineType ? `fill="none" stroke="${paint}"` : outline ? `fill="none" stroke="${paint}" stroke-width="${_n(opts.strokeWidth || 1)}"` : `fill="${paint}"`;
+					svg.parts.push(`<g ${attrs}${_svgTransform()}${_svgStyle(true)}>${cells.join("")}</g>`);
 				}
+			} else {
+				setFill(oldFill);
+				setStroke(oldStroke, oldWidth);
 			}
-			setFill(oldFill); return api;
+			if (pattern !== identity) { xform = prevXform; _applyTransform(); }
+			return api;
 		},
 
-		organic(seed = 0, complexity = 0.01, color = "#ffffff", threshold = 0.1) {
+		/**
+		 * Noise-field regions where `noise(x * complexity + seed, y * complexity + seed)` exceeds
+		 * `threshold`, traced with marching squares. Options: `step` (sample spacing in px, default 6),
+		 * `levels` (thresholds for stacked bands; `color` may be an array per level), `lines` (stroke
+		 * iso-lines instead, `lineWidth`), `soft` (falloff width in noise units instead of a hard edge).
+		 */
+		organic(seed = 0, complexity = 0.01, color = "#ffffff", threshold = 0.1, opts = {}) {
 			if (!ctx) return api;
-			const oldFill = lastFill;
-			setFill(color);
-			const step = 6; const w = width; const h = height;
-			for (let lx = 0; lx < w; lx += step) {
-				for (let ly = 0; ly < h; ly += step) {
-					if (noise(lx * complexity + seed, ly * complexity + seed) > threshold) ctx.fillRect(lx, ly, step, step);
-				}
+			// Samples stay `step` output pixels in tiled renders, so upscaled prints keep screen-level detail
+			const step = Math.max(1, opts.step || 6) / (tiling ? tiling.scale : 1);
+			const b = _viewBounds();
+			if (!b) return api;
+			// Two samples of margin: the outer ring closes contours, the next keeps edges off the view border
+			const x0 = Math.floor(b.x0 / step) * step - 2 * step, y0 = Math.floor(b.y0 / step) * step - 2 * step;
+			const cols = Math.ceil((b.x1 - x0) / step) + 3, rows = Math.ceil((b.y1 - y0) / step) + 3;
+			const field = new Float32Array(cols * rows);
+			for (let j = 0, k = 0; j < rows; j++) {
+				const ny = (y0 + j * step) * complexity + seed;
+				for (let i = 0; i < cols; i++, k++) field[k] = noise((x0 + i * step) * complexity + seed, ny);
+			}
+			const levels = Array.isArray(opts.levels) ? opts.levels : [threshold];
+			const colorAt = i => (Array.isArray(color) ? color[i % color.length] : color);
+
+			if (svg && !(opts.soft > 0)) {
+				levels.forEach((level, li) => {
+					const d = _isoPath(field, cols, rows, x0, y0, step, level);
+					if (d) _svgEmit(`path d="${d}"`, opts.lines ? null : colorAt(li), opts.lines ? colorAt(li) : null, opts.lineWidth || 1);
+				});
+				return api;
 			}
-			setFill(oldFill); return api;
+
+			const oldFill = lastFill, oldStroke = lastStroke, oldWidth = lastLineWidth;
+			levels.forEach((level, li) => {
+				if (opts.soft > 0) {
+					// Alpha mask at sample resolution, tinted, then upscaled with smoothing: soft and cheap
+					if (!isoScratch || isoScratch.canvas.width !== cols || isoScratch.canvas.height !== rows) isoScratch = api.buffer(cols, rows);
+					const m = isoScratch.ctx;
+					const fill = colorAt(li);
+					// Plain colors are written straight into the mask; gradients/patterns tint it afterwards
+					const tint = (!_isFill(fill) && _rgba(fill)) || { r: 255, g: 255, b: 255, a: 1 };
+					const img = m.createImageData(cols, rows);
+					for (let k = 0; k < field.length; k++) {
+						img.data[k * 4] = tint.r; img.data[k * 4 + 1] = tint.g; img.data[k * 4 + 2] = tint.b;
+						img.data[k * 4 + 3] = 255 * tint.a * _isoSoft(field[k], level, opts.soft);
+					}
+					m.putImageData(img, 0, 0);
+					if (_isFill(fill)) {
+						m.save();
+						m.globalCompositeOperation = "source-in";
+						m.setTransform(1 / step, 0, 0, 1 / step, 0.5 - x0 / step, 0.5 - y0 / step);
+						m.fillStyle = _resolveStyle(fill);
+						m.fillRect(x0 - step, y0 - step, (cols + 1) * step, (rows + 1) * step);
+						m.restore();
+					}
+					ctx.save();
+					ctx.imageSmoothingEnabled = true;
+					ctx.drawImage(isoScratch.canvas, x0 - step / 2, y0 - step / 2, cols * step, rows * step);
+					ctx.restore();
+					return;
+				}
+				// One Path2D from path data instead of thousands of moveTo/lineTo calls
+				const d = _isoPath(field, cols, rows, x0, y0, step, level);
+				if (!d) return;
+				const path = _pathFromData(d);
+				if (opts.lines) {
+					setStroke(colorAt(li), opts.lineWidth || 1);
+					if (path) ctx.stroke(path); else ctx.stroke();
+				} else {
+					setFill(colorAt(li));
+					if (path) ctx.fill(path); else ctx.fill();
+				}
+			});
+			if (svg) svg.dirty = true;
+			setFill(oldFill);
+			setStroke(oldStroke, oldWidth);
+			return api;
 		},
 
 		// --- Advanced Brushes ---
 
 		stamp(x, y, r, alpha, color) {
-			if (!ctx) return;
+			if (!ctx) return api;
+			if (svg) svg.dirty = true;
 			const oldAlpha = ctx.globalAlpha;
 			ctx.globalAlpha = alpha;
 			ctx.beginPath();
@@ -358,53 +3858,39 @@ const ray = (() => {
 			setFill(color);
 			ctx.fill();
 			ctx.globalAlpha = oldAlpha;
+			return api;
 		},
 
-		marker(x, y, px, py, pressure, color = inkColor, size = 6) {
-			if (!ctx) return api;
-			const dist = Math.hypot(x - px, y - py);
-			const steps = Math.max(1, Math.ceil(dist / 2));
-			const press = clamp(pressure, 0, 1);
-			const baseR = size + press * (size * 0.8);
-			for (let i = 0; i <= steps; i++) {
-				const t = i / steps;
-				api.stamp(lerp(px, x, t), lerp(py, y, t), baseR * (1 - t * 0.1), 0.4, color);
-			}
+		brushes,
+
+		/**
+		 * Register a brush spec, callable as `ray.brushes[name](x, y, px, py, pressure, color, opts)`.
+		 * `spec.extends` names a brush to clone; redefining a built-in name changes `ray[name]` too.
+		 */
+		defineBrush(name, spec) {
+			_defineBrush(name, spec);
 			return api;
 		},
 
-		brush(x, y, px, py, pressure, color = inkColor, size = 10) {
+		/** One segment of a registered brush; `opts` is a size or per-call spec overrides. */
+		brushStroke(name, x, y, px, py, pressure, color, opts) {
 			if (!ctx) return api;
-			const dist = Math.hypot(x - px, y - py);
-			const steps = Math.max(1, Math.ceil(dist / 1.5));
-			const press = clamp(pressure, 0, 1);
-			const baseR = size + press * size;
-			for (let i = 0; i <= steps; i++) {
-				const t = i / steps;
-				const lx = lerp(px, x, t), ly = lerp(py, y, t);
-				const n = noise(lx * 0.1, ly * 0.1, t);
-				api.stamp(lx, ly, baseR * (0.8 + n * 0.4), 0.1 + press * 0.1, color);
-			}
+			const spec = brushSpecs.get(name);
+			if (!spec) throw new Error(`RAY.js: brushStroke() has no brush "${name}".`);
+			_brushStroke(spec, x, y, px, py, pressure, color, opts);
 			return api;
 		},
 
-		dry(x, y, px, py, pressure, color = inkColor, size = 8) {
-			if (!ctx) return api;
-			const dist = Math.hypot(x - px, y - py);
-			const steps = Math.max(1, Math.ceil(dist / 2));
-			const press = clamp(pressure, 0.1, 1);
-			const spread = size + press * size;
-			for (let i = 0; i <= steps; i++) {
-				const t = i / steps;
-				const lx = lerp(px, x, t), ly = lerp(py, y, t);
-				const dots = Math.floor(3 + press * 5);
-				for (let j = 0; j < dots; j++) {
-					const offset = (Math.random() - 0.5) * spread;
-					const sx = lx + offset, sy = ly + (Math.random() - 0.5) * spread;
-					if (noise(sx * 0.2, sy * 0.2) > 0) api.stamp(sx, sy, 1 + Math.random(), 0.1 + Math.random() * 0.2, color);
-				}
-			}
-			return api;
+		marker(x, y, px, py, pressure, color = inkColor, size) {
+			return api.brushStroke("marker", x, y, px, py, pressure, color, size);
+		},
+
+		brush(x, y, px, py, pressure, color = inkColor, size) {
+			return api.brushStroke("brush", x, y, px, py, pressure, color, size);
+		},
+
+		dry(x, y, px, py, pressure, color = inkColor, size) {
+			return api.brushStroke("dry", x, y, px, py, pressure, color, size);
 		},
 
 		wet(x, y, px, py, pressure, color = inkColor, size = 15, profile = "normal") {
@@ -432,6 +3918,26 @@ const ray = (() => {
 			const baseR = size + press * size;
 			const speed = clamp(dist / 24, 0, 1.5);
 			const waterLoad = clamp((1 - speed * 0.62) * (0.6 + press * 0.95), 0.25, 1.5);
+			const strokeSeed = rand() * 1000;
+
+			// The sim has one grid and one target: strokes aimed at any other layer or target paint directly
+			if (wetSim && !svg && !tiling && (ctx === canvas.getContext("2d") || ctx === _wetTarget(wetSim))) {
+				// Hand the water to the simulation; the pool spreads and drips there instead of in blobs
+				const c = _rgba(_baseColor(color)) || { r: 26, g: 26, b: 26, a: 1 };
+				const rgb = { r: c.r / 255, g: c.g / 255, b: c.b / 255 };
+				const m = xform, k = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+				for (let i = 0; i <= steps; i++) {
+					const t = i / steps;
+					const lx = lerp(px, x, t), ly = lerp(py, y, t);
+					const n = noise(lx * 0.04, ly * 0.04, t * 0.8);
+					const wobble = (noise(lx * 0.07, ly * 0.07, 20 + t) - 0.5) * baseR * 0.22;
+					const cx = lx + wobble, cy = ly + wobble * 0.35;
+					const rPool = baseR * (0.8 + n * 0.25 + waterLoad * 0.3) * style.diffusion;
+					_wetDeposit(wetSim, m[0] * cx + m[2] * cy + m[4], m[1] * cx + m[3] * cy + m[5], rPool * k,
+						waterLoad * (0.7 + style.drip * 0.3), (0.04 + press * 0.06) * style.pigment * c.a, rgb);
+				}
+				return api;
+			}
 
 			ctx.save();
 			ctx.globalCompositeOperation = "source-over";
@@ -445,7 +3951,7 @@ const ray = (() => {
 
 				// 1) Main puddle body (irregular, not circular stamps)
 				const rPool = baseR * (0.95 + n * 0.28 + waterLoad * 0.65) * style.diffusion;
-				paintBlob(cx, cy, rPool, 0.012 + waterLoad * 0.025, color, t + seed, 1 + speed * 0.24, 1.08 + waterLoad * 0.65);
+				paintBlob(cx, cy, rPool, 0.012 + waterLoad * 0.025, color, t + strokeSeed, 1 + speed * 0.24, 1.08 + waterLoad * 0.65);
 				paintBlob(cx + wobble * 0.2, cy - wobble * 0.15, rPool * 0.88, 0.01 + waterLoad * 0.02, color, t + 11, 0.95, 1.22);
 				paintBlob(cx - wobble * 0.12, cy + wobble * 0.2, rPool * 1.15, 0.008 + waterLoad * 0.016, color, t + 23, 1.12, 1.35);
 
@@ -456,31 +3962,31 @@ const ray = (() => {
 				// 3) Edge deposits around puddle
 				const edgeDots = Math.max(3, Math.floor(5 + waterLoad * 4 * style.edge));
 				for (let e = 0; e < edgeDots; e++) {
-					const a = Math.random() * Math.PI * 2;
-					const rr = rPool * (0.72 + Math.random() * 0.48);
+					const a = rand() * Math.PI * 2;
+					const rr = rPool * (0.72 + rand() * 0.48);
 					const ex = cx + Math.cos(a) * rr;
 					const ey = cy + Math.sin(a) * rr * (1 + waterLoad * 0.22);
-					paintBlob(ex, ey, rCore * (0.14 + Math.random() * 0.26), 0.03 + waterLoad * 0.04, color, e + t, 1, 1);
+					paintBlob(ex, ey, rCore * (0.14 + rand() * 0.26), 0.03 + waterLoad * 0.04, color, e + t, 1, 1);
 				}
 
 				// 4) Blooms / backruns
-				if (Math.random() > 0.86 - waterLoad * 0.22 * style.diffusion) {
-					const ang = Math.random() * Math.PI * 2;
-					const d = (0.55 + Math.random() * 0.85) * rPool;
+				if (rand() > 0.86 - waterLoad * 0.22 * style.diffusion) {
+					const ang = rand() * Math.PI * 2;
+					const d = (0.55 + rand() * 0.85) * rPool;
 					const bx = cx + Math.cos(ang) * d;
 					const by = cy + Math.sin(ang) * d;
-					const br = rPool * (0.18 + Math.random() * 0.34);
+					const br = rPool * (0.18 + rand() * 0.34);
 					paintBlob(bx, by, br, 0.012 + waterLoad * 0.026, color, t + 71, 1.08, 1.2);
 					paintBlob(bx + Math.cos(ang) * br * 0.35, by + Math.sin(ang) * br * 0.35, br * 0.7, 0.009, color, t + 79, 1.05, 1.25);
 				}
 
 				// 5) Gravity drips (slower stroke + more water)
-				if (waterLoad > 0.75 && speed < 0.55 && Math.random() > 0.9 - 0.16 * style.drip) {
-					const dripLen = baseR * (2 + Math.random() * 4.8) * waterLoad * style.drip;
-					const dripWidth = baseR * (0.16 + Math.random() * 0.28);
-					const dripX = cx + (Math.random() - 0.5) * rCore * 0.8;
+				if (waterLoad > 0.75 && speed < 0.55 && rand() > 0.9 - 0.16 * style.drip) {
+					const dripLen = baseR * (2 + rand() * 4.8) * waterLoad * style.drip;
+					const dripWidth = baseR * (0.16 + rand() * 0.28);
+					const dripX = cx + (rand() - 0.5) * rCore * 0.8;
 					const dripY = cy + rCore * 0.45;
-					const bend = (Math.random() - 0.5) * 0.35;
+					const bend = (rand() - 0.5) * 0.35;
 					paintDrip(dripX, dripY, dripLen, dripWidth, 0.02 + waterLoad * 0.045, color, bend);
 					paintBlob(dripX + bend * dripWidth * 0.8, dripY + dripLen * 1.02, dripWidth * (0.55 + waterLoad * 0.35), 0.03, color, t + 101, 1.05, 1.1);
 				}
@@ -498,87 +4004,59 @@ const ray = (() => {
 			return api.wet(x, y, px, py, pressure, color, size, "heavy");
 		},
 
-		oil(x, y, px, py, pressure, color, size = 12) {
-			if (!ctx) return api;
-			const dist = Math.hypot(x - px, y - py);
-			const steps = Math.max(1, Math.ceil(dist / 0.4));
-			const press = clamp(pressure, 0.2, 1);
-			const angle = Math.atan2(y - py, x - px);
-			const baseR = size + press * size;
+		/**
+		 * Simulated wet layer. While enabled, `wet`, `wetSoft` and `wetHeavy` deposit water and pigment
+		 * that keeps flowing and darkening at the rims over loop frames, then dries into the main canvas
+		 * or layer `layer`. Strokes drawn inside another `layer()` or `target()` paint there directly.
+		 */
+		watercolor: {
+			get enabled() { return !!wetSim; },
+			get wet() { return !!(wetSim && (wetSim.box || wetSim.pend)); },
 
-			for (let i = 0; i <= steps; i++) {
-				const t = i / steps;
-				const lx = lerp(px, x, t), ly = lerp(py, y, t);
-				const r = baseR;
+			enable(opts = {}) {
+				if (!canvas) return api;
+				const cell = opts.cell != null ? Math.max(1, Math.round(opts.cell)) : null;
+				if (wetSim && cell && cell !== wetSim.cell) api.watercolor.disable();
+				if (!wetSim) wetSim = { ...wetDefaults, cols: 0, rows: 0 };
+				for (const k in wetDefaults) if (opts[k] !== undefined) wetSim[k] = k === "cell" ? cell : opts[k];
+				// `gravity` is a vector [x, y] or an angle in radians (strength 1); null turns it off
+				const gv = wetSim.gravity;
+				if (Array.isArray(gv)) { wetSim.gx = +gv[0] || 0; wetSim.gy = +gv[1] || 0; }
+				else if (typeof gv === "number") { wetSim.gx = Math.cos(gv); wetSim.gy = Math.sin(gv); }
+				else { wetSim.gx = 0; wetSim.gy = 0; }
+				_wetFit(wetSim);
+				return api;
+			},
 
-				// Real hair-like bristle clusters
-				const clusters = 5;
-				for (let j = 0; j < clusters; j++) {
-					const off = (j / clusters - 0.5) * r * 1.2;
-					const bx = lx + Math.cos(angle + Math.PI / 2) * off;
-					const by = ly + Math.sin(angle + Math.PI / 2) * off;
+			/** Dry whatever is still wet into the target, then stop simulating. */
+			disable() {
+				if (wetSim) _wetDry(wetSim);
+				wetSim = null;
+				return api;
+			},
 
-					// Variations in pigment density
-					const dens = 0.05 + Math.random() * 0.15;
-					api.stamp(bx, by, r * 0.4 * (0.8 + Math.random() * 0.4), dens, color);
+			/** Advance the simulation by `dt` ms without a loop (tests, offline rendering). */
+			step(dt = 1000 / 60) {
+				if (wetSim) _wetStep(wetSim, dt);
+				return api;
+			},
 
-					// Deep "groove" shadows
-					if (Math.random() > 0.8) api.stamp(bx, by, r * 0.15, 0.1, "#000000");
-				}
+			/** Settle everything at once, as if the paper dried instantly. */
+			dry() {
+				if (wetSim) _wetDry(wetSim);
+				return api;
+			},
+		},
 
-				// Top highlight for volume
-				if (i % 3 === 0) {
-					const hx = lx + Math.cos(angle + Math.PI / 2) * r * 0.4;
-					const hy = ly + Math.sin(angle + Math.PI / 2) * r * 0.4;
-					api.stamp(hx, hy, r * 0.3, 0.08, "#ffffff");
-				}
-			}
-			return api;
+		oil(x, y, px, py, pressure, color = inkColor, size) {
+			return api.brushStroke("oil", x, y, px, py, pressure, color, size);
 		},
 
 		/**
 		 * Palette Knife - Flat, directional, and voluminous application.
 		 */
-		knife(x, y, px, py, pressure, color, size = 45) {
-			if (!ctx) return api;
-			const dist = Math.hypot(x - px, y - py);
-			const angle = Math.atan2(y - py, x - px);
-			const steps = Math.max(1, Math.ceil(dist / 1.5));
-			const press = clamp(pressure, 0.2, 1);
-
-			// Significantly widened and much more sensitive to pressure
-			const kw = size * (0.6 + press * 2.2);
-			const kh = (size * 0.2) + press * (size * 0.15);
-
-			ctx.save();
-			for (let i = 0; i <= steps; i++) {
-				const t = i / steps;
-				const lx = lerp(px, x, t), ly = lerp(py, y, t);
-
-				const dpr = window.devicePixelRatio || 1;
-				ctx.setTransform(dpr, 0, 0, dpr, lx * dpr, ly * dpr);
-				ctx.rotate(angle);
-
-				ctx.globalAlpha = 0.8;
-				setFill(color);
-				ctx.fillRect(-kh / 2, -kw / 2, kh, kw);
-
-				// Directional lighting for volume (impasto effect)
-				ctx.globalAlpha = 0.2;
-				setFill("#ffffff");
-				ctx.fillRect(-kh / 2, -kw / 2, kh * 0.3, kw);
-				setFill("#000000");
-				ctx.fillRect(kh * 0.2, -kw / 2, kh * 0.3, kw);
-
-				if (Math.random() > 0.7) {
-					setFill(color);
-					ctx.globalAlpha = 1.0;
-					ctx.fillRect(kh * 0.4, -kw / 4, kh * 0.2, kw / 2);
-				}
-			}
-			ctx.restore();
-			syncStyles();
-			return api;
+		knife(x, y, px, py, pressure, color = inkColor, size) {
+			return api.brushStroke("knife", x, y, px, py, pressure, color, size);
 		},
 
 		splatter(x, y, intensity, color = inkColor, size = 1) {
@@ -586,50 +4064,537 @@ const ray = (() => {
 			const count = Math.floor(intensity * 15);
 			const spread = intensity * 60 * size;
 			for (let i = 0; i < count; i++) {
-				const ang = Math.random() * Math.PI * 2;
-				const d = Math.pow(Math.random(), 1.5) * spread;
-				const r = (0.8 + Math.random() * 2.5) * (intensity * 0.4 + 0.6) * size;
+				const ang = rand() * Math.PI * 2;
+				const d = Math.pow(rand(), 1.5) * spread;
+				const r = (0.8 + rand() * 2.5) * (intensity * 0.4 + 0.6) * size;
 				const sx = x + Math.cos(ang) * d, sy = y + Math.sin(ang) * d;
-				api.stamp(sx, sy, r, 0.3 + Math.random() * 0.5, color);
+				api.stamp(sx, sy, r, 0.3 + rand() * 0.5, color);
 				// Removed tails for cleaner look
 			}
 			return api;
 		},
 
-		glow(level, color) {
+		/**
+		 * Particle system over typed arrays: `{count, emitter, forces, life, trail, seed}`.
+		 * Step it with `update(dt)` from a loop and draw it with `draw(mode, color, size, opts)`.
+		 */
+		particles(opts) {
+			return _particles(opts);
+		},
+
+		forces,
+
+		/**
+		 * Shadow glow for subsequent primitives. With `drawFn`, the glow applies only inside it and
+		 * the previous glow is restored afterwards, so it cannot leak into later drawing. Without it,
+		 * the glow lasts until `glow(0)`; set inside a loop frame, it ends with that frame.
+		 */
+		glow(level, color, drawFn) {
 			if (!ctx) return api;
+			const prev = { glowLevel: state.glowLevel, glowColor: state.glowColor };
 			state.glowLevel = Math.max(0, level || 0);
 			if (color) state.glowColor = color;
-			ctx.shadowBlur = state.glowLevel;
-			ctx.shadowColor = state.glowColor;
+			_applyGlow();
+			if (typeof drawFn === "function") {
+				try { drawFn(api); } finally { Object.assign(state, prev); _applyGlow(); }
+			}
+			return api;
+		},
+
+		/**
+		 * Run a filter from `ray.filters` over the current target's pixels, or over layer `opts.layer`.
+		 * Sizes in `opts` are in drawing units. Add custom `(imageData, opts, px) => imageData` filters to `ray.filters`.
+		 * SVG output has no pixels to filter, and layers need a canvas (not SVG or `renderAt`): both throw.
+		 */
+		filter(name, opts = {}) {
+			const fn = filters[name];
+			if (typeof fn !== "function") throw new Error(`RAY.js: unknown filter "${name}"`);
+			if (svg) throw new Error(`RAY.js: filter("${name}") has no SVG form; render to a canvas to filter`);
+			if (opts.layer != null && (!canvas || tiling)) {
+				throw new Error(`RAY.js: filter("${name}", { layer }) needs canvas layers, which ${tiling ? "renderAt tiles do" : "this instance does"} not have`);
+			}
+			const c = opts.layer == null ? ctx : _getLayer(opts.layer).buffer.ctx;
+			if (!c || !c.canvas) return api;
+			if (tiling && !tiling.pad) {
+				_diagnose("warning", "filter", [name, opts], "In renderAt tiles a filter only sees its own tile, so it seams at tile edges.", "Pass renderAt({ pad }) of at least the filter radius in pixels.");
+			}
+			const base = _readBase(c);
+			const img = c.getImageData(0, 0, c.canvas.width, c.canvas.height);
+			c.putImageData(fn(img, opts, Math.hypot(base[0], base[1])) || img, 0, 0);
+			return api;
+		},
+
+		filters,
+
+		/**
+		 * Check the arguments of top-level calls, and clip/push balance at the end of each loop frame.
+		 * `true` collects problems in `diagnostics()`, "strict" also throws on errors, `false` stops.
+		 */
+		debug(level = true) {
+			debugLevel = level === "strict" ? "strict" : !!level;
+			if (debugLevel) _debugInstall();
 			return api;
 		},
 
-		loop(callback) {
+		/** Problems found in debug mode, in the order first seen: `[{level, call, args, message, fix, count}]`. */
+		diagnostics(opts = {}) {
+			const list = [...diagnostics.values()].map(entry => ({ ...entry }));
+			if (opts.clear) diagnostics.clear();
+			return list;
+		},
+
+		/**
+		 * Start a loop: `loop(callback, opts)` or `loop(name, callback, opts)`; a name that is already
+		 * running is replaced. Options: `fps` (target rate), `fixed` (true or a step in ms),
+		 * `timeScale`, `maxSteps` (catch-up limit per frame), `paused`, `manual` (no rAF; drive with `step`).
+		 */
+		loop(name, callback, opts = {}) {
+			if (typeof name === "function") { opts = callback || {}; callback = name; name = "main"; }
 			if (!ctx || typeof callback !== "function") return api;
-			running = true; lastTime = performance.now();
-			const frame = (time) => {
-				if (!running) return;
-				const delta = time - lastTime; lastTime = time;
-				if (callback.length >= 2) callback(time, delta);
-				else callback({ t: time, dt: delta });
-				window.requestAnimationFrame(frame);
+			if (loops.has(name)) api.stop(name);
+			const fps = opts.fps > 0 ? opts.fps : 0;
+			const step = opts.fixed === true ? 1000 / (fps || 60) : (opts.fixed > 0 ? opts.fixed : 0);
+			const lp = {
+				name, callback, step,
+				interval: fps && !step ? 1000 / fps : 0,
+				timeScale: opts.timeScale != null ? opts.timeScale : 1,
+				maxSteps: opts.maxSteps || 5,
+				paused: !!opts.paused,
+				t: 0, frame: 0, acc: 0, last: 0, now: 0, raf: null, scheduler: opts.manual ? null : _scheduler(),
 			};
-			window.requestAnimationFrame(frame); return api;
+			loops.set(name, lp);
+			if (lp.scheduler) {
+				lp.last = _now();
+				lp.raf = lp.scheduler.request(now => _loopTick(lp, now != null ? now : _now()));
+			}
+			return api;
+		},
+
+		/** Stop one named loop, or all of them. */
+		stop(name) {
+			for (const key of _loopNames(name)) {
+				const lp = loops.get(key);
+				if (lp) { _loopCancel(lp); loops.delete(key); }
+			}
+			return api;
+		},
+
+		pause(name) {
+			for (const key of _loopNames(name)) if (loops.has(key)) loops.get(key).paused = true;
+			return api;
+		},
+
+		resume(name) {
+			for (const key of _loopNames(name)) if (loops.has(key)) loops.get(key).paused = false;
+			return api;
+		},
+
+		/** Jump loop time to `t` ms. Fixed-step loops also jump their frame index; paused loops redraw. */
+		seek(t, name) {
+			for (const key of _loopNames(name)) {
+				const lp = loops.get(key);
+				if (!lp) continue;
+				lp.t = Math.max(0, t);
+				lp.acc = 0;
+				if (lp.step) lp.frame = Math.floor(lp.t / lp.step);
+				if (lp.paused) { _loopCall(lp, 0); _compositeFrame(); }
+			}
+			return api;
+		},
+
+		/**
+		 * Advance loops by `dt` ms of real time without rAF (offline rendering, tests). Runs even
+		 * when paused. Without `dt`, every loop draws exactly one frame (one step for fixed loops).
+		 */
+		step(dt, name) {
+			let drawn = false;
+			for (const key of _loopNames(name)) {
+				const lp = loops.get(key);
+				if (!lp) continue;
+				lp.now = _now();
+				if (dt == null) { _loopStepOnce(lp); drawn = true; } else if (_loopAdvance(lp, dt)) drawn = true;
+			}
+			if (drawn) _compositeFrame();
+			return api;
+		},
+
+		/** Clock of a named loop (default "main"): `{ t, frame, paused }`, or null. */
+		time(name = "main") {
+			const lp = loops.get(name);
+			return lp ? { t: lp.t, frame: lp.frame, paused: lp.paused } : null;
+		},
+
+		/**
+		 * Render `frames` frames of a loop (`opts.loop`, default "main", or an `opts.draw` callback) at a
+		 * fixed `1000 / fps` step and encode them. Resolves to PNG Blobs (`format: "png"`, one zip Blob with
+		 * `zip: true`), a GIF Blob (`"gif"`) or a WebM Blob (`"webm"`, real-time via MediaRecorder).
+		 * The live loop is paused meanwhile and continues where it was. Cancel with `opts.signal`.
+		 */
+		async capture(opts = {}) {
+			const { frames = 60, fps = 30, format = "png", onProgress, signal } = opts;
+			const lp = opts.draw ? { name: null, callback: opts.draw, t: 0, frame: 0, timeScale: 1 } : loops.get(opts.loop || "main");
+			if (!ctx || !ctx.canvas) throw new Error("RAY.js: capture needs a canvas context");
+			if (!lp) throw new Error(`RAY.js: capture needs a running loop "${opts.loop || "main"}" or opts.draw`);
+			if (!["png", "gif", "webm"].includes(format)) throw new Error(`RAY.js: unknown capture format "${format}"`);
+			if (format === "webm" && (typeof MediaRecorder === "undefined" || !ctx.canvas.captureStream)) {
+				throw new Error("RAY.js: WebM capture needs MediaRecorder and canvas.captureStream");
+			}
+
+			const src = ctx.canvas;
+			const scale = opts.scale || 1;
+			const w = Math.max(1, Math.round(src.width * scale)), h = Math.max(1, Math.round(src.height * scale));
+			const background = format !== "gif" ? null : (opts.background !== undefined ? opts.background : (src.style && src.style.background) || null);
+			const scratch = scale !== 1 || background ? api.buffer(w, h) : null;
+			if (scratch) scratch.ctx.imageSmoothingEnabled = true;
+			const step = 1000 / fps;
+			const saved = { t: lp.t, frame: lp.frame, acc: lp.acc, paused: lp.paused };
+			const blobs = [], chunks = [];
+			const gif = format === "gif" ? _gifEncoder(w, h, opts.repeat != null ? opts.repeat : 0) : null;
+			let recorder = null, track = null;
+
+			if (format === "webm") {
+				const stream = src.captureStream(0);
+				track = stream.getVideoTracks()[0];
+				const type = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find(t => MediaRecorder.isTypeSupported(t));
+				recorder = new MediaRecorder(stream, type ? { mimeType: type, videoBitsPerSecond: opts.bitrate } : {});
+				recorder.ondataavailable = e => { if (e.data && e.data.size) chunks.push(e.data); };
+				recorder.start();
+			}
+
+			lp.paused = true;
+			lp.t = opts.start || 0;
+			lp.frame = Math.round(lp.t / step);
+			try {
+				for (let i = 0; i < frames; i++) {
+					if (signal && signal.aborted) throw new Error("RAY.js: capture cancelled");
+					lp.now = _now();
+					_loopCall(lp, step * lp.timeScale);
+					_compositeFrame();
+					let out = { canvas: src, ctx };
+					if (scratch) {
+						scratch.ctx.clearRect(0, 0, w, h);
+						if (background) { scratch.ctx.fillStyle = background; scratch.ctx.fillRect(0, 0, w, h); }
+						scratch.ctx.drawImage(src, 0, 0, w, h);
+						out = scratch;
+					}
+					if (gif) gif.frame(out.ctx.getImageData(0, 0, w, h).data, Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps), opts.colors);
+					else if (track) { if (track.requestFrame) track.requestFrame(); }
+					else blobs.push(await _canvasBlob(out.canvas));
+					lp.t += step * lp.timeScale;
+					lp.frame++;
+					if (onProgress) onProgress(i + 1, frames);
+					// Yield so the page stays responsive; MediaRecorder timestamps frames in real time
+					await _wait(recorder ? step : 0);
+				}
+			} finally {
+				if (lp.name != null && loops.get(lp.name) === lp) Object.assign(lp, saved);
+				if (recorder && recorder.state !== "inactive") {
+					await new Promise(resolve => { recorder.onstop = resolve; recorder.stop(); });
+					track.stop();
+				}
+			}
+
+			if (gif) return new Blob([gif.finish()], { type: "image/gif" });
+			if (recorder) return new Blob(chunks, { type: recorder.mimeType || "video/webm" });
+			if (!opts.zip) return blobs;
+			const prefix = opts.name || "frame-";
+			const files = await Promise.all(blobs.map(async (blob, i) => ({
+				name: `${prefix}${String(i).padStart(4, "0")}.png`,
+				data: new Uint8Array(await blob.arrayBuffer()),
+			})));
+			return new Blob([_zip(files)], { type: "application/zip" });
+		},
+
+		/**
+		 * Standalone SVG string. With `drawFn`, captures just that drawing; without it, returns the
+		 * document built so far by `init({ backend: "svg" })`. Non-vector work is embedded as PNG.
+		 */
+		toSVG(drawFn) {
+			if (typeof drawFn !== "function") return svg ? _svgDocument() : "";
+			if (!ctx) return "";
+			_svgBegin();
+			try { drawFn(api); } catch (err) { _svgEnd(); throw err; }
+			return _svgEnd();
+		},
+
+		/**
+		 * Render `drawFn` at `w`×`h` pixels, beyond canvas size limits, by replaying it once per tile
+		 * under an offset base transform. Every tile starts from the same seed and draw state, so
+		 * random and noise-driven marks line up across seams. Options: `tileSize` (2048), `scale`
+		 * (pixels per drawing unit; `ray.width` reports `w / scale`), `seed` (default: one draw from the
+		 * ray PRNG, so it follows `ray.seed`), `onTile(tile, x, y)` to stream tiles, `stitch` (default:
+		 * true unless `onTile` is set), `pad` (extra pixels rendered around each tile and cropped, at
+		 * least the radius of any `filter` used, so filters do not seam).
+		 * Returns the stitched `{ canvas, ctx }`, or null when only streaming. Layers draw straight into the tile.
+		 */
+		renderAt(w, h, drawFn, opts = {}) {
+			if (typeof drawFn !== "function" || !(w > 0) || !(h > 0)) return null;
+			w = Math.ceil(w); h = Math.ceil(h);
+			const size = Math.max(16, Math.floor(opts.tileSize || 2048));
+			const scale = opts.scale > 0 ? opts.scale : 1;
+			const seedValue = opts.seed != null ? opts.seed : Math.floor(rand() * 4294967296);
+			const stitch = opts.stitch != null ? opts.stitch : !opts.onTile;
+			const pad = Math.max(0, Math.ceil(opts.pad || 0));
+			const out = stitch ? api.buffer(w, h) : null;
+			const prev = { ctx, width, height, xform, svg, tiling, rand, stack: xformStack.splice(0), glow: { ...state } };
+			svg = null;
+			tiling = { scale, pad };
+			recordDepth++;
+			try {
+				for (let ty = 0; ty < h; ty += size) {
+					for (let tx = 0; tx < w; tx += size) {
+						const tw = Math.min(size, w - tx), th = Math.min(size, h - ty);
+						// Margins (never past the image edge) give filters real neighbours; they are cropped off
+						const pl = Math.min(pad, tx), pt = Math.min(pad, ty);
+						const pw = tw + pl + Math.min(pad, w - tx - tw), ph = th + pt + Math.min(pad, h - ty - th);
+						let tile = api.buffer(pw, ph);
+						ctxBase.set(tile.ctx, [scale, 0, 0, scale, pl - tx, pt - ty]);
+						xform = identity; xformStack.length = 0;
+						rand = _mulberry32(_hashSeed(seedValue));
+						Object.assign(state, prev.glow);
+						api.target(tile.ctx, w / scale, h / scale);
+						api.glow(state.glowLevel);
+						drawFn(api);
+						if (pw !== tw || ph !== th) {
+							const crop = api.buffer(tw, th);
+							crop.ctx.drawImage(tile.canvas, pl, pt, tw, th, 0, 0, tw, th);
+							tile = crop;
+						}
+						if (out) out.ctx.drawImage(tile.canvas, tx, ty);
+						if (opts.onTile) opts.onTile(tile, tx, ty);
+					}
+				}
+			} finally {
+				recordDepth--;
+				svg = prev.svg; tiling = prev.tiling; rand = prev.rand; xform = prev.xform;
+				xformStack.length = 0; xformStack.push(...prev.stack);
+				Object.assign(state, prev.glow);
+				if (prev.ctx) api.target(prev.ctx, prev.width, prev.height);
+				else { ctx = null; width = prev.width; height = prev.height; }
+			}
+			return out;
+		},
+
+		/**
+		 * Run declarative commands (array or JSON string). The whole list is validated before anything draws.
+		 */
+		exec(commands) {
+			const list = typeof commands === "string" ? JSON.parse(commands) : commands;
+			_validateCommands(list, "commands");
+			_runCommands(list);
+			return api;
+		},
+
+		record() {
+			if (!userRecorder) userRecorder = _recordStart();
+			return api;
+		},
+
+		/** Stop capturing and return the recorded command list (not chainable). */
+		stopRecording() {
+			if (!userRecorder) return [];
+			const log = _recordStop(userRecorder);
+			userRecorder = null;
+			return log;
 		},
 
-		stop() { running = false; return api; },
+		/**
+		 * Undo/redo for painting sessions. Everything drawn between `begin()` and `commit()` is one step.
+		 * Drawing outside a step is not tracked and is lost on undo.
+		 */
+		history: {
+			get canUndo() { return history.cursor > history.base; },
+			get canRedo() { return history.cursor < history.log.length; },
+
+			/**
+			 * `depth` steps of undo (50), a pixel snapshot every `checkpoint` steps (10), at most
+			 * `snapshots` snapshots kept (4). A snapshot costs width × height × dpr² × 4 bytes per
+			 * canvas and layer (33 MB for 1920×1080 at dpr 2); undo stops at the oldest one kept.
+			 */
+			config(opts = {}) {
+				if (opts.depth != null) history.depth = Math.max(1, Math.floor(opts.depth));
+				if (opts.checkpoint != null) history.interval = Math.max(1, Math.floor(opts.checkpoint));
+				if (opts.snapshots != null) history.snapshots = Math.max(1, Math.floor(opts.snapshots));
+				_historyTrim();
+				return api;
+			},
+
+			begin() {
+				if (!canvas || history.open) return api;
+				if (!history.checkpoints.size) history.checkpoints.set(history.cursor, _snapshot());
+				const seedValue = Math.floor(rand() * 4294967296);
+				rand = _mulberry32(seedValue);
+				if (noiseHash === null) _initNoise();
+				history.open = {
+					rec: _recordStart(),
+					stroke: { seed: seedValue, noiseSeed: noiseHash, xform, mode: ctx.globalCompositeOperation, glow: [state.glowLevel, state.glowColor], commands: null },
+				};
+				return api;
+			},
+
+			commit() {
+				if (!history.open) return api;
+				const { rec, stroke } = history.open;
+				history.open = null;
+				stroke.commands = _recordStop(rec);
+				if (!stroke.commands.length) return api;
+				for (const k of history.checkpoints.keys()) if (k > history.cursor) history.checkpoints.delete(k);
+				history.log.length = history.cursor;
+				history.log.push(stroke);
+				history.cursor++;
+				// Image sources are kept by reference and may change later: never replay them, snapshot instead
+				if ((history.cursor - history.base) % history.interval === 0 || _hasOp(stroke.commands, "image")) {
+					history.checkpoints.set(history.cursor, _snapshot());
+				}
+				_historyTrim();
+				return api;
+			},
+
+			/** Drop the open step and repaint the state before it. */
+			cancel() {
+				if (!history.open) return api;
+				_recordStop(history.open.rec);
+				history.open = null;
+				_historyRebuild(history.cursor);
+				return api;
+			},
+
+			undo() {
+				if (history.open) api.history.commit();
+				if (history.cursor <= history.base) return api;
+				history.cursor--;
+				_historyRebuild(history.cursor);
+				return api;
+			},
+
+			redo() {
+				if (history.open || history.cursor >= history.log.length) return api;
+				const snap = history.checkpoints.get(history.cursor + 1);
+				if (snap) _restoreSnapshot(snap);
+				else _replayStrokes([history.log[history.cursor]]);
+				history.cursor++;
+				return api;
+			},
+
+			clear() { _historyReset(); return api; },
+
+			/** Serializable stroke log of the whole session up to the current undo position. */
+			export() {
+				return { width, height, strokes: _cloneArg(history.log.slice(0, history.cursor)) };
+			},
+
+			/** Replay an exported log onto the current canvas, scaled uniformly and centered to fit. */
+			replay(session) {
+				if (!ctx || !session || !Array.isArray(session.strokes)) return api;
+				const k = Math.min(width / (session.width || width), height / (session.height || height));
+				const fit = [k, 0, 0, k, (width - (session.width || width) * k) / 2, (height - (session.height || height) * k) / 2];
+				session.strokes.forEach((stroke, i) => _validateStroke(stroke, `strokes[${i}]`));
+				_replayStrokes(session.strokes, fit);
+				return api;
+			},
+		},
 		size() { return { width, height }; },
+		/**
+		 * Color utilities. Inputs are CSS strings or `{ r, g, b, a }`; outputs are CSS strings
+		 * (hex when opaque) unless named `to*`. HSL s/l and OKLCH l are 0..1, hues in degrees.
+		 */
+		color: {
+			parse: c => _rgba(c),
+			rgb: (r, g, b, a = 1) => _css({ r, g, b, a }),
+			hsl: (h, s, l, a = 1) => _css(_fromHsl(h, s, l, a)),
+			oklch: (l, c, h, a = 1) => _css(_fromOklch(l, c, h, a)),
+			toHex(c) { const v = _rgba(c); return v ? _css({ r: v.r, g: v.g, b: v.b, a: 1 }) : null; },
+			toHsl(c) { const v = _rgba(c); return v ? _toHsl(v) : null; },
+			toOklch(c) { const v = _rgba(c); return v ? _toOklch(v) : null; },
+			lighten: (c, amount = 0.1) => _adjustL(c, amount),
+			darken: (c, amount = 0.1) => _adjustL(c, -amount),
+			alpha(c, a) { const v = _rgba(c); return v ? _css({ r: v.r, g: v.g, b: v.b, a }) : c; },
+			/** Perceptual (OKLab) interpolation, for light and gradients. */
+			lerp(a, b, t) {
+				const ca = _rgba(a), cb = _rgba(b);
+				if (!ca || !cb) return t < 0.5 ? a : b;
+				const la = _toOklab(ca), lb = _toOklab(cb);
+				return _css(_fromOklab(lerp(la.l, lb.l, t), lerp(la.a, lb.a, t), lerp(la.b, lb.b, t), lerp(la.alpha, lb.alpha, t)));
+			},
+			/** Subtractive (pigment) mixing, for paint. */
+			mix: (a, b, t = 0.5) => _mixPigment(a, b, t),
+			/** Harmonious palette from a seed: "analogous", "complementary", "triad", "tetrad", "split" or random. */
+			palette: (seedValue, count = 5, harmony) => _palette(seedValue, count, harmony),
+		},
+
+		/**
+		 * Pointer tracking. Handlers receive `{ id, type, x, y, px, py, pressure, tiltX, tiltY, vx, vy, speed }`.
+		 */
+		input: {
+			get pointers() { return input.pointers; },
+
+			enable(opts = {}) {
+				if (opts.smoothing != null) input.smoothing = opts.smoothing;
+				if (opts.lazyRadius != null) input.lazyRadius = opts.lazyRadius;
+				if (opts.spacing != null) input.spacing = Math.max(0.5, opts.spacing);
+				const el = opts.element || canvas;
+				if (!el || el === input.el) return api;
+				_inputDetach();
+				input.el = el;
+				if (el.style) el.style.touchAction = "none";
+				el.addEventListener("pointerdown", _onPointerDown);
+				el.addEventListener("pointermove", _onPointerMove);
+				el.addEventListener("pointerup", _onPointerUp);
+				el.addEventListener("pointercancel", _onPointerUp);
+				return api;
+			},
+
+			disable() { _inputDetach(); return api; },
+
+			on(type, fn) {
+				if (input.handlers[type] && typeof fn === "function") input.handlers[type].push(fn);
+				return api;
+			},
+
+			off(type, fn) {
+				if (input.handlers[type]) input.handlers[type] = input.handlers[type].filter(h => h !== fn);
+				return api;
+			},
+		},
+
+		/**
+		 * Wire pointer strokes straight into a brush. `color` may be a function of the segment.
+		 * `opts.layer` paints into that layer; `opts.history` makes each stroke one undo step.
+		 * `ray.paint(null)` stops.
+		 */
+		paint(brushName, color, size, opts = {}) {
+			if (!brushName) { input.painter = null; return api; }
+			if (typeof api[brushName] !== "function" && !brushes[brushName]) throw new Error(`RAY.js: paint() has no brush "${brushName}".`);
+			api.input.enable(opts);
+			input.painter = (seg, type) => {
+				if (opts.history && type === "begin") api.history.begin();
+				if (type === "end") {
+					if (opts.history && !input.pointers.size) api.history.commit();
+					return;
+				}
+				const c = typeof color === "function" ? color(seg) : color;
+				const dab = () => {
+					if (brushName === "splatter") api.splatter(seg.x, seg.y, seg.pressure, c, size);
+					else if (brushes[brushName]) brushes[brushName](seg.x, seg.y, seg.px, seg.py, seg.pressure, c, size);
+					else api[brushName](seg.x, seg.y, seg.px, seg.py, seg.pressure, c, size);
+				};
+				if (opts.layer != null) api.layer(opts.layer, dab);
+				else dab();
+			};
+			return api;
+		},
+
 		buffer(w, h) {
-			const bCanvas = document.createElement("canvas");
-			bCanvas.width = w || width; bCanvas.height = h || height;
+			const bCanvas = _createCanvas(w || width, h || height);
 			const bCtx = bCanvas.getContext("2d"); bCtx.imageSmoothingEnabled = false;
 			return { canvas: bCanvas, ctx: bCtx };
 		}
 	};
 
 	return api;
-})();
+};
+
+const ray = _createRay();
 
 if (typeof globalThis !== "undefined") globalThis.ray = ray;
 if (typeof window !== "undefined") window.ray = ray;
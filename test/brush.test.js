@@ -0,0 +1,112 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, pixels, skip } = require("./helpers/canvas.js");
+
+// Register a brush on a fresh instance that logs a copy of every dab it is about to draw
+const logged = (spec, size = 40) => {
+	const r = make(size, size);
+	const log = [];
+	r.defineBrush("probe", { ...spec, dab(d) { log.push({ ...d }); return spec.dab ? spec.dab(d) : undefined; } });
+	return { r, log };
+};
+const inked = r => pixels(r).some((v, i) => i % 4 === 3 && v > 0);
+
+test("a segment is walked in spacing steps, count dabs per step", { skip }, () => {
+	const { r, log } = logged({ spacing: 5, count: 2, size: 2, sizeCurve: 1, alpha: 0.5 });
+	r.brushes.probe(30, 10, 10, 10, 0.5, "#000000");
+	assert.strictEqual(log.length, 10, "steps 0..4, two dabs each");
+	assert.deepStrictEqual(log.filter(d => d.j === 0).map(d => [d.x, d.y, d.t]), [[10, 10, 0], [15, 10, 0.25], [20, 10, 0.5], [25, 10, 0.75], [30, 10, 1]]);
+	for (const d of log) assert.deepStrictEqual([d.r, d.alpha, d.direction, d.color], [2, 0.5, 0, "#000000"]);
+	// A zero-length segment still lays its dabs
+	log.length = 0;
+	r.brushes.probe(5, 5, 5, 5, 0.5, "#000000");
+	assert.ok(log.length > 0 && log.every(d => d.x === 5 && d.y === 5));
+});
+
+test("pressure is reshaped, clamped and fed to the curves", { skip }, () => {
+	const { r, log } = logged({ size: 10, pressure: [0.2, 0.6], pressureCurve: p => p * p, sizeCurve: p => p, alpha: (p, t) => t, count: p => (p > 0.5 ? 3 : 1), spacing: 100 });
+	r.brushes.probe(10, 0, 0, 0, 0.5, "#000000");
+	assert.deepStrictEqual(log.map(d => [d.pressure, d.r, d.alpha]), [[0.25, 2.5, 0], [0.25, 2.5, 1]]);
+	log.length = 0;
+	r.brushes.probe(10, 0, 0, 0, 1, "#000000");
+	assert.strictEqual(log[0].pressure, 0.6);
+	assert.strictEqual(log.length, 6);
+	// Spacing may depend on pressure and size
+	const { r: r2, log: log2 } = logged({ size: 4, spacing: (p, size) => size * 2 });
+	r2.brushes.probe(16, 0, 0, 0, 0.5, "#000000");
+	assert.strictEqual(log2.length, 3);
+});
+
+test("dab() can edit or skip dabs, and after() follows each drawn one", { skip }, () => {
+	const after = [];
+	const { r } = logged({ size: 3, sizeCurve: 1, alpha: 1, spacing: 1, dab: d => (d.x < 20 ? false : void (d.color = "#ff0000")), after: d => after.push(d.x) });
+	r.brushes.probe(30, 20, 10, 20, 0.5, "#000000");
+	assert.strictEqual(pixel(r, 12, 20)[3], 0);
+	assert.deepStrictEqual(pixel(r, 25, 20), [255, 0, 0, 255]);
+	assert.deepStrictEqual(after, Array.from({ length: 11 }, (_, i) => 20 + i));
+});
+
+test("per-call opts override the spec; a number is the size", { skip }, () => {
+	const { r, log } = logged({ size: 3, sizeCurve: 1, spacing: 100, rotate: true, angle: 0.5 });
+	r.brushes.probe(0, 10, 0, 0, 0.5, "#000000", 7);
+	r.brushStroke("probe", 0, 10, 0, 0, 0.5, "#000000", { size: 9, rotate: false });
+	assert.deepStrictEqual(log.map(d => d.r), [7, 7, 9, 9]);
+	assert.ok(Math.abs(log[0].angle - (Math.PI / 2 + 0.5)) < 1e-12, "rotate follows the stroke");
+	assert.strictEqual(log[2].angle, 0.5);
+	assert.strictEqual(r.brushes.probe.spec.size, 3, "the spec itself is untouched");
+	assert.ok(Object.isFrozen(r.brushes.probe.spec));
+});
+
+test("texture thresholds skip dabs and modulate size", { skip }, () => {
+	const { r, log } = logged({ size: 4, sizeCurve: 1, spacing: 1, texture: { threshold: 0, amount: 0.5 } });
+	r.defineBrush("probe2", { extends: "probe", texture: (x) => (x < 10 ? -1 : 1), sizeCurve: 1 });
+	r.brushes.probe2(20, 5, 0, 5, 0.5, "#000000");
+	// A function texture has no threshold, so -1 shrinks dabs (by 1 - 0.2 - 0.4) instead of skipping them
+	assert.deepStrictEqual([...new Set(log.map(d => Math.round(d.r * 1e9) / 1e9))], [1.6, 4.8]);
+	log.length = 0;
+	r.brushes.probe(20, 5, 0, 5, 0.5, "#000000");
+	assert.ok(log.length > 0 && log.length < 21, "noise below the threshold skips some dabs");
+	for (const d of log) assert.ok(d.r > 4 * 0.75 && d.r <= 4 * 1.25);
+});
+
+test("extends clones a brush, and redefining a preset changes its method", { skip }, () => {
+	const r = make(40, 40);
+	r.defineBrush("thick", { extends: "oil", size: 20 });
+	assert.strictEqual(r.brushes.thick.spec.size, 20);
+	assert.strictEqual(r.brushes.thick.spec.sizeCurve, r.brushes.oil.spec.sizeCurve);
+	const calls = [];
+	r.defineBrush("marker", { extends: "marker", dab: d => { calls.push(d.x); return false; } });
+	r.marker(20, 20, 10, 20, 0.5, "#000000");
+	assert.ok(calls.length > 0 && !inked(r));
+	// Other instances keep their own presets
+	const other = make(40, 40).marker(20, 20, 10, 20, 0.5, "#000000");
+	assert.ok(inked(other));
+});
+
+test("tips: shaped, image masks and functions", { skip }, () => {
+	const square = make(40, 40).defineBrush("sq", { tip: "square", size: 5, sizeCurve: 1, alpha: 1, spacing: 100 });
+	square.brushes.sq(20, 20, 20, 20, 0.5, "#000000");
+	assert.strictEqual(pixel(square, 16, 16)[3], 255, "square corners are filled");
+	const mask = make(40, 40);
+	const src = mask.buffer(2, 2);
+	src.ctx.fillStyle = "#ffffff";
+	src.ctx.fillRect(0, 0, 1, 2);
+	mask.defineBrush("img", { tip: src, size: 10, sizeCurve: 1, alpha: 1, spacing: 100 });
+	mask.brushes.img(20, 20, 20, 20, 0.5, "#ff0000");
+	assert.deepStrictEqual(pixel(mask, 14, 20), [255, 0, 0, 255], "tinted with the color");
+	assert.strictEqual(pixel(mask, 26, 20)[3], 0, "masked by the image alpha");
+	const seen = [];
+	const fn = make(40, 40).defineBrush("fn", { tip: (c, d) => { seen.push(c.getTransform().e); c.fillRect(0, 0, 1, 1); }, spacing: 100 });
+	fn.brushes.fn(30, 10, 10, 10, 0.5, "#000000");
+	assert.deepStrictEqual(seen, [10, 30], "origin at the dab");
+});
+
+test("bad definitions throw", { skip }, () => {
+	const r = make(10, 10);
+	assert.throws(() => r.defineBrush("", {}), /needs a brush name/);
+	assert.throws(() => r.defineBrush("x"), /needs a spec object/);
+	assert.throws(() => r.defineBrush("x", { extends: "nope" }), /extends unknown brush "nope"/);
+	assert.throws(() => r.defineBrush("x", { tip: "star" }), /unknown tip "star"/);
+	assert.throws(() => r.brushStroke("nope", 0, 0, 0, 0, 1, "#000"), /has no brush "nope"/);
+});
@@ -0,0 +1,146 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, skip } = require("./helpers/canvas.js");
+
+// Minimal GIF89a reader: logical size, NETSCAPE loop count and each frame's delay and RGB pixels
+const readGif = (b) => {
+	assert.strictEqual(String.fromCharCode(...b.subarray(0, 6)), "GIF89a");
+	const gif = { width: b[6] | (b[7] << 8), height: b[8] | (b[9] << 8), repeat: null, frames: [] };
+	let p = 13 + (b[10] & 0x80 ? 3 << ((b[10] & 7) + 1) : 0), delay = 0;
+	const subBlocks = () => {
+		const out = [];
+		while (b[p]) { out.push(...b.subarray(p + 1, p + 1 + b[p])); p += b[p] + 1; }
+		p++;
+		return out;
+	};
+	for (;;) {
+		const block = b[p++];
+		if (block === 0x3b) return gif;
+		if (block === 0x21) {
+			const label = b[p++];
+			const body = subBlocks();
+			if (label === 0xf9) delay = body[1] | (body[2] << 8);
+			if (label === 0xff && String.fromCharCode(...body.slice(0, 11)) === "NETSCAPE2.0") gif.repeat = body[12] | (body[13] << 8);
+			continue;
+		}
+		assert.strictEqual(block, 0x2c, `unknown block ${block} at ${p - 1}`);
+		const w = b[p + 4] | (b[p + 5] << 8), h = b[p + 6] | (b[p + 7] << 8), packed = b[p + 8];
+		p += 9;
+		let palette = null;
+		if (packed & 0x80) { palette = b.subarray(p, p + (3 << ((packed & 7) + 1))); p += palette.length; }
+		const min = b[p++], data = subBlocks();
+		const clear = 1 << min, prefix = new Int32Array(4096), suffix = new Uint8Array(4096), length = new Uint16Array(4096);
+		const indices = new Uint8Array(w * h);
+		let size = min + 1, next = clear + 2, prev = -1, pos = 0, n = 0;
+		for (let i = 0; i < clear; i++) { prefix[i] = -1; suffix[i] = i; length[i] = 1; }
+		const first = (code) => { while (prefix[code] >= 0) code = prefix[code]; return suffix[code]; };
+		const emit = (code) => { for (let i = length[code] - 1, c = code; i >= 0; i--, c = prefix[c]) indices[n + i] = suffix[c]; n += length[code]; };
+		while (pos + size <= data.length * 8) {
+			let code = 0;
+			for (let i = 0; i < size; i++, pos++) code |= ((data[pos >> 3] >> (pos & 7)) & 1) << i;
+			if (code === clear) { size = min + 1; next = clear + 2; prev = -1; continue; }
+			if (code === clear + 1) break;
+			assert.ok(code < next || (code === next && prev >= 0), `code ${code} is past the table (${next})`);
+			if (prev >= 0 && next < 4096) {
+				prefix[next] = prev;
+				suffix[next] = first(code < next ? code : prev);
+				length[next] = length[prev] + 1;
+				next++;
+				if (next === 1 << size && size < 12) size++;
+			}
+			emit(code);
+			prev = code;
+		}
+		assert.strictEqual(n, w * h, "frame pixel count");
+		const rgb = new Uint8Array(w * h * 3);
+		indices.forEach((k, i) => rgb.set(palette.subarray(k * 3, k * 3 + 3), i * 3));
+		gif.frames.push({ delay, rgb });
+	}
+};
+
+// Per-pixel hashed colors, so the LZW table fills up and clears several times per frame
+const pattern = (r, frame) => {
+	const colors = [[16, 32, 48], [240, 192, 64], [48, 160, 80], [192, 32, 64], [255, 255, 255], [80, 96, 208], [0, 0, 0], [160, 112, 48]];
+	const img = r.ctx.createImageData(r.width, r.height);
+	for (let i = 0; i < r.width * r.height; i++) {
+		let h = Math.imul(i + frame * 7919, 0x9e3779b1);
+		h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+		img.data.set(colors[(h ^ (h >>> 13)) >>> 29], i * 4);
+		img.data[i * 4 + 3] = 255;
+	}
+	r.ctx.putImageData(img, 0, 0);
+};
+
+test("GIF capture decodes back to the drawn frames", { skip }, async () => {
+	const r = make(200, 150);
+	const drawn = [];
+	const blob = await r.capture({
+		format: "gif", frames: 3, fps: 25, repeat: 2,
+		draw: ({ frame }) => {
+			pattern(r, frame);
+			const d = r.ctx.getImageData(0, 0, 200, 150).data;
+			drawn.push(Uint8Array.from({ length: 200 * 150 * 3 }, (_, i) => d[Math.floor(i / 3) * 4 + (i % 3)]));
+		},
+	});
+	assert.strictEqual(blob.type, "image/gif");
+	const gif = readGif(new Uint8Array(await blob.arrayBuffer()));
+	assert.deepStrictEqual([gif.width, gif.height, gif.repeat], [200, 150, 2]);
+	assert.deepStrictEqual(gif.frames.map(f => f.delay), [4, 4, 4]);
+	gif.frames.forEach((f, i) => assert.deepStrictEqual(f.rgb, drawn[i], `frame ${i}`));
+});
+
+test("GIF encoding is deterministic", { skip }, async () => {
+	const run = async () => {
+		const r = make(60, 40).seed(9);
+		const blob = await r.capture({ format: "gif", frames: 2, draw: () => { for (let i = 0; i < 30; i++) r.circle(r.random(60), r.random(40), r.random(2, 9), r.color.hsl(r.random(360), 0.7, 0.5)); } });
+		return new Uint8Array(await blob.arrayBuffer());
+	};
+	assert.deepStrictEqual(await run(), await run());
+});
+
+const crc32 = (data) => {
+	let crc = 0xffffffff;
+	for (const byte of data) {
+		crc ^= byte;
+		for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+test("PNG capture zips stored frames with valid headers and CRCs", { skip }, async () => {
+	const r = make(24, 16);
+	const blob = await r.capture({ frames: 3, zip: true, name: "shot-", draw: ({ frame }) => r.cls(["#ff0000", "#00ff00", "#0000ff"][frame]) });
+	const zip = new Uint8Array(await blob.arrayBuffer());
+	const view = new DataView(zip.buffer);
+	const entries = [];
+	let p = 0;
+	while (view.getUint32(p, true) === 0x04034b50) {
+		const crc = view.getUint32(p + 14, true), size = view.getUint32(p + 18, true), nameLength = view.getUint16(p + 26, true);
+		assert.strictEqual(view.getUint16(p + 8, true), 0, "stored, not deflated");
+		assert.strictEqual(view.getUint32(p + 22, true), size);
+		const name = new TextDecoder().decode(zip.subarray(p + 30, p + 30 + nameLength));
+		const data = zip.subarray(p + 30 + nameLength + view.getUint16(p + 28, true), p + 30 + nameLength + size);
+		assert.strictEqual(crc32(data), crc, name);
+		assert.deepStrictEqual([...data.subarray(1, 4)], [0x50, 0x4e, 0x47]);
+		entries.push(name);
+		p += 30 + nameLength + size;
+	}
+	assert.deepStrictEqual(entries, ["shot-0000.png", "shot-0001.png", "shot-0002.png"]);
+	// End of central directory: 3 entries, directory right after the files
+	const end = zip.length - 22;
+	assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+	assert.strictEqual(view.getUint16(end + 10, true), 3);
+	assert.strictEqual(view.getUint32(end + 16, true), p);
+});
+
+test("capture resumes the live loop where it was", { skip }, async () => {
+	const r = make(16, 16);
+	r.loop(() => {}, { fixed: 10, manual: true });
+	r.step(50);
+	await r.capture({ frames: 4, fps: 10 });
+	assert.deepStrictEqual(r.time(), { t: 50, frame: 5, paused: false });
+	await assert.rejects(r.capture({ format: "bmp" }), /unknown capture format/);
+	await assert.rejects(r.capture({ loop: "nope" }), /running loop "nope"/);
+	r.stop();
+});
@@ -0,0 +1,34 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+
+const channels = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+const hue = hex => {
+	const [r, g, b] = channels(hex), max = Math.max(r, g, b), d = max - Math.min(r, g, b);
+	if (!d) return -1;
+	const h = max === r ? (g - b) / d : max === g ? 2 + (b - r) / d : 4 + (r - g) / d;
+	return (h * 60 + 360) % 360;
+};
+
+test("blue + yellow mixes to green", () => {
+	for (const [a, b] of [["#0000ff", "#ffff00"], ["#1a3a8f", "#f2c511"], ["#002185", "#fcd300"]]) {
+		const h = hue(ray.color.mix(a, b));
+		assert.ok(h >= 90 && h <= 170, `${a} + ${b} -> ${ray.color.mix(a, b)} (hue ${h.toFixed(0)})`);
+	}
+});
+
+test("complements do not go black", () => {
+	for (const [a, b] of [["#ff0000", "#00ffff"], ["#ff00ff", "#00ff00"], ["#0000ff", "#ff8000"], ["#ff0000", "#0000ff"]]) {
+		const out = ray.color.mix(a, b);
+		assert.ok(Math.max(...channels(out)) >= 0x60, `${a} + ${b} -> ${out}`);
+	}
+});
+
+test("endpoints and identical colors are returned unchanged", () => {
+	for (const c of ["#0000ff", "#ffff00", "#ff8000", "#808080", "#ffffff", "#000000"]) {
+		assert.strictEqual(ray.color.mix(c, "#123456", 0), c);
+		assert.strictEqual(ray.color.mix("#123456", c, 1), c);
+		assert.strictEqual(ray.color.mix(c, c, 0.5), c);
+	}
+});
@@ -0,0 +1,70 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+
+const { color } = ray;
+const near = (actual, expected, tol, label) => {
+	for (const k in expected) assert.ok(Math.abs(actual[k] - expected[k]) <= tol, `${label} ${k}: ${actual[k]} vs ${expected[k]}`);
+};
+const hueGap = (a, b) => Math.abs(((a - b) % 360 + 540) % 360 - 180);
+
+test("parse reads every supported CSS form and rejects the rest", () => {
+	const red = { r: 255, g: 0, b: 0, a: 1 };
+	for (const css of ["#f00", "#ff0000", "red", "rgb(255, 0, 0)", "rgb(100% 0% 0%)", "hsl(0, 100%, 50%)", "hsl(1turn 100% 50%)", "oklch(0.628 0.2577 29.23)"]) {
+		near(color.parse(css), red, 0.5, css);
+	}
+	near(color.parse("#ff000080"), { a: 128 / 255 }, 1e-9, "hex alpha");
+	near(color.parse("rgb(10 20 30 / 50%)"), { r: 10, g: 20, b: 30, a: 0.5 }, 0, "slash alpha");
+	near(color.parse("rgba(10,20,30,2)"), { a: 1 }, 0, "clamped alpha");
+	near(color.parse("oklab(1 0 0)"), { r: 255, g: 255, b: 255 }, 0.5, "oklab white");
+	near(color.parse("transparent"), { a: 0 }, 0, "transparent");
+	near(color.parse({ r: 1, g: 2, b: 3 }), { r: 1, g: 2, b: 3, a: 1 }, 0, "object");
+	for (const bad of ["nope", "#ggg", "#12345", "rgb(1, 2)", "", 42, null]) assert.strictEqual(color.parse(bad), null, String(bad));
+});
+
+test("builders and converters round-trip", () => {
+	assert.strictEqual(color.rgb(255, 0, 0), "#ff0000");
+	assert.strictEqual(color.rgb(255, 0, 0, 0.5), "rgba(255,0,0,0.5)");
+	assert.strictEqual(color.hsl(240, 1, 0.5), "#0000ff");
+	assert.strictEqual(color.toHex("rgba(255,0,0,0.3)"), "#ff0000");
+	assert.deepStrictEqual(color.toHsl("#00ff00"), { h: 120, s: 1, l: 0.5, a: 1 });
+	for (const hex of ["#336699", "#e0a040", "#10c0b0", "#7f7f7f"]) {
+		const h = color.toHsl(hex), o = color.toOklch(hex);
+		assert.strictEqual(color.hsl(h.h, h.s, h.l), hex);
+		assert.strictEqual(color.oklch(o.l, o.c, o.h), hex);
+	}
+	assert.strictEqual(color.alpha("#336699", 0.5), "rgba(51,102,153,0.5)");
+	assert.strictEqual(color.toHex("nope"), null);
+});
+
+test("out-of-gamut OKLCH keeps its lightness and hue and loses chroma", () => {
+	const out = color.oklch(0.7, 0.5, 140);
+	const back = color.toOklch(out);
+	assert.ok(Math.abs(back.l - 0.7) < 0.01 && hueGap(back.h, 140) < 2 && back.c < 0.5, JSON.stringify(back));
+	for (const v of Object.values(color.parse(out)).slice(0, 3)) assert.ok(v >= 0 && v <= 255);
+});
+
+test("lighten, darken and lerp work in OKLab", () => {
+	const base = color.toOklch("#336699");
+	const light = color.toOklch(color.lighten("#336699", 0.2)), dark = color.toOklch(color.darken("#336699", 0.2));
+	assert.ok(Math.abs(light.l - base.l - 0.2) < 0.01 && Math.abs(base.l - dark.l - 0.2) < 0.01);
+	assert.ok(hueGap(light.h, base.h) < 3 && hueGap(dark.h, base.h) < 3);
+	assert.strictEqual(color.lerp("#ff0000", "#0000ff", 0), "#ff0000");
+	assert.strictEqual(color.lerp("#ff0000", "#0000ff", 1), "#0000ff");
+	// Perceptual midpoint of black and white is lighter than the sRGB one
+	assert.ok(Math.abs(color.toOklch(color.lerp("#000000", "#ffffff", 0.5)).l - 0.5) < 0.01);
+	assert.strictEqual(color.lerp("#000000ff", "rgba(0,0,0,0)", 0.5), "rgba(0,0,0,0.5)");
+});
+
+test("palettes are reproducible and follow their harmony", () => {
+	assert.deepStrictEqual(color.palette(3), color.palette(3));
+	assert.notDeepStrictEqual(color.palette(3), color.palette(4));
+	assert.strictEqual(color.palette("x", 7).length, 7);
+	const gaps = { analogous: [30, -30], complementary: [180], triad: [120, 240], tetrad: [90, 180, 270], split: [150, 210] };
+	for (const [harmony, offsets] of Object.entries(gaps)) {
+		const hues = color.palette(9, 5, harmony).map(c => color.toOklch(c).h);
+		offsets.forEach((off, i) => assert.ok(hueGap(hues[i + 1] - hues[0], off) <= 15, `${harmony} ${off}: ${hues}`));
+		for (const c of color.palette(9, 5, harmony)) assert.match(c, /^#[0-9a-f]{6}$/);
+	}
+});
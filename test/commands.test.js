@@ -0,0 +1,61 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixels, skip } = require("./helpers/canvas.js");
+
+test("exec validates the whole list before drawing", { skip }, () => {
+	const r = make(32, 32).cls("#ffffff");
+	const blank = pixels(r);
+	for (const [list, message] of [
+		[[{ op: "rect", args: [0, 0, 8, 8, "#000"] }, { op: "explode" }], /unknown op "explode"/],
+		[[{ op: "circle", args: 5 }], /"args" must be an array/],
+		[[{ args: [] }], /missing an "op"/],
+		[[{ op: "layer", args: ["a"], commands: [{ op: "nope" }] }], /commands\[0\]\.commands\[0\]/],
+		[[{ op: "image", args: [{}, 0, 0] }], /"image" needs a loaded image/],
+	]) {
+		assert.throws(() => r.exec(list), message);
+		assert.throws(() => r.exec(JSON.stringify(list)), message);
+		assert.deepStrictEqual(pixels(r), blank);
+	}
+});
+
+test("a recording runs back to the same pixels", { skip }, () => {
+	const draw = (r, tile) => {
+		r.cls("#f0e8d8").seed(4);
+		r.push().translate(16, 16).rotate(0.3).rect(-6, -6, 12, 12, "#205080").pop();
+		r.layer("top", () => r.circle(40, 40, 10, "#c03020"));
+		r.path().moveTo(4, 60).lineTo(30, 50).lineTo(60, 62).stroke("#000000", 2);
+		r.image(tile, 44, 4, 16, 16);
+		r.brush(8, 30, 30, 34, 0.8, "#2a6a2a");
+	};
+	const tile = make(8, 8).cls("#ff00ff").circle(4, 4, 3, "#00ff00");
+	const a = make(64, 64);
+	a.record();
+	draw(a, { canvas: tile.ctx.canvas, ctx: tile.ctx });
+	const log = a.stopRecording();
+	assert.deepStrictEqual(log.map(c => c.op), ["cls", "seed", "push", "translate", "rotate", "rect", "pop", "layer", "path", "image", "brush"]);
+	assert.deepStrictEqual(log[7].commands, [{ op: "circle", args: [40, 40, 10, "#c03020"] }]);
+	assert.strictEqual(log[8].args[0].length, 3);
+
+	const b = make(64, 64);
+	b.exec(log);
+	assert.deepStrictEqual(pixels(b), pixels(a));
+});
+
+test("undo and redo never replay an image whose source changed since", { skip }, () => {
+	const src = make(8, 8).cls("#ff0000");
+	const r = make(32, 32).cls("#ffffff");
+	r.history.config({ checkpoint: 50 });
+	r.history.begin();
+	r.image(src.ctx.canvas, 0, 0, 16, 16);
+	r.history.commit();
+	const drawn = pixels(r);
+	r.history.begin();
+	r.rect(20, 20, 8, 8, "#000000");
+	r.history.commit();
+	src.cls("#0000ff");
+	r.history.undo();
+	assert.deepStrictEqual(pixels(r), drawn);
+	r.history.undo().history.redo();
+	assert.deepStrictEqual(pixels(r), drawn);
+});
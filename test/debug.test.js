@@ -0,0 +1,54 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const calls = (r, call) => r.diagnostics().filter(d => d.call === call);
+
+test("bad arguments are logged and the call is skipped", { skip }, () => {
+	const r = make(32, 32, { debug: true });
+	r.cls("#000000").circle(16, 16, NaN, "#ffffff").mode("multipy");
+	const [circle] = calls(r, "circle");
+	assert.strictEqual(circle.level, "error");
+	assert.match(circle.message, /r is NaN/);
+	assert.deepStrictEqual(pixel(r, 16, 16), [0, 0, 0, 255]);
+	assert.match(calls(r, "mode")[0].fix, /Did you mean "multiply"/);
+});
+
+test("a repeated problem is logged once with a count", { skip }, () => {
+	const r = make(32, 32, { debug: true });
+	for (let i = 0; i < 3; i++) r.rect(0, 0, 4, 4, "#nope");
+	const list = r.diagnostics({ clear: true });
+	assert.strictEqual(list.length, 1);
+	assert.strictEqual(list[0].count, 3);
+	assert.strictEqual(r.diagnostics().length, 0);
+});
+
+test("calls inside a glow callback are checked", { skip }, () => {
+	const r = make(32, 32, { debug: true });
+	r.cls("#000000").glow(4, "#ffffff", () => {
+		r.circle(NaN, 16, 4, "#ffffff");
+		r.grid("hexx");
+	});
+	assert.strictEqual(calls(r, "circle").length, 1);
+	assert.strictEqual(calls(r, "grid").length, 1);
+	assert.deepStrictEqual(pixel(r, 16, 16), [0, 0, 0, 255]);
+});
+
+test("a clip left open inside a glow callback is reported at frame end", { skip }, () => {
+	const r = make(32, 32, { debug: true });
+	r.loop(() => r.glow(2, "#ffffff", () => r.clipStart().rect(0, 0, 8, 8).clipEnd()), { manual: true }).step();
+	assert.strictEqual(calls(r, "frame")[0].level, "error");
+	r.stop();
+});
+
+test("strict mode throws with the diagnostic attached", { skip }, () => {
+	const r = make(32, 32, { strict: true });
+	assert.throws(() => r.line(0, 0, "10", 10), err => err.diagnostic && err.diagnostic.call === "line");
+});
+
+test("brush internals are not checked", { skip }, () => {
+	const r = make(64, 64, { debug: true });
+	r.cls("#ffffff").brush(10, 10, 50, 50, 0.8, "#203040");
+	assert.deepStrictEqual(r.diagnostics(), []);
+});
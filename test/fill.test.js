@@ -0,0 +1,82 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const elements = (svg, tag) => [...svg.matchAll(new RegExp(`<${tag}\\b([^>]*?)/?>`, "g"))].map(m => Object.fromEntries([...m[1].matchAll(/([\w:-]+)="([^"]*)"/g)].map(a => [a[1], a[2]])));
+const near = (actual, expected, tol = 3) => actual.every((v, i) => Math.abs(v - expected[i]) <= tol);
+
+test("descriptors are plain JSON objects", () => {
+	const fills = [ray.linear(0, 0, 10, 0, ["red", "blue"]), ray.radial(5, 5, 5, [[0, "#fff"], [1, "#000"]]), ray.conic(5, 5, 1, ["red", "lime"]), ray.pattern({ grid: "dots", spacing: 8 }, "repeat-x")];
+	for (const f of fills) assert.deepStrictEqual(JSON.parse(JSON.stringify(f)), f);
+	assert.deepStrictEqual(fills[1], { type: "radial", x: 5, y: 5, r: 5, r0: 0, stops: [[0, "#fff"], [1, "#000"]] });
+});
+
+test("linear and radial gradients fill along their geometry", { skip }, () => {
+	const r = make(101, 20);
+	r.rect(0, 0, 101, 20, ray.linear(0, 0, 100, 0, ["#ff0000", "#0000ff"]));
+	assert.ok(near(pixel(r, 0, 10), [255, 0, 0, 255]));
+	assert.ok(near(pixel(r, 100, 10), [0, 0, 255, 255]));
+	assert.ok(near(pixel(r, 50, 10), [128, 0, 128, 255]));
+	// Evenly spaced stops and explicit offsets agree
+	const a = make(101, 4).rect(0, 0, 101, 4, ray.linear(0, 0, 100, 0, ["#000000", "#ffffff", "#000000"]));
+	const b = make(101, 4).rect(0, 0, 101, 4, ray.linear(0, 0, 100, 0, [[0, "#000000"], [0.5, "#ffffff"], [1, "#000000"]]));
+	assert.ok(near(pixel(a, 50, 2), [255, 255, 255, 255]));
+	for (const x of [10, 30, 70]) assert.deepStrictEqual(pixel(a, x, 2), pixel(b, x, 2));
+	r.clear().circle(50, 10, 10, ray.radial(50, 10, 10, ["#ffffff", "#000000"]));
+	assert.ok(pixel(r, 50, 10)[0] > 230 && pixel(r, 50, 2)[0] < 70);
+});
+
+test("gradients live in user space, so transforms move them", { skip }, () => {
+	const r = make(100, 10);
+	r.translate(50, 0).rect(-50, 0, 100, 10, ray.linear(0, 0, 10, 0, ["#ff0000", "#0000ff"]));
+	assert.ok(near(pixel(r, 45, 5), [255, 0, 0, 255]));
+	assert.ok(near(pixel(r, 70, 5), [0, 0, 255, 255]));
+});
+
+test("conic sweeps its stops around the center", { skip }, () => {
+	const r = make(40, 40).rect(0, 0, 40, 40, ray.conic(20, 20, 0, [[0, "#ff0000"], [0.5, "#ff0000"], [0.5, "#0000ff"], [1, "#0000ff"]]));
+	const around = [[35, 20], [20, 35], [5, 20], [20, 5]].map(([x, y]) => pixel(r, x, y).join());
+	assert.ok(around.includes("255,0,0,255") && around.includes("0,0,255,255"), around.join(" "));
+});
+
+test("patterns tile a buffer or a grid spec", { skip }, () => {
+	const r = make(40, 40);
+	const tile = r.buffer(8, 8);
+	tile.ctx.fillStyle = "#ff0000";
+	tile.ctx.fillRect(0, 0, 4, 8);
+	r.rect(0, 0, 40, 40, ray.pattern(tile));
+	for (const x of [1, 9, 33]) assert.deepStrictEqual(pixel(r, x, 21), [255, 0, 0, 255]);
+	for (const x of [6, 14, 38]) assert.strictEqual(pixel(r, x, 21)[3], 0);
+	r.clear().rect(0, 0, 40, 40, ray.pattern({ grid: "checkerboard", spacing: 5, color: "#000000", background: "#ffffff" }));
+	const cells = [pixel(r, 2, 2), pixel(r, 7, 2), pixel(r, 12, 2), pixel(r, 7, 7)];
+	assert.notDeepStrictEqual(cells[0], cells[1]);
+	assert.deepStrictEqual(cells[0], cells[2]);
+	assert.deepStrictEqual(cells[0], cells[3]);
+});
+
+test("fills work in strokes, brushes and JSON commands", { skip }, () => {
+	const r = make(60, 60);
+	const grad = ray.linear(0, 0, 60, 0, ["#ff0000", "#0000ff"]);
+	r.line(0, 10, 60, 10, grad, 4);
+	assert.ok(near(pixel(r, 1, 10), [255, 0, 0, 255], 15));
+	assert.ok(near(pixel(r, 30, 10), [128, 0, 128, 255], 5));
+	r.marker(10, 40, 50, 40, 1, grad);
+	assert.ok(pixel(r, 30, 40)[3] > 0);
+	const direct = make(30, 30).circle(15, 15, 10, ray.radial(15, 15, 10, ["#00ff00", "#000000"]));
+	const viaJson = make(30, 30).exec(JSON.parse(JSON.stringify([{ op: "circle", args: [15, 15, 10, ray.radial(15, 15, 10, ["#00ff00", "#000000"])] }])));
+	for (const [x, y] of [[15, 15], [10, 12], [22, 18]]) assert.deepStrictEqual(pixel(viaJson, x, y), pixel(direct, x, y));
+});
+
+test("SVG output turns gradients into defs and reuses them", { skip }, () => {
+	const r = make(60, 40, { backend: "svg" });
+	const grad = ray.linear(0, 0, 60, 0, [[0, "#ff0000"], [1, "rgba(0,0,255,0.5)"]]);
+	r.rect(0, 0, 30, 40, grad).rect(30, 0, 30, 40, grad).circle(30, 20, 5, ray.radial(30, 20, 5, ["#fff", "#000"], 1));
+	const svg = r.toSVG();
+	assert.deepStrictEqual(elements(svg, "linearGradient"), [{ id: "ray-fill-1", gradientUnits: "userSpaceOnUse", x1: "0", y1: "0", x2: "60", y2: "0" }]);
+	assert.deepStrictEqual(elements(svg, "stop").slice(0, 2), [{ offset: "0", "stop-color": "#ff0000" }, { offset: "1", "stop-color": "#0000ff", "stop-opacity": "0.5" }]);
+	assert.deepStrictEqual(elements(svg, "rect").map(e => e.fill), ["url(#ray-fill-1)", "url(#ray-fill-1)"]);
+	assert.strictEqual(elements(svg, "radialGradient")[0].fr, "1");
+	assert.strictEqual(elements(svg, "circle")[0].fill, "url(#ray-fill-2)");
+});
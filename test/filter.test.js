@@ -0,0 +1,63 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, skip } = require("./helpers/canvas.js");
+
+// ImageData stand-in: filters only touch width, height and data
+const image = (w, h, fill) => {
+	const data = new Uint8ClampedArray(w * h * 4);
+	for (let i = 0; i < w * h; i++) data.set(fill(i % w, Math.floor(i / w)), i * 4);
+	return { width: w, height: h, data };
+};
+
+test("blur leaves a flat image flat and spreads a dot without losing it", () => {
+	const flat = ray.filters.blur(image(16, 16, () => [90, 140, 200, 255]), { radius: 3 });
+	for (let i = 0; i < flat.data.length; i += 4) assert.deepStrictEqual([...flat.data.subarray(i, i + 4)], [90, 140, 200, 255]);
+	const dot = ray.filters.blur(image(33, 33, (x, y) => (x === 16 && y === 16 ? [255, 255, 255, 255] : [0, 0, 0, 0])), { radius: 2 });
+	let alpha = 0;
+	for (let i = 3; i < dot.data.length; i += 4) alpha += dot.data[i];
+	assert.ok(Math.abs(alpha - 255) < 40, `alpha sum ${alpha}`);
+	assert.ok(dot.data[(16 * 33 + 18) * 4 + 3] > 0);
+});
+
+test("posterize and threshold snap channels", () => {
+	const p = ray.filters.posterize(image(4, 1, x => [x * 80, 100, 250, 255]), { levels: 2 });
+	assert.deepStrictEqual([p.data[0], p.data[4], p.data[8], p.data[12]], [0, 0, 255, 255]);
+	const t = ray.filters.threshold(image(2, 1, x => (x ? [240, 240, 240, 255] : [20, 20, 20, 255])), { dark: "#102030" });
+	assert.deepStrictEqual([...t.data], [16, 32, 48, 255, 255, 255, 255, 255]);
+});
+
+test("grain with a seed is reproducible", () => {
+	const run = () => [...ray.filters.grain(image(8, 8, () => [128, 128, 128, 255]), { amount: 0.3, seed: 5 }).data];
+	assert.deepStrictEqual(run(), run());
+	assert.notDeepStrictEqual(run(), [...image(8, 8, () => [128, 128, 128, 255]).data]);
+});
+
+test("filter() rejects unknown names, SVG output and layers without a canvas", { skip }, () => {
+	const r = make(16, 16);
+	assert.throws(() => r.filter("bluur"), /unknown filter/);
+	assert.throws(() => r.renderAt(32, 32, () => r.filter("blur", { layer: "x" })), /layer/);
+	const s = make(16, 16, { backend: "svg" });
+	assert.throws(() => s.filter("blur"), /SVG/);
+});
+
+test("a glow set before loop() applies to every frame", { skip }, () => {
+	const r = make(16, 16);
+	const seen = [];
+	r.glow(10, "#ff0000").loop(() => seen.push(r.ctx.shadowBlur), { manual: true });
+	r.step().step().step();
+	assert.deepStrictEqual(seen, [10, 10, 10]);
+	r.stop();
+});
+
+test("a glow set inside a frame ends with that frame and does not reach other loops", { skip }, () => {
+	const r = make(16, 16);
+	const seen = [];
+	r.loop("a", () => { seen.push(["a", r.ctx.shadowBlur]); r.glow(8, "#00ff00"); }, { manual: true });
+	r.loop("b", () => seen.push(["b", r.ctx.shadowBlur]), { manual: true });
+	r.step(null, "a").step(null, "b").step(null, "a");
+	assert.deepStrictEqual(seen, [["a", 0], ["b", 0], ["a", 0]]);
+	assert.strictEqual(r.ctx.shadowBlur, 0);
+	r.stop();
+});
@@ -0,0 +1,86 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, pixels, skip } = require("./helpers/canvas.js");
+
+// Share of the canvas covered, counting partial alpha
+const coverage = (r) => {
+	const px = pixels(r);
+	let sum = 0;
+	for (let i = 3; i < px.length; i += 4) sum += px[i];
+	return sum / 255 / (px.length / 4);
+};
+const maxDiff = (a, b) => a.reduce((m, v, i) => Math.max(m, Math.abs(v - b[i])), 0);
+const draw = (type, spacing, opts, size = 120) => make(size, size).grid(type, spacing, "#000000", opts);
+
+test("each pattern covers the share of the canvas its ratio implies", { skip }, () => {
+	const cases = [
+		["dots", 20, {}, Math.PI * 3 * 3 / 400],
+		["stripes", 20, {}, 0.5],
+		["checkerboard", 20, {}, 0.5],
+		["hex", 20, { ratio: 1 }, 1],
+		["hex", 20, {}, 0.81],
+		["triangle", 20, { ratio: 1 }, 1],
+		["triangle", 20, {}, 0.81],
+		// Thicker than the default: Skia undercovers 1px diagonal strokes
+		["lines", 10, { ratio: 0.3 }, 0.3],
+		["diagonal", 10, { ratio: 0.3 }, 0.3],
+		["crosshatch", 10, { ratio: 0.3 }, 0.51],
+	];
+	for (const [type, spacing, opts, expected] of cases) {
+		const got = coverage(draw(type, spacing, opts));
+		assert.ok(Math.abs(got - expected) < 0.03, `${type} ${JSON.stringify(opts)}: ${got.toFixed(3)} vs ${expected.toFixed(3)}`);
+	}
+	const iso = coverage(draw("isometric", 20));
+	assert.ok(iso > 0.1 && iso < 0.25, `isometric ${iso}`);
+});
+
+test("cells stay on the spacing lattice, and offset moves them", { skip }, () => {
+	for (const type of ["dots", "stripes", "hex", "triangle", "lines", "isometric"]) {
+		const a = pixels(draw(type, 20, {}, 80));
+		// Panning by whole cells lands every cell on another one (up to antialiasing of long lines)
+		assert.ok(maxDiff(pixels(make(80, 80).translate(40, 0).grid(type, 20, "#000000")), a) <= 4, type);
+		const moved = draw(type, 20, { offset: [5, 3] }, 80);
+		assert.notDeepStrictEqual(pixels(moved), a, `${type} offset`);
+		for (const [x, y] of [[40, 37], [51, 22], [30, 60]]) assert.ok(maxDiff(pixel(moved, x + 5, y + 3), a.slice((y * 80 + x) * 4, (y * 80 + x) * 4 + 4)) <= 4, `${type} offset at ${x},${y}`);
+	}
+});
+
+test("rotation turns the pattern without changing its coverage", { skip }, () => {
+	const flat = draw("stripes", 20, {});
+	const turned = draw("stripes", 20, { rotation: Math.PI / 2 });
+	assert.ok(Math.abs(coverage(turned) - 0.5) < 0.03);
+	// Vertical stripes turned a quarter become horizontal ones
+	assert.notStrictEqual(pixel(flat, 5, 5)[3], pixel(flat, 15, 5)[3]);
+	assert.strictEqual(pixel(turned, 5, 5)[3], pixel(turned, 15, 5)[3]);
+	assert.notStrictEqual(pixel(turned, 5, 5)[3], pixel(turned, 5, 15)[3]);
+});
+
+test("stroke outlines marks instead of filling them", { skip }, () => {
+	const r = draw("checkerboard", 20, { stroke: true, strokeWidth: 2 });
+	assert.strictEqual(pixel(r, 10, 10)[3], 0, "cell inside stays empty");
+	assert.ok(pixel(r, 20, 10)[3] > 0, "cell edge is drawn");
+	assert.ok(coverage(r) < 0.3);
+});
+
+test("halftone scales marks by a function or an image's darkness", { skip }, () => {
+	const full = coverage(draw("dots", 20, { ratio: 0.4 }));
+	const half = coverage(draw("dots", 20, { ratio: 0.4, halftone: () => 0.5 }));
+	assert.ok(Math.abs(half / full - 0.25) < 0.03, `${half / full}`);
+	assert.strictEqual(coverage(draw("hex", 20, { halftone: () => 0 })), 0);
+	// Black on the left, white on the right: marks only on the left
+	const src = make(2, 1);
+	src.rect(0, 0, 1, 1, "#000000").rect(1, 0, 1, 1, "#ffffff");
+	for (const type of ["dots", "stripes", "checkerboard", "hex", "triangle", "lines"]) {
+		const r = draw(type, 10, { halftone: src.ctx.getImageData(0, 0, 2, 1), ratio: type === "lines" ? 0.3 : undefined });
+		let left = 0, right = 0;
+		const px = pixels(r);
+		for (let y = 0; y < 120; y++) {
+			for (let x = 0; x < 120; x++) {
+				if (x < 50) left += px[(y * 120 + x) * 4 + 3];
+				else if (x >= 70) right += px[(y * 120 + x) * 4 + 3];
+			}
+		}
+		assert.ok(left > 0 && right === 0, `${type}: ${left} left, ${right} right`);
+	}
+});
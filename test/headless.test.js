@@ -0,0 +1,69 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { createCanvas, pixel, skip } = require("./helpers/canvas.js");
+
+test("without a page, init needs a size and a way to make canvases", () => {
+	assert.strictEqual(typeof document, "undefined");
+	assert.throws(() => ray.create({ createCanvas: () => null }), /without a page needs \{ width, height \}/);
+	assert.throws(() => ray.create({ width: 10, height: 10 }), /no way to create a canvas here/);
+});
+
+test("createCanvas makes an offscreen canvas at the given size and dpr", { skip }, () => {
+	const made = [];
+	const factory = (w, h) => { made.push([w, h]); return createCanvas(w, h); };
+	const r = ray.create({ createCanvas: factory, width: 50, height: 30, dpr: 2 });
+	assert.deepStrictEqual(made[0], [100, 60]);
+	assert.deepStrictEqual(r.size(), { width: 50, height: 30 });
+	assert.deepStrictEqual([r.ctx.canvas.width, r.ctx.canvas.height], [100, 60]);
+	r.rect(10, 10, 5, 5, "#ff0000");
+	assert.deepStrictEqual(pixel(r, 25, 25), [255, 0, 0, 255], "drawn in CSS px, scaled by dpr");
+	r.buffer(7, 9);
+	assert.deepStrictEqual(made[made.length - 1], [7, 9], "buffers come from the factory too");
+	r.destroy();
+	assert.strictEqual(r.ctx, null);
+});
+
+test("a worker-style context is drawn into and left alone on destroy", { skip }, () => {
+	const offscreen = createCanvas(80, 40);
+	const context = offscreen.getContext("2d");
+	const r = ray.create({ context, width: 40, height: 20, dpr: 2, createCanvas });
+	assert.strictEqual(r.ctx, context);
+	r.cls("#0000ff").circle(20, 10, 4, "#ffffff");
+	r.destroy();
+	assert.deepStrictEqual(Array.from(context.getImageData(40, 20, 1, 1).data), [255, 255, 255, 255]);
+	assert.deepStrictEqual(Array.from(context.getImageData(2, 2, 1, 1).data), [0, 0, 255, 255]);
+});
+
+test("OffscreenCanvas is the default factory where there is no document", { skip }, () => {
+	const made = [];
+	globalThis.OffscreenCanvas = class { constructor(w, h) { made.push([w, h]); return createCanvas(w, h); } };
+	try {
+		const r = ray.create({ width: 20, height: 10, dpr: 1 });
+		assert.deepStrictEqual(made, [[20, 10]]);
+		r.rect(0, 0, 5, 5, "#00ff00");
+		assert.deepStrictEqual(pixel(r, 2, 2), [0, 255, 0, 255]);
+		r.buffer(3, 3);
+		assert.deepStrictEqual(made[1], [3, 3]);
+	} finally {
+		delete globalThis.OffscreenCanvas;
+	}
+});
+
+test("headless loops need a scheduler or manual stepping", { skip }, () => {
+	const r = ray.create({ createCanvas, width: 10, height: 10, dpr: 1 });
+	let frames = 0;
+	// No requestAnimationFrame in Node: the loop waits for step()
+	r.loop(() => frames++);
+	assert.strictEqual(frames, 0);
+	r.step();
+	assert.strictEqual(frames, 1);
+	const requested = [];
+	const s = ray.create({ createCanvas, width: 10, height: 10, dpr: 1, scheduler: { request: fn => requested.push(fn), cancel: () => {} } });
+	s.loop(() => frames++);
+	assert.strictEqual(requested.length, 1);
+	requested[0](performance.now() + 16);
+	assert.strictEqual(frames, 2);
+	r.stop(); s.stop();
+});
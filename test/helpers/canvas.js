@@ -0,0 +1,17 @@
+// Headless canvas for tests that draw: @napi-rs/canvas or node-canvas, whichever is installed.
+// Without one, those tests skip (pass `{ skip }`) and the pure ones still run.
+let createCanvas = null;
+for (const name of ["@napi-rs/canvas", "canvas"]) {
+	try { ({ createCanvas } = require(name)); break; } catch (e) { /* not installed */ }
+}
+
+const ray = require("../../ray.js");
+
+module.exports = {
+	createCanvas,
+	skip: createCanvas ? false : "needs @napi-rs/canvas or canvas installed",
+	// Fresh instance at dpr 1, so drawing units are pixels
+	make: (width = 64, height = 64, config = {}) => ray.create({ width, height, dpr: 1, createCanvas, ...config }),
+	pixel: (r, x, y) => Array.from(r.ctx.getImageData(x, y, 1, 1).data),
+	pixels: r => r.ctx.getImageData(0, 0, r.ctx.canvas.width, r.ctx.canvas.height).data,
+};
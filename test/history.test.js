@@ -0,0 +1,113 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixels, skip } = require("./helpers/canvas.js");
+
+const stroke = (r, brush, y, color) => {
+	r.history.begin();
+	for (let x = 8; x < 88; x += 8) r[brush](x, y, x - 8, y + 3, 0.8, color);
+	r.history.commit();
+};
+
+const paint = (r) => {
+	r.cls("#ffffff");
+	stroke(r, "dry", 20, "#203050");
+	stroke(r, "brush", 45, "#802010");
+	r.noiseSeed(99);
+	stroke(r, "dry", 70, "#105020");
+};
+
+test("an exported session replays pixel for pixel on a fresh instance", { skip }, () => {
+	const a = make(96, 96).seed(3);
+	paint(a);
+	const session = JSON.parse(JSON.stringify(a.history.export()));
+	assert.ok(session.strokes.every(s => Number.isInteger(s.noiseSeed)));
+
+	const b = make(96, 96).seed(8).noiseSeed(41);
+	const live = b.noise(0.3, 0.7);
+	b.cls("#ffffff").history.replay(session);
+	assert.deepStrictEqual(pixels(b), pixels(a));
+	assert.strictEqual(b.noise(0.3, 0.7), live);
+});
+
+test("undo and redo repaint the same pixels after a later noiseSeed()", { skip }, () => {
+	const r = make(96, 96).seed(5);
+	r.cls("#ffffff");
+	stroke(r, "dry", 20, "#203050");
+	stroke(r, "brush", 45, "#802010");
+	const two = pixels(r);
+	r.noiseSeed(123);
+	stroke(r, "dry", 70, "#105020");
+	const three = pixels(r);
+	r.noiseSeed(7);
+	r.history.undo();
+	assert.deepStrictEqual(pixels(r), two);
+	r.history.undo().history.redo().history.redo();
+	assert.deepStrictEqual(pixels(r), three);
+});
+
+test("replay checks every stroke before drawing any", { skip }, () => {
+	const a = make(32, 32).seed(1);
+	a.cls("#ffffff");
+	stroke(a, "dry", 10, "#000000");
+	stroke(a, "dry", 20, "#000000");
+	const session = a.history.export();
+	const b = make(32, 32).cls("#ffffff");
+	const blank = pixels(b);
+	for (const [field, value, message] of [["noiseSeed", undefined, /noiseSeed/], ["seed", 1.5, /seed/], ["xform", [1, 0, 0, 1, 0], /xform/], ["glow", 4, /glow/]]) {
+		const bad = JSON.parse(JSON.stringify(session));
+		bad.strokes[1][field] = value;
+		assert.throws(() => b.history.replay(bad), message);
+		assert.deepStrictEqual(pixels(b), blank);
+	}
+	const bad = JSON.parse(JSON.stringify(session));
+	bad.strokes[1].commands.push({ op: "explode", args: [] });
+	assert.throws(() => b.history.replay(bad), /unknown op "explode"/);
+});
+
+test("undo stops at the configured depth", { skip }, () => {
+	const r = make(32, 32).seed(2);
+	r.history.config({ depth: 3, checkpoint: 2 });
+	for (let i = 0; i < 8; i++) {
+		r.history.begin();
+		r.rect(i * 4, 0, 4, 4, "#000000");
+		r.history.commit();
+	}
+	let undone = 0;
+	while (r.history.canUndo) { r.history.undo(); undone++; }
+	assert.ok(undone >= 3 && undone <= 3 + 2, `undid ${undone}`);
+	assert.strictEqual(r.history.canRedo, true);
+});
+
+test("at most `snapshots` pixel snapshots are kept, and undo stops at the oldest", { skip }, () => {
+	const r = make(32, 32).seed(6);
+	r.history.config({ depth: 100, checkpoint: 2, snapshots: 3 });
+	const states = [pixels(r)];
+	for (let i = 0; i < 20; i++) {
+		r.history.begin();
+		r.dry(i, 4, i + 6, 28, 0.9, "#000000");
+		r.history.commit();
+		states.push(pixels(r));
+	}
+	let at = 20;
+	while (r.history.canUndo) {
+		r.history.undo();
+		assert.deepStrictEqual(pixels(r), states[--at]);
+	}
+	// Snapshots at steps 16, 18 and 20
+	assert.strictEqual(at, 16);
+
+	const d = make(16, 16);
+	for (let i = 0; i < 60; i++) d.history.begin().rect(i % 16, 0, 1, 1, "#000000").history.commit();
+	let undone = 0;
+	while (d.history.canUndo) { d.history.undo(); undone++; }
+	assert.ok(undone >= 30 && undone <= 39, `default reach ${undone}`);
+});
+
+test("empty steps are not recorded and drawing outside a step is not tracked", { skip }, () => {
+	const r = make(32, 32);
+	r.history.begin().history.commit();
+	assert.strictEqual(r.history.canUndo, false);
+	r.rect(0, 0, 8, 8, "#000000");
+	assert.deepStrictEqual(r.history.export().strokes, []);
+});
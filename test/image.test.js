@@ -0,0 +1,98 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const RED = [255, 0, 0, 255], BLUE = [0, 0, 255, 255];
+
+// 4×2 ImageData: left half red, right half blue
+const halves = (r) => {
+	const img = r.ctx.createImageData(4, 2);
+	for (let i = 0; i < 8; i++) img.data.set(i % 4 < 2 ? RED : BLUE, i * 4);
+	return img;
+};
+
+test("image() sizes, fits and crops the source to its box", { skip }, () => {
+	const r = make(40, 40);
+	const img = halves(r);
+	r.image(img, 0, 0, null, null, { smooth: false });
+	assert.deepStrictEqual([pixel(r, 1, 1), pixel(r, 3, 1), pixel(r, 1, 3)[3]], [RED, BLUE, 0], "natural size");
+	r.clear().image(img, 0, 0, 20, null, { smooth: false });
+	assert.deepStrictEqual([pixel(r, 5, 9), pixel(r, 15, 9), pixel(r, 5, 11)[3]], [RED, BLUE, 0], "height follows the aspect");
+	r.clear().image(img, 0, 0, 40, 40, { fit: "contain", smooth: false });
+	assert.deepStrictEqual([pixel(r, 5, 5)[3], pixel(r, 5, 20), pixel(r, 35, 20), pixel(r, 5, 35)[3]], [0, RED, BLUE, 0], "contain letterboxes");
+	r.clear().image(img, 10, 10, 20, 20, { fit: "cover", smooth: false });
+	assert.deepStrictEqual([pixel(r, 11, 11), pixel(r, 28, 28), pixel(r, 9, 20)[3], pixel(r, 31, 20)[3]], [RED, BLUE, 0, 0], "cover crops to the box");
+	r.clear().image(img, 0, 0, 40, 40, { fit: "none" });
+	assert.deepStrictEqual([pixel(r, 19, 20), pixel(r, 20, 20), pixel(r, 17, 20)[3]], [RED, BLUE, 0], "none keeps the size, centered");
+	r.clear().image(img, 0, 0, 40, 20, { opacity: 0.5, smooth: false });
+	assert.ok(Math.abs(pixel(r, 5, 5)[3] - 128) <= 1);
+	assert.strictEqual(r.ctx.globalAlpha, 1, "opacity is restored");
+});
+
+test("image() takes buffers and canvases, and skips unloaded sources", { skip }, () => {
+	const r = make(20, 20);
+	const buf = r.buffer(2, 2);
+	buf.ctx.fillStyle = "#00ff00";
+	buf.ctx.fillRect(0, 0, 2, 2);
+	r.image(buf, 0, 0, 10, 10).image(buf.canvas, 10, 10, 10, 10);
+	assert.deepStrictEqual([pixel(r, 5, 5), pixel(r, 15, 15)], [[0, 255, 0, 255], [0, 255, 0, 255]]);
+	assert.strictEqual(r.image({ width: 0, height: 0 }, 0, 0), r);
+	assert.strictEqual(r.image(null), r);
+});
+
+test("sample() and luma() read one exact pixel, in source or area units", { skip }, () => {
+	const r = make(10, 10);
+	const img = halves(r);
+	assert.strictEqual(r.sample(img, 1, 1), "#ff0000");
+	assert.strictEqual(r.sample(img, 2, 0), "#0000ff");
+	assert.strictEqual(r.sample(img, 99, -5), "#0000ff", "clamped to the edge");
+	assert.strictEqual(r.sample(img, 30, 10, { area: [0, 0, 100, 50] }), "#ff0000");
+	assert.strictEqual(r.sample(img, 60, 10, { area: [0, 0, 100, 50] }), "#0000ff");
+	// Canvases are re-read every call
+	const buf = r.buffer(2, 2);
+	buf.ctx.fillStyle = "#ffffff";
+	buf.ctx.fillRect(0, 0, 2, 2);
+	assert.strictEqual(r.sample(buf, 1, 1), "#ffffff");
+	buf.ctx.fillStyle = "rgba(0,0,0,0.5)";
+	buf.ctx.clearRect(0, 0, 2, 2);
+	buf.ctx.fillRect(0, 0, 2, 2);
+	assert.match(r.sample(buf, 1, 1), /^rgba\(0,0,0,0\.(49|5)\d*\)$/);
+	assert.ok(Math.abs(r.luma("#ffffff") - 1) < 1e-9);
+	assert.strictEqual(r.luma("#000000"), 0);
+	assert.ok(r.luma(img, 0, 0) > r.luma(img, 3, 0), "red is brighter than blue");
+	buf.ctx.clearRect(0, 0, 2, 2);
+	assert.ok(Math.abs(r.luma(buf, 0, 0) - 1) < 1e-9, "transparent reads as white");
+	assert.strictEqual(r.sample(null, 0, 0), null);
+});
+
+test("strokePlan follows edges, is reproducible, and refines where there is detail", { skip }, () => {
+	const r = make(100, 100);
+	// Black left half, white right half: one vertical edge at x = 50
+	const src = r.buffer(100, 100);
+	src.ctx.fillStyle = "#ffffff";
+	src.ctx.fillRect(0, 0, 100, 100);
+	src.ctx.fillStyle = "#000000";
+	src.ctx.fillRect(0, 0, 50, 100);
+	const opts = { seed: 2, spacing: 10, wobble: 0, jitter: 0 };
+	const plan = r.strokePlan(src, opts);
+	assert.deepStrictEqual(r.strokePlan(src, opts), plan);
+	assert.notDeepStrictEqual(r.strokePlan(src, { ...opts, seed: 3 }), plan, "the seed shuffles the order");
+	assert.strictEqual(plan.length, 100);
+	for (const s of plan) {
+		assert.strictEqual(s.color, (s.x + s.px) / 2 < 50 ? "#000000" : "#ffffff", "colors come from the image");
+		assert.ok(Math.abs(Math.hypot(s.x - s.px, s.y - s.py) - 20) < 1e-9, "length is 2 × spacing");
+		assert.strictEqual(s.size, 6);
+		// Only the cell centred at x = 45 straddles the edge with its ±5 gradient taps
+		const atEdge = (s.x + s.px) / 2 === 45;
+		if (atEdge) assert.ok(Math.abs(Math.abs(Math.sin(s.angle)) - 1) < 1e-9, "strokes run along the edge");
+		else assert.strictEqual(s.angle, Math.PI / 4, "flat areas use the fallback angle");
+	}
+	const dark = plan.find(s => s.luma < 0.01), light = plan.find(s => s.luma > 0.99);
+	assert.ok(dark.pressure > light.pressure);
+	const fine = r.strokePlan(src, { ...opts, spacing: [20, 5] });
+	const second = fine.filter(s => s.pass === 1);
+	assert.strictEqual(fine.filter(s => s.pass === 0).length, 25);
+	assert.ok(second.length > 0 && second.every(s => Math.abs((s.x + s.px) / 2 - 50) < 5), "the fine pass only adds strokes at the edge");
+	assert.deepStrictEqual(r.strokePlan({ width: 0 }), []);
+});
@@ -0,0 +1,123 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, pixels, skip } = require("./helpers/canvas.js");
+
+// Just enough of an element for Pointer Events: listeners by type, offset by its client rect
+const fakeElement = (left = 0, top = 0) => {
+	const listeners = {};
+	return {
+		style: {},
+		listeners,
+		addEventListener: (type, fn) => { (listeners[type] = listeners[type] || []).push(fn); },
+		removeEventListener: (type, fn) => { listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+		getBoundingClientRect: () => ({ left, top }),
+		setPointerCapture: () => {},
+		fire(type, e) { for (const fn of listeners[type] || []) fn({ pointerId: 1, pointerType: "mouse", timeStamp: 0, ...e }); },
+	};
+};
+
+// Instance with input on a fake element, logging every emitted segment
+const track = (opts = {}) => {
+	const r = ray.create();
+	const el = fakeElement(10, 20);
+	const log = [];
+	r.input.enable({ ...opts, element: el });
+	for (const type of ["begin", "move", "end"]) r.input.on(type, seg => log.push({ kind: type, ...seg }));
+	return { r, el, log };
+};
+
+test("raw input emits one segment per event, in element coordinates", () => {
+	const { el, log } = track();
+	assert.strictEqual(el.style.touchAction, "none");
+	el.fire("pointerdown", { clientX: 15, clientY: 25, timeStamp: 0 });
+	el.fire("pointermove", { clientX: 25, clientY: 25, timeStamp: 10, pressure: 0.8, tiltX: 30 });
+	el.fire("pointerup", { clientX: 25, clientY: 25, timeStamp: 20 });
+	assert.deepStrictEqual(log.map(s => [s.kind, s.x, s.y, s.px, s.py]), [["begin", 5, 5, 5, 5], ["move", 15, 5, 5, 5], ["end", 15, 5, 15, 5]]);
+	assert.strictEqual(log[0].pressure, 0.5, "mice report 0.5 while pressed");
+	assert.strictEqual(log[1].pressure, 0.8);
+	assert.strictEqual(log[1].tiltX, 30);
+	// Velocity starts at the press, not at the element's corner
+	assert.deepStrictEqual([log[1].vx, log[1].vy, log[1].speed], [0.4, 0, 0.4]);
+	assert.strictEqual(log[2].pressure, 0);
+});
+
+test("coalesced events are all used, and each pointer id keeps its own stroke", () => {
+	const { r, el, log } = track();
+	el.fire("pointerdown", { pointerId: 1, clientX: 10, clientY: 20 });
+	el.fire("pointerdown", { pointerId: 2, clientX: 110, clientY: 20 });
+	assert.strictEqual(r.input.pointers.size, 2);
+	const coalesced = [1, 2, 3].map(i => ({ pointerId: 1, clientX: 10 + i, clientY: 20, timeStamp: i }));
+	el.fire("pointermove", { pointerId: 1, clientX: 13, clientY: 20, getCoalescedEvents: () => coalesced });
+	el.fire("pointermove", { pointerId: 2, clientX: 110, clientY: 30 });
+	const moves = log.filter(s => s.kind === "move");
+	assert.deepStrictEqual(moves.map(s => [s.id, s.px, s.x]), [[1, 0, 1], [1, 1, 2], [1, 2, 3], [2, 100, 100]]);
+	assert.deepStrictEqual([moves[3].py, moves[3].y], [0, 10]);
+	el.fire("pointerup", { pointerId: 1 });
+	assert.deepStrictEqual([...r.input.pointers.keys()], [2]);
+	// Moves of pointers that never went down are ignored
+	el.fire("pointermove", { pointerId: 9, clientX: 50, clientY: 50 });
+	assert.strictEqual(log.filter(s => s.id === 9).length, 0);
+});
+
+test("lazy smoothing trails the pointer by lazyRadius", () => {
+	const { el, log } = track({ smoothing: "lazy", lazyRadius: 5 });
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	el.fire("pointermove", { clientX: 14, clientY: 20 });
+	assert.strictEqual(log.filter(s => s.kind === "move").length, 0, "inside the radius nothing moves");
+	el.fire("pointermove", { clientX: 30, clientY: 20 });
+	const [move] = log.filter(s => s.kind === "move");
+	assert.deepStrictEqual([move.px, move.x, move.y], [0, 15, 0]);
+});
+
+test("spline smoothing passes through the samples at about `spacing` px and ends on the last one", () => {
+	const { el, log } = track({ smoothing: "spline", spacing: 2 });
+	const samples = [[0, 0], [20, 0], [20, 20], [40, 20]];
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	for (const [x, y] of samples.slice(1)) el.fire("pointermove", { clientX: x + 10, clientY: y + 20 });
+	el.fire("pointerup", {});
+	const moves = log.filter(s => s.kind === "move");
+	for (let i = 1; i < moves.length; i++) {
+		assert.deepStrictEqual([moves[i].px, moves[i].py], [moves[i - 1].x, moves[i - 1].y], "segments chain");
+	}
+	assert.ok(moves.length >= 30);
+	for (const s of moves) assert.ok(Math.hypot(s.x - s.px, s.y - s.py) <= 3, "resampled to the spacing");
+	const ends = moves.map(s => [Math.round(s.x * 1e6) / 1e6, Math.round(s.y * 1e6) / 1e6]);
+	for (const p of samples.slice(1)) assert.ok(ends.some(e => e[0] === p[0] && e[1] === p[1]), `passes through ${p}`);
+	assert.deepStrictEqual(ends[ends.length - 1], samples[samples.length - 1]);
+	assert.deepStrictEqual(log[log.length - 1].kind, "end");
+});
+
+test("off() and disable() stop the events", () => {
+	const { r, el, log } = track();
+	const extra = [];
+	const fn = seg => extra.push(seg);
+	r.input.on("begin", fn).input.off("begin", fn);
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	assert.strictEqual(extra.length, 0);
+	r.input.disable();
+	assert.strictEqual(r.input.pointers.size, 0);
+	assert.ok(Object.values(el.listeners).every(list => list.length === 0));
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	assert.strictEqual(log.length, 1);
+});
+
+test("paint() draws pointer strokes with a brush and makes each one an undo step", { skip }, () => {
+	const r = make(60, 40);
+	const el = fakeElement();
+	const ink = () => pixels(r).some((v, i) => i % 4 === 3 && v > 0);
+	assert.throws(() => r.paint("nope", "#000"), /no brush "nope"/);
+	r.paint("marker", "#000000", 6, { element: el, history: true });
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	for (let x = 12; x <= 50; x += 2) el.fire("pointermove", { clientX: x, clientY: 20, timeStamp: x });
+	el.fire("pointerup", {});
+	assert.ok(ink());
+	assert.ok(r.history.canUndo);
+	r.history.undo();
+	assert.ok(!ink() && !r.history.canUndo);
+	r.paint(null);
+	el.fire("pointerdown", { clientX: 10, clientY: 20 });
+	el.fire("pointermove", { clientX: 40, clientY: 20 });
+	assert.ok(!ink());
+});
@@ -0,0 +1,61 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const WHITE = [255, 255, 255, 255];
+
+test("instances have their own random and noise streams", () => {
+	const a = ray.create().seed(5), b = ray.create().seed(5);
+	const fromB = [];
+	for (let i = 0; i < 5; i++) { a.random(); a.noiseSeed(i); fromB.push(b.random()); }
+	const alone = ray.create().seed(5);
+	assert.deepStrictEqual(fromB, Array.from({ length: 5 }, () => alone.random()));
+	assert.strictEqual(b.noise(0.3, 0.7), ray.create().seed(5).noise(0.3, 0.7));
+});
+
+test("canvases, transforms, modes and layers stay per instance", { skip }, () => {
+	const a = make(20, 20).cls("#ffffff"), b = make(20, 20).cls("#ffffff");
+	assert.notStrictEqual(a.ctx.canvas, b.ctx.canvas);
+	a.translate(10, 10).mode("multiply");
+	b.rect(0, 0, 2, 2, "#ff0000");
+	assert.deepStrictEqual(pixel(b, 1, 1), [255, 0, 0, 255]);
+	assert.deepStrictEqual(pixel(a, 1, 1), WHITE);
+	assert.strictEqual(b.ctx.globalCompositeOperation, "source-over");
+	a.layer("x", () => a.rect(-10, -10, 20, 20, "#0000ff"));
+	b.composite();
+	assert.deepStrictEqual(pixel(b, 15, 15), WHITE, "b has no layer x");
+	a.origin().composite();
+	assert.deepStrictEqual(pixel(a, 15, 15).slice(0, 3), [0, 0, 255]);
+});
+
+test("loops, history and destroy are per instance", { skip }, () => {
+	const a = make(20, 20), b = make(20, 20);
+	let framesA = 0, framesB = 0;
+	a.loop(() => framesA++, { manual: true });
+	b.loop(() => framesB++, { manual: true });
+	a.step();
+	assert.deepStrictEqual([framesA, framesB], [1, 0]);
+	a.stop();
+	assert.strictEqual(a.time(), null);
+	assert.ok(b.time());
+	b.step();
+	assert.strictEqual(framesB, 1);
+	b.history.begin();
+	b.rect(0, 0, 5, 5, "#000000");
+	b.history.commit();
+	assert.ok(b.history.canUndo && !a.history.canUndo);
+	a.destroy();
+	assert.strictEqual(a.ctx, null);
+	b.rect(10, 10, 5, 5, "#ff0000");
+	assert.deepStrictEqual(pixel(b, 12, 12), [255, 0, 0, 255]);
+	b.stop();
+});
+
+test("the default instance is untouched by the others", { skip }, () => {
+	const before = ray.ctx;
+	make(10, 10).seed(1).defineBrush("only-here", { size: 1 });
+	assert.strictEqual(ray.ctx, before);
+	assert.strictEqual(ray.brushes["only-here"], undefined);
+});
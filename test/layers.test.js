@@ -0,0 +1,100 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+// Elements of a given tag as attribute maps, in document order
+const elements = (svg, tag) => [...svg.matchAll(new RegExp(`<${tag}\\b([^>]*?)/?>`, "g"))].map(m => Object.fromEntries([...m[1].matchAll(/([\w:-]+)="([^"]*)"/g)].map(a => [a[1], a[2]])));
+const frame = (r, draw) => { r.loop(draw, { manual: true }).step(); r.stop(); };
+
+test("layers keep their content offscreen until composited, in z order", { skip }, () => {
+	const r = make(20, 20).cls("#ffffff");
+	r.layer("red", () => r.rect(0, 0, 12, 12, "#ff0000"));
+	r.layer("blue", () => r.rect(6, 6, 12, 12, "#0000ff"));
+	assert.deepStrictEqual(pixel(r, 8, 8), [255, 255, 255, 255]);
+	r.composite();
+	assert.deepStrictEqual(pixel(r, 8, 8), [0, 0, 255, 255]);
+	r.layerSet("red", { z: 2 }).cls("#ffffff").composite();
+	assert.deepStrictEqual(pixel(r, 8, 8), [255, 0, 0, 255]);
+	assert.deepStrictEqual(pixel(r, 15, 15), [0, 0, 255, 255]);
+	// Content persists: another draw adds to the buffer
+	r.layer("red", () => r.rect(16, 0, 4, 4, "#ff0000"));
+	r.cls("#ffffff").composite();
+	assert.deepStrictEqual(pixel(r, 2, 2), [255, 0, 0, 255]);
+	assert.deepStrictEqual(pixel(r, 18, 2), [255, 0, 0, 255]);
+});
+
+test("opacity, visibility and blend apply when compositing", { skip }, () => {
+	const r = make(20, 20);
+	r.layer("a", () => r.rect(0, 0, 20, 20, "#ff0000"));
+	r.layerSet("a", { opacity: 0.5 });
+	frame(r, () => r.cls("#ffffff"));
+	const [red, green] = pixel(r, 5, 5);
+	assert.ok(red === 255 && Math.abs(green - 128) <= 1, `${red}, ${green}`);
+	r.layerSet("a", { opacity: 1, blend: "multiply" });
+	frame(r, () => r.cls("#00ffff"));
+	assert.deepStrictEqual(pixel(r, 5, 5), [0, 0, 0, 255]);
+	r.layerSet("a", { visible: false });
+	frame(r, () => r.cls("#00ffff"));
+	assert.deepStrictEqual(pixel(r, 5, 5), [0, 255, 255, 255]);
+});
+
+test("layerClear wipes a layer and layerDelete drops it", { skip }, () => {
+	const r = make(10, 10);
+	r.layer("a", () => r.rect(0, 0, 10, 10, "#ff0000"));
+	r.layerClear("a");
+	frame(r, () => r.cls("#ffffff"));
+	assert.deepStrictEqual(pixel(r, 5, 5), [255, 255, 255, 255]);
+	r.layer("a", () => r.rect(0, 0, 10, 10, "#ff0000")).layerDelete("a");
+	frame(r, () => r.cls("#ffffff"));
+	assert.deepStrictEqual(pixel(r, 5, 5), [255, 255, 255, 255]);
+	r.layer("a", () => r.circle(5, 5, 2, "#000000"));
+	frame(r, () => r.cls("#ffffff"));
+	assert.deepStrictEqual(pixel(r, 0, 0), [255, 255, 255, 255]);
+});
+
+test("composite(id) places a layer mid-frame and the frame end skips it", { skip }, () => {
+	const r = make(10, 10);
+	r.layer("a", () => r.rect(0, 0, 10, 10, "#ff0000"));
+	r.layerSet("a", { opacity: 0.5 });
+	frame(r, () => {
+		r.cls("#ffffff").composite("a");
+		r.rect(0, 0, 5, 10, "#000000");
+	});
+	assert.deepStrictEqual(pixel(r, 2, 5), [0, 0, 0, 255]);
+	// Drawn once at half opacity, not twice
+	const [, green] = pixel(r, 7, 5);
+	assert.ok(Math.abs(green - 128) <= 1, `green ${green}`);
+});
+
+test("clear() inside a layer empties just that layer", { skip }, () => {
+	const r = make(10, 10).cls("#ffffff");
+	r.layer("a", () => r.rect(0, 0, 10, 10, "#ff0000"));
+	r.layer("a", () => r.clear().rect(0, 0, 3, 3, "#0000ff"));
+	r.composite();
+	assert.deepStrictEqual(pixel(r, 1, 1), [0, 0, 255, 255]);
+	assert.deepStrictEqual(pixel(r, 6, 6), [255, 255, 255, 255]);
+});
+
+test("in renderAt tiles layers draw straight into the tile", { skip }, () => {
+	const r = make(10, 10);
+	const out = r.renderAt(20, 20, () => {
+		r.cls("#ffffff");
+		r.layer("a", () => r.clear().rect(0, 0, 10, 10, "#ff0000"));
+	}, { tileSize: 16 });
+	assert.deepStrictEqual(Array.from(out.ctx.getImageData(5, 5, 1, 1).data), [255, 0, 0, 255]);
+	assert.deepStrictEqual(Array.from(out.ctx.getImageData(15, 15, 1, 1).data), [255, 255, 255, 255]);
+});
+
+test("each layer call is a group, and clear() inside one empties only that group", { skip }, () => {
+	const r = make(60, 40, { backend: "svg" });
+	r.cls("#000000").circle(30, 20, 5, "#ff0000");
+	r.layerSet("a", { opacity: 0.5, blend: "screen" });
+	r.layer("a", () => r.rect(0, 0, 5, 5, "#00ff00"));
+	r.layer("b", () => r.rect(0, 0, 5, 5, "#ffff00").clear().rect(10, 0, 5, 5, "#0000ff"));
+	const svg = r.toSVG();
+	assert.strictEqual(elements(svg, "circle").length, 1);
+	assert.deepStrictEqual(elements(svg, "g"), [{ "data-layer": "a", opacity: "0.5", style: "mix-blend-mode:screen" }, { "data-layer": "b" }]);
+	assert.match(svg, /<g data-layer="b">\s*<rect [^>]*fill="#0000ff"\/>\s*<\/g>/);
+	assert.ok(svg.includes("#00ff00") && !svg.includes("#ffff00"));
+});
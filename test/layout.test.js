@@ -0,0 +1,110 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+
+const area = (poly) => {
+	let a = 0;
+	for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) a += poly[j][0] * poly[i][1] - poly[i][0] * poly[j][1];
+	return Math.abs(a) / 2;
+};
+const total = polys => polys.reduce((sum, p) => sum + area(p), 0);
+const near = (a, b, eps, what) => assert.ok(Math.abs(a - b) <= eps, `${what}: ${a} vs ${b}`);
+
+test("scatter keeps its minimum distance, stays in bounds and follows its seed", () => {
+	const pts = ray.scatter([10, 20, 200, 120], 9, { seed: 4 });
+	assert.ok(pts.length > 150, `${pts.length} points`);
+	for (let i = 0; i < pts.length; i++) {
+		const [x, y] = pts[i];
+		assert.ok(x >= 10 && x <= 210 && y >= 20 && y <= 140, `${x}, ${y} out of bounds`);
+		for (let j = i + 1; j < pts.length; j++) assert.ok(Math.hypot(x - pts[j][0], y - pts[j][1]) >= 9 - 1e-9);
+	}
+	assert.deepStrictEqual(ray.scatter([10, 20, 200, 120], 9, { seed: 4 }), pts);
+	assert.notDeepStrictEqual(ray.scatter([10, 20, 200, 120], 9, { seed: 5 }), pts);
+	const disc = ray.scatter({ x: 50, y: 50, r: 40 }, 8, { seed: 1 });
+	assert.ok(disc.every(([x, y]) => Math.hypot(x - 50, y - 50) <= 40));
+});
+
+test("Delaunay triangles have empty circumcircles and tile the hull", () => {
+	const pts = ray.scatter([0, 0, 300, 200], 14, { seed: 2 });
+	const tris = ray.delaunay(pts);
+	for (const [a, b, c] of tris) {
+		const d = 2 * (a[0] * (b[1] - c[1]) + b[0] * (c[1] - a[1]) + c[0] * (a[1] - b[1]));
+		const ux = ((a[0] ** 2 + a[1] ** 2) * (b[1] - c[1]) + (b[0] ** 2 + b[1] ** 2) * (c[1] - a[1]) + (c[0] ** 2 + c[1] ** 2) * (a[1] - b[1])) / d;
+		const uy = ((a[0] ** 2 + a[1] ** 2) * (c[0] - b[0]) + (b[0] ** 2 + b[1] ** 2) * (a[0] - c[0]) + (c[0] ** 2 + c[1] ** 2) * (b[0] - a[0])) / d;
+		const r = Math.hypot(a[0] - ux, a[1] - uy);
+		for (const p of pts) assert.ok(Math.hypot(p[0] - ux, p[1] - uy) >= r - 1e-6, "point inside a circumcircle");
+	}
+	// Every point is a corner, and the triangles cover the convex hull exactly (no lost hull slivers)
+	const corners = new Set(tris.flat());
+	assert.ok(pts.every(p => corners.has(p)));
+	const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+	const chain = (list) => {
+		const out = [];
+		for (const p of list) {
+			while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+			out.push(p);
+		}
+		return out.slice(0, -1);
+	};
+	const sorted = [...pts].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+	const hull = chain(sorted).concat(chain(sorted.reverse()));
+	near(total(tris), area(hull), 1e-6, "triangle area");
+});
+
+test("Delaunay handles cocircular, collinear and tiny inputs", () => {
+	const grid = [];
+	for (let y = 0; y < 10; y++) for (let x = 0; x < 10; x++) grid.push([x * 10, y * 10]);
+	const tris = ray.delaunay(grid);
+	assert.strictEqual(tris.length, 162);
+	near(total(tris), 8100, 1e-9, "grid area");
+	assert.deepStrictEqual(ray.delaunay([[0, 0], [1, 1], [2, 2], [3, 3]]), []);
+	assert.deepStrictEqual(ray.delaunay([[0, 0], [1, 1]]), []);
+	assert.deepStrictEqual(ray.delaunay([]), []);
+	assert.strictEqual(ray.delaunay([[0, 0], [0, 0], [4, 0], [0, 4]]).length, 1);
+	// A point just inside a long hull edge leaves a sliver whose circle is far larger than the input
+	const sliver = ray.delaunay([[0, 0], [100, 0], [50, 0.001], [50, 60]]);
+	assert.strictEqual(sliver.length, 3);
+	near(total(sliver), 3000, 1e-9, "sliver hull area");
+});
+
+test("Voronoi cells partition the bounds, one per point, in order", () => {
+	const pts = ray.scatter([0, 0, 240, 160], 12, { seed: 7 });
+	const cells = ray.voronoi(pts, [0, 0, 240, 160]);
+	assert.strictEqual(cells.length, pts.length);
+	near(total(cells), 240 * 160, 1e-6, "cell area");
+	// Every cell holds its own site
+	cells.forEach((cell, i) => {
+		const [px, py] = pts[i];
+		let inside = false;
+		for (let a = 0, b = cell.length - 1; a < cell.length; b = a++) {
+			if ((cell[a][1] > py) !== (cell[b][1] > py) && px < ((cell[b][0] - cell[a][0]) * (py - cell[a][1])) / (cell[b][1] - cell[a][1]) + cell[a][0]) inside = !inside;
+		}
+		assert.ok(inside, `site ${i} outside its cell`);
+	});
+	const disc = ray.voronoi(pts.filter(([x, y]) => Math.hypot(x - 120, y - 80) < 60), { x: 120, y: 80, r: 70 });
+	near(total(disc), Math.PI * 70 * 70, Math.PI * 70 * 70 * 0.005, "disc area");
+});
+
+test("Voronoi handles duplicates, collinear sites, outside sites and one or two points", () => {
+	assert.deepStrictEqual(ray.voronoi([[1, 1], [1, 1], [3, 3], [1, 3]], [0, 0, 4, 4]).map(area), [6, 0, 6, 4]);
+	assert.deepStrictEqual(ray.voronoi([[0, 0], [1, 1], [2, 2]], [0, 0, 4, 4]).map(area), [0.5, 4, 11.5]);
+	assert.deepStrictEqual(ray.voronoi([[5, 5]], [0, 0, 10, 10]).map(area), [100]);
+	assert.deepStrictEqual(ray.voronoi([[2, 5], [8, 5]], [0, 0, 10, 10]).map(area), [50, 50]);
+	assert.deepStrictEqual(ray.voronoi([[5, 5], [50, 50]], [0, 0, 10, 10]).map(area), [100, 0]);
+	assert.deepStrictEqual(ray.voronoi([], [0, 0, 10, 10]), []);
+});
+
+test("relax evens the points out and keeps them in bounds", () => {
+	ray.seed(3);
+	const pts = Array.from({ length: 80 }, () => [ray.random(100), ray.random(100)]);
+	const spread = p => {
+		const areas = ray.voronoi(p, [0, 0, 100, 100]).map(area), mean = 10000 / p.length;
+		return areas.reduce((v, a) => v + (a - mean) ** 2, 0) / p.length;
+	};
+	const relaxed = ray.relax(pts, [0, 0, 100, 100], 4);
+	assert.strictEqual(relaxed.length, pts.length);
+	assert.ok(relaxed.every(([x, y]) => x >= 0 && x <= 100 && y >= 0 && y <= 100));
+	assert.ok(spread(relaxed) < spread(pts) / 4, `${spread(relaxed)} vs ${spread(pts)}`);
+	assert.deepStrictEqual(ray.relax(pts, [0, 0, 100, 100], 4), relaxed);
+});
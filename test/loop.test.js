@@ -0,0 +1,104 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, skip } = require("./helpers/canvas.js");
+
+// rAF stand-in driven by hand: `tick(ms)` advances the clock and runs the pending frame.
+// Loops start from performance.now(), so the clock does too; times are compared rounded.
+const clock = () => {
+	let pending = null, now = performance.now();
+	return {
+		scheduler: { request: (fn) => { pending = fn; return 1; }, cancel: () => { pending = null; } },
+		tick(ms) { now += ms; const fn = pending; pending = null; if (fn) fn(now); },
+		get waiting() { return !!pending; },
+	};
+};
+
+test("fixed-step loops consume time through an accumulator", { skip }, () => {
+	const r = make(8, 8);
+	const seen = [];
+	r.loop(({ t, dt, frame }) => seen.push([t, dt, frame]), { fixed: 10, manual: true });
+	r.step(35);
+	assert.deepStrictEqual(seen, [[10, 10, 0], [20, 10, 1], [30, 10, 2]]);
+	r.step(5);
+	assert.deepStrictEqual(seen[3], [40, 10, 3]);
+	assert.deepStrictEqual(r.time(), { t: 40, frame: 4, paused: false });
+	r.stop();
+});
+
+test("a fixed-step loop renders the same frames at any refresh rate", { skip }, () => {
+	const run = (hz) => {
+		const c = clock();
+		const r = make(8, 8, { scheduler: c.scheduler });
+		const seen = [];
+		r.loop(({ t }) => seen.push(t), { fixed: 1000 / 30 });
+		for (let ms = 0; ms < 1000; ms += 1000 / hz) c.tick(1000 / hz);
+		r.stop();
+		assert.strictEqual(c.waiting, false);
+		return seen.map(t => Math.round(t));
+	};
+	const at60 = run(60), at144 = run(144);
+	assert.ok(at60.length >= 29 && at60.length <= 30, `${at60.length} frames`);
+	assert.deepStrictEqual(at144.slice(0, at60.length - 1), at60.slice(0, -1));
+});
+
+test("a long stall drops the backlog after maxSteps", { skip }, () => {
+	const r = make(8, 8);
+	let frames = 0;
+	r.loop(() => frames++, { fixed: 10, maxSteps: 5, manual: true });
+	r.step(1000);
+	assert.strictEqual(frames, 5);
+	r.step(10);
+	assert.strictEqual(frames, 6);
+	r.stop();
+});
+
+test("pause holds time, resume continues without a jump", { skip }, () => {
+	const c = clock();
+	const r = make(8, 8, { scheduler: c.scheduler });
+	const seen = [];
+	r.loop((t, dt) => seen.push([Math.round(t), Math.round(dt)]));
+	c.tick(16);
+	r.pause();
+	c.tick(500); c.tick(500);
+	assert.strictEqual(seen.length, 1);
+	r.resume();
+	c.tick(16);
+	assert.deepStrictEqual(seen, [[16, 16], [32, 16]]);
+	r.stop();
+});
+
+test("seek jumps time and frame; a paused loop redraws once", { skip }, () => {
+	const r = make(8, 8);
+	const seen = [];
+	r.loop(({ t, dt, frame }) => seen.push([t, dt, frame]), { fixed: 20, manual: true, paused: true });
+	r.seek(1000);
+	assert.deepStrictEqual(seen, [[1000, 0, 50]]);
+	r.seek(-5);
+	assert.deepStrictEqual(r.time(), { t: 0, frame: 0, paused: true });
+	r.stop();
+});
+
+test("step() without dt draws one frame, even at timeScale 0", { skip }, () => {
+	const r = make(8, 8);
+	const seen = [];
+	r.loop(({ t, dt }) => seen.push([t, dt]), { timeScale: 0, manual: true });
+	r.step().step();
+	assert.deepStrictEqual(seen, [[0, 0], [0, 0]]);
+	r.loop("half", ({ t }) => seen.push(t), { timeScale: 0.5, manual: true });
+	r.step(100, "half");
+	assert.deepStrictEqual(seen[2], 50);
+	r.stop();
+});
+
+test("callbacks get the rAF timestamp as now and fps skips early ticks", { skip }, () => {
+	const c = clock();
+	const r = make(8, 8, { scheduler: c.scheduler });
+	const seen = [];
+	r.loop((t, dt, frame, now) => seen.push([frame, now]), { fps: 30 });
+	for (let i = 0; i < 6; i++) c.tick(1000 / 60);
+	assert.deepStrictEqual(seen.map(s => s[0]), [0, 1, 2]);
+	assert.ok(Math.abs(seen[1][1] - seen[0][1] - 2000 / 60) < 1e-6, `now ${seen[0][1]}, ${seen[1][1]}`);
+	r.stop();
+	assert.strictEqual(c.waiting, false);
+});
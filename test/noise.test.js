@@ -0,0 +1,76 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+
+// Deterministic sample points spread over several lattice cells
+const points = (n = 2000) => Array.from({ length: n }, (_, i) => [(i * 0.6180339887) % 37 - 18, (i * 0.4142135623) % 23 - 11, (i * 0.7320508075) % 5]);
+const range = (fn) => {
+	let lo = Infinity, hi = -Infinity;
+	for (const [x, y, z] of points()) { const v = fn(x, y, z); lo = Math.min(lo, v); hi = Math.max(hi, v); }
+	return [lo, hi];
+};
+
+test("octave variants stay in their documented ranges and actually vary", () => {
+	ray.noiseSeed(5);
+	const checks = [["fbm", ray.fbm, -1, 1], ["ridged", ray.ridged, 0, 1], ["turbulence", ray.turbulence, 0, 1], ["noise4", (x, y, z) => ray.noise4(x, y, z, x - y), -1, 1]];
+	for (const [name, fn, min, max] of checks) {
+		const [lo, hi] = range(fn);
+		assert.ok(lo >= min && hi <= max, `${name} ${lo}..${hi}`);
+		assert.ok(hi - lo > (max - min) * 0.25, `${name} spans ${lo}..${hi}`);
+	}
+});
+
+test("one octave of fbm is noise itself, and warp with no strength is fbm", () => {
+	ray.noiseSeed(6);
+	for (const [x, y, z] of points(50)) {
+		assert.strictEqual(ray.fbm(x, y, z, { octaves: 1 }), ray.noise(x, y, z));
+		assert.strictEqual(ray.warp(x, y, { strength: 0, z, octaves: 3 }), ray.fbm(x, y, z, { octaves: 3 }));
+	}
+	assert.notStrictEqual(ray.warp(1.3, 2.7), ray.fbm(1.3, 2.7));
+});
+
+test("everything is continuous, including across lattice cells", () => {
+	ray.noiseSeed(7);
+	const fns = [ray.noise, ray.fbm, ray.ridged, ray.turbulence, (x, y, z) => ray.noise4(x, y, z, 0.5), (x, y) => ray.warp(x, y)];
+	for (const fn of fns) {
+		for (const [x, y, z] of [[0.9999, 0.3, 0.2], [2, 2, 2], [-1e-4, 5.5, 1]]) {
+			assert.ok(Math.abs(fn(x, y, z) - fn(x + 2e-4, y, z)) < 0.01, `${fn.name || "fn"} at ${x}`);
+		}
+	}
+});
+
+test("the toolkit follows noiseSeed", () => {
+	const sample = () => [ray.fbm(1.1, 2.2), ray.ridged(3.3, 4.4), ray.warp(0.5, 0.7), ray.curl(1.5, 2.5, 0.3), ray.loopNoise(0.2, 0.4, 0.3)];
+	ray.noiseSeed(8);
+	const a = sample();
+	ray.noiseSeed(8);
+	assert.deepStrictEqual(sample(), a);
+	ray.noiseSeed(9);
+	assert.notDeepStrictEqual(sample(), a);
+});
+
+test("curl is divergence-free", () => {
+	ray.noiseSeed(10);
+	const h = 1e-3;
+	for (const [x, y, z] of points(40)) {
+		const div = (ray.curl(x + h, y, z)[0] - ray.curl(x - h, y, z)[0]) / (2 * h)
+			+ (ray.curl(x, y + h, z)[1] - ray.curl(x, y - h, z)[1]) / (2 * h);
+		const dx = (ray.curl(x + h, y, z)[1] - ray.curl(x - h, y, z)[1]) / (2 * h);
+		assert.ok(Math.abs(div) < 1e-3 * Math.max(1, Math.abs(dx)), `div ${div} at ${x}, ${y}`);
+	}
+	const [vx, vy] = ray.curl(0.37, 0.61, 0);
+	const n = (x, y) => ray.noise(x, y, 0);
+	assert.ok(Math.abs(vx - (n(0.37, 0.61 + 1e-5) - n(0.37, 0.61 - 1e-5)) / 2e-5) < 1e-3);
+	assert.ok(Math.abs(vy + (n(0.37 + 1e-5, 0.61) - n(0.37 - 1e-5, 0.61)) / 2e-5) < 1e-3);
+});
+
+test("loopNoise closes its loop and moves along it", () => {
+	ray.noiseSeed(11);
+	for (const [x, y] of points(30)) {
+		assert.ok(Math.abs(ray.loopNoise(x, y, 0, 1.5) - ray.loopNoise(x, y, 1, 1.5)) < 1e-12);
+		assert.ok(Math.abs(ray.loopNoise(x, y, 0.999) - ray.loopNoise(x, y, 0)) < 0.05);
+	}
+	const phases = Array.from({ length: 20 }, (_, i) => ray.loopNoise(3.3, 1.1, i / 20, 2));
+	assert.ok(Math.max(...phases) - Math.min(...phases) > 0.2);
+});
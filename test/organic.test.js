@@ -0,0 +1,81 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, pixels, skip } = require("./helpers/canvas.js");
+
+const SIZE = 100, SEED = 3.7, COMPLEXITY = 0.03;
+const field = (r, x, y) => r.noise((x + 0.5) * COMPLEXITY + SEED, (y + 0.5) * COMPLEXITY + SEED);
+// Pixels clearly inside or outside the iso-line, with how each one should come out
+const clearPixels = (r, level, margin = 0.08) => {
+	const out = [];
+	for (let y = 0; y < SIZE; y += 3) {
+		for (let x = 0; x < SIZE; x += 3) {
+			const v = field(r, x, y);
+			if (Math.abs(v - level) > margin) out.push([x, y, v > level]);
+		}
+	}
+	return out;
+};
+
+test("fills exactly where the noise field exceeds the threshold", { skip }, () => {
+	for (const step of [2, 6]) {
+		const r = make(SIZE, SIZE).noiseSeed(5).organic(SEED, COMPLEXITY, "#000000", 0.1, { step });
+		const px = pixels(r);
+		const checks = clearPixels(r, 0.1);
+		assert.ok(checks.some(c => c[2]) && checks.some(c => !c[2]), "the field crosses the threshold");
+		for (const [x, y, inside] of checks) assert.strictEqual(px[(y * SIZE + x) * 4 + 3], inside ? 255 : 0, `step ${step} at ${x},${y}`);
+	}
+});
+
+test("edges are antialiased, not blocky", { skip }, () => {
+	const px = pixels(make(SIZE, SIZE).noiseSeed(5).organic(SEED, COMPLEXITY, "#000000", 0.1));
+	let partial = 0;
+	for (let i = 3; i < px.length; i += 4) if (px[i] > 0 && px[i] < 255) partial++;
+	assert.ok(partial > 50, `${partial} partial pixels`);
+});
+
+test("levels stack bands, one color each", { skip }, () => {
+	const r = make(SIZE, SIZE).noiseSeed(5).organic(SEED, COMPLEXITY, ["#ff0000", "#0000ff"], 0, { levels: [0, 0.2], step: 2 });
+	let seen = 0;
+	for (const [x, y] of clearPixels(r, 0, 0.05)) {
+		const v = field(r, x, y);
+		if (Math.abs(v - 0.2) < 0.05) continue;
+		const expected = v > 0.2 ? [0, 0, 255, 255] : v > 0 ? [255, 0, 0, 255] : [0, 0, 0, 0];
+		assert.deepStrictEqual(pixel(r, x, y), expected, `at ${x},${y} (${v.toFixed(2)})`);
+		seen |= expected[0] ? 1 : expected[2] ? 2 : 4;
+	}
+	assert.strictEqual(seen, 7, "all three bands present");
+});
+
+test("lines trace the contour and leave the inside empty", { skip }, () => {
+	const r = make(SIZE, SIZE).noiseSeed(5).organic(SEED, COMPLEXITY, "#000000", 0.1, { lines: true, lineWidth: 2, step: 2 });
+	for (const [x, y] of clearPixels(r, 0.1, 0.1)) assert.strictEqual(pixel(r, x, y)[3], 0, `at ${x},${y}`);
+	const px = pixels(r);
+	let inked = 0;
+	for (let i = 3; i < px.length; i += 4) if (px[i]) inked++;
+	assert.ok(inked > 100 && inked < SIZE * SIZE * 0.3, `${inked} inked`);
+});
+
+test("soft fades alpha across the threshold", { skip }, () => {
+	const r = make(SIZE, SIZE).noiseSeed(5).organic(SEED, COMPLEXITY, "#000000", 0.1, { soft: 0.1, step: 2 });
+	const px = pixels(r);
+	const byValue = [];
+	for (let y = 0; y < SIZE; y += 2) for (let x = 0; x < SIZE; x += 2) byValue.push([field(r, x, y), px[(y * SIZE + x) * 4 + 3]]);
+	for (const [v, a] of byValue) {
+		if (v > 0.25) assert.ok(a > 245, `${v} -> ${a}`);
+		if (v < -0.05) assert.ok(a < 10, `${v} -> ${a}`);
+	}
+	const mid = byValue.filter(([v]) => Math.abs(v - 0.1) < 0.02);
+	assert.ok(mid.length && mid.every(([, a]) => a > 60 && a < 195), JSON.stringify(mid.slice(0, 5)));
+});
+
+test("SVG output emits one contour path per level", { skip }, () => {
+	const r = make(SIZE, SIZE, { backend: "svg" }).noiseSeed(5).organic(SEED, COMPLEXITY, ["#ff0000", "#0000ff"], 0, { levels: [0, 0.2] });
+	const paths = [...r.toSVG().matchAll(/<path d="([^"]+)"[^>]*fill="([^"]+)"/g)];
+	assert.deepStrictEqual(paths.map(m => m[2]), ["#ff0000", "#0000ff"]);
+	for (const [, d] of paths) {
+		assert.match(d, /^(M[-\d. ]+(L[-\d. ]+)+z)+$/);
+		// Every ring closes
+		assert.strictEqual(d.split("M").length - 1, d.split("z").length - 1);
+	}
+});
@@ -0,0 +1,115 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const close = (a, b, tol = 1e-3) => Math.abs(a - b) <= tol;
+const every = (p, fn) => Array.from({ length: p.count }, (_, i) => fn(i)).every(Boolean);
+
+test("a seeded system replays exactly and leaves ray.random alone", { skip }, () => {
+	const r = make(100, 100).seed(1);
+	const run = () => {
+		const p = r.particles({ count: 50, seed: 3, life: [100, 300], emitter: { x: 50, y: 50, speed: [10, 40] }, forces: [{ type: "flow" }, { type: "drag" }] });
+		for (let i = 0; i < 20; i++) p.update(16);
+		return [Array.from(p.x), Array.from(p.y)];
+	};
+	const expected = r.random();
+	r.seed(1);
+	const a = run();
+	assert.strictEqual(r.random(), expected, "updates draw from the system's own stream");
+	assert.deepStrictEqual(run(), a);
+});
+
+test("emitters place particles in a point, disc or rect with the given velocity", { skip }, () => {
+	const r = make(100, 100);
+	const point = r.particles({ count: 20, seed: 1, emitter: { x: 10, y: 20, speed: 5, angle: Math.PI / 2 } });
+	assert.ok(every(point, i => point.x[i] === 10 && point.y[i] === 20 && close(point.vx[i], 0) && close(point.vy[i], 5)));
+	const disc = r.particles({ count: 200, seed: 1, emitter: { x: 50, y: 50, radius: 10 } });
+	assert.ok(every(disc, i => Math.hypot(disc.x[i] - 50, disc.y[i] - 50) <= 10 + 1e-4));
+	const rect = r.particles({ count: 200, seed: 1, emitter: { x: 5, y: 60, w: 30, h: 10, speed: [1, 2] } });
+	assert.ok(every(rect, i => rect.x[i] >= 5 && rect.x[i] <= 35 && rect.y[i] >= 60 && rect.y[i] <= 70));
+	assert.ok(every(rect, i => Math.hypot(rect.vx[i], rect.vy[i]) >= 1 - 1e-4 && Math.hypot(rect.vx[i], rect.vy[i]) <= 2 + 1e-4));
+	const anywhere = r.particles({ count: 200, seed: 1 });
+	assert.ok(every(anywhere, i => anywhere.x[i] >= 0 && anywhere.x[i] <= 100 && anywhere.y[i] >= 0 && anywhere.y[i] <= 100));
+	const custom = r.particles({ count: 3, emitter: (i) => ({ x: i, y: i * 2, vx: 1 }) });
+	assert.deepStrictEqual([Array.from(custom.y), Array.from(custom.vx)], [[0, 2, 4], [1, 1, 1]]);
+});
+
+test("gravity, drag and attract change velocities as documented", { skip }, () => {
+	const r = make(100, 100);
+	const still = { x: 50, y: 50 };
+	const fall = r.particles({ count: 1, emitter: still, forces: [{ type: "gravity" }] });
+	for (let i = 0; i < 10; i++) fall.update(100);
+	assert.ok(close(fall.vy[0], 300) && fall.vx[0] === 0);
+	const slow = r.particles({ count: 1, emitter: { ...still, speed: 100, angle: 0 }, forces: [{ type: "drag", amount: 2 }] });
+	slow.update(500);
+	assert.ok(close(slow.vx[0], 100 * Math.exp(-1), 1e-3));
+	const pull = r.particles({ count: 2, emitter: (i) => ({ x: i ? 90 : 30, y: 50 }), forces: [{ type: "attract", x: 50, y: 50, radius: 30, strength: 100 }] });
+	pull.update(100);
+	assert.ok(pull.vx[0] > 0, "inside the radius: pulled in");
+	assert.strictEqual(pull.vx[1], 0, "outside the radius: untouched");
+	const push = r.particles({ count: 1, emitter: { x: 30, y: 50 }, forces: [{ type: "attract", x: 50, y: 50, strength: -100 }] });
+	push.update(100);
+	assert.ok(push.vx[0] < 0);
+});
+
+test("bounds wrap, bounce or respawn", { skip }, () => {
+	const r = make(100, 100);
+	const opts = mode => ({ count: 1, trail: 4, emitter: { x: 95, y: 50, speed: 100, angle: 0 }, forces: [{ type: "bounds", mode, area: [0, 0, 100, 100] }] });
+	const wrap = r.particles(opts("wrap"));
+	wrap.update(100);
+	assert.ok(close(wrap.x[0], 5));
+	assert.strictEqual(wrap.path(0).length, 1, "the wrap cuts the trail");
+	const bounce = r.particles(opts("bounce"));
+	bounce.update(100);
+	assert.ok(bounce.x[0] === 100 && bounce.vx[0] === -100);
+	const respawn = r.particles(opts("respawn"));
+	respawn.update(100);
+	assert.ok(respawn.x[0] === 95 && respawn.vx[0] > 0);
+});
+
+test("lifetimes respawn particles and trails keep the newest points", { skip }, () => {
+	const r = make(100, 100);
+	const p = r.particles({ count: 1, trail: 3, life: 50, emitter: { x: 0, y: 0, speed: 100, angle: 0 } });
+	p.update(20);
+	p.update(20);
+	assert.ok(close(p.x[0], 4) && close(p.age[0], 40));
+	p.update(20);
+	p.update(20);
+	assert.deepStrictEqual(p.path(0).map(([x]) => Math.round(x * 1000) / 1000), [0, 2], "respawned at 60ms, then one step");
+	for (let i = 0; i < 2; i++) p.update(10);
+	assert.deepStrictEqual(p.path(0).map(([x]) => Math.round(x * 1000) / 1000), [2, 3, 4], "only `trail` points are kept");
+	const noTrail = r.particles({ count: 1, emitter: { x: 0, y: 0, speed: 100, angle: 0 } });
+	assert.deepStrictEqual(noTrail.path(0), [[0, 0]]);
+	noTrail.update(10);
+	assert.deepStrictEqual(noTrail.path(0).map(pt => pt.map(Math.round)), [[0, 0], [1, 0]]);
+	noTrail.cut(0);
+	assert.strictEqual(noTrail.path(0).length, 1);
+});
+
+test("custom forces: functions, registered types, and unknown types", { skip }, () => {
+	const r = make(100, 100);
+	r.forces.spin = (p, f, h) => { for (let i = 0; i < p.count; i++) p.vx[i] += f.by * h; };
+	const p = r.particles({ count: 2, emitter: { x: 10, y: 10 }, forces: [{ type: "spin", by: 10 }, (sys, h) => { sys.vy[0] += h; }] });
+	p.update(1000);
+	assert.deepStrictEqual([p.vx[0], p.vx[1], p.vy[0], p.vy[1]], [10, 10, 1, 0]);
+	p.forces.push({ type: "nope" });
+	assert.throws(() => p.update(16), /unknown force "nope"/);
+	delete r.forces.spin;
+});
+
+test("draws as dots, trails or through a brush", { skip }, () => {
+	const r = make(40, 40);
+	const p = r.particles({ count: 1, trail: 4, emitter: { x: 10, y: 20, speed: 200, angle: 0 } });
+	p.draw("dots", "#ff0000", 3, { alpha: 1 });
+	assert.deepStrictEqual(pixel(r, 10, 20), [255, 0, 0, 255]);
+	r.clear();
+	for (let i = 0; i < 3; i++) p.update(50);
+	p.draw("trails", (i) => (i === 0 ? "#0000ff" : "#000000"), 3);
+	assert.deepStrictEqual(pixel(r, 25, 20), [0, 0, 255, 255]);
+	assert.strictEqual(pixel(r, 5, 20)[3], 0);
+	r.clear();
+	p.draw("marker", "#000000", 4);
+	assert.ok(pixel(r, 25, 20)[3] > 0);
+	assert.throws(() => p.draw("sparkles"), /can't draw as "sparkles"/);
+});
@@ -0,0 +1,82 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, pixel, pixels, skip } = require("./helpers/canvas.js");
+
+const RED = [255, 0, 0, 255], WHITE = [255, 255, 255, 255];
+
+test("the builder records plain JSON segments", () => {
+	const b = ray.path().moveTo(0, 0).lineTo(10, 0).quadTo(15, 5, 10, 10).bezierTo(8, 12, 2, 12, 0, 10).arc(5, 5, 2).close();
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(b.segments)), [
+		["M", 0, 0], ["L", 10, 0], ["Q", 15, 5, 10, 10], ["C", 8, 12, 2, 12, 0, 10], ["A", 5, 5, 2, 0, Math.PI * 2, false], ["Z"],
+	]);
+});
+
+test("splines pass through their points with matching tangents", () => {
+	const pts = [[0, 0], [10, 5], [20, 0], [30, 10]];
+	const segs = ray.spline(pts).segments;
+	assert.deepStrictEqual(segs[0], ["M", 0, 0]);
+	assert.strictEqual(segs.length, 4);
+	segs.slice(1).forEach((s, i) => assert.deepStrictEqual([s[0], s[5], s[6]], ["C", ...pts[i + 1]]));
+	// C1 at every inner point: incoming and outgoing handles mirror each other
+	for (let i = 1; i < segs.length - 1; i++) {
+		const [x, y] = [segs[i][5], segs[i][6]];
+		const inH = [x - segs[i][3], y - segs[i][4]], outH = [segs[i + 1][1] - x, segs[i + 1][2] - y];
+		assert.ok(Math.abs(inH[0] - outH[0]) < 1e-9 && Math.abs(inH[1] - outH[1]) < 1e-9, `joint ${i}`);
+	}
+	// Tension 0 gives straight segments
+	const flat = ray.spline(pts, { tension: 0 }).segments;
+	flat.slice(1).forEach((s, i) => assert.deepStrictEqual([s[1], s[2], s[3], s[4]], [...pts[i], ...pts[i + 1]]));
+	const closed = ray.spline(pts, { closed: true }).segments;
+	assert.strictEqual(closed.length, 6);
+	assert.deepStrictEqual(closed[4].slice(5), pts[0]);
+	assert.deepStrictEqual(closed[5], ["Z"]);
+	assert.deepStrictEqual(ray.spline([[1, 1]]).segments, []);
+});
+
+test("builder and segment-list forms draw the same pixels", { skip }, () => {
+	const a = make(40, 40).cls("#ffffff"), b = make(40, 40).cls("#ffffff");
+	const builder = a.path().moveTo(5, 5).lineTo(35, 5).quadTo(40, 20, 35, 35).lineTo(5, 35).close();
+	assert.strictEqual(builder.fill("#ff0000", "#0000ff", 2), a);
+	b.path(builder.segments, "#ff0000", "#0000ff", 2);
+	assert.deepStrictEqual(pixels(a), pixels(b));
+	assert.deepStrictEqual(pixel(a, 20, 20), RED);
+	a.cls("#ffffff").path().arc(20, 20, 10).fill("#ff0000");
+	assert.deepStrictEqual(pixel(a, 20, 20), RED);
+	assert.deepStrictEqual(pixel(a, 20, 32), WHITE);
+	a.cls("#ffffff").path().moveTo(0, 20).lineTo(40, 20).stroke("#ff0000", 4);
+	assert.deepStrictEqual(pixel(a, 20, 20), RED);
+	assert.deepStrictEqual(pixel(a, 20, 25), WHITE);
+});
+
+test("clipPath and builder clip() confine drawing until clipReset", { skip }, () => {
+	const r = make(40, 40).cls("#ffffff");
+	r.clipPath([["A", 20, 20, 10, 0, Math.PI * 2]]).rect(0, 0, 40, 40, "#ff0000").clipReset();
+	assert.deepStrictEqual(pixel(r, 20, 20), RED);
+	assert.deepStrictEqual(pixel(r, 2, 2), WHITE);
+	r.rect(0, 0, 4, 4, "#000000");
+	assert.deepStrictEqual(pixel(r, 2, 2), [0, 0, 0, 255]);
+	r.spline([[0, 0], [40, 0], [40, 40]], { closed: true, tension: 0 }).clip();
+	r.rect(0, 0, 40, 40, "#0000ff").clipReset();
+	assert.deepStrictEqual(pixel(r, 35, 5), [0, 0, 255, 255]);
+	assert.deepStrictEqual(pixel(r, 5, 35), WHITE);
+});
+
+test("blobs are seeded, irregular and stay near their radius", { skip }, () => {
+	// The edge follows noise at `seed` plus a little jitter from the instance PRNG
+	const draw = seed => pixels(make(80, 80).seed(9).blob(40, 40, 20, seed, "#000000"));
+	assert.deepStrictEqual(draw(1), draw(1));
+	assert.notDeepStrictEqual(draw(1), draw(2));
+	const px = draw(3);
+	let inked = 0, far = 0;
+	for (let y = 0; y < 80; y++) {
+		for (let x = 0; x < 80; x++) {
+			if (px[(y * 80 + x) * 4 + 3] === 0) continue;
+			inked++;
+			if (Math.hypot(x - 40, y - 40) > 30) far++;
+		}
+	}
+	const disc = Math.PI * 20 * 20;
+	assert.ok(inked > disc * 0.6 && inked < disc * 1.6 && far === 0, `${inked} inked, ${far} far`);
+});
@@ -0,0 +1,87 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, skip } = require("./helpers/canvas.js");
+
+const W = 150, H = 110;
+const data = out => out.ctx.getImageData(0, 0, W, H).data;
+
+// Random placement, noise, a grid and a brush, all crossing tile edges
+const art = (r) => {
+	r.cls("#f4efe6").grid("hex", 14, "rgba(40, 60, 90, 0.4)");
+	for (let i = 0; i < 12; i++) r.circle(r.random(W), r.random(H), r.random(6, 20), r.color.hsl(r.random(360), 0.6, 0.5));
+	for (let x = 4; x < W; x += 6) r.line(x, 55 + r.noise(x * 0.05) * 40, x + 6, 55 + r.noise((x + 6) * 0.05) * 40, "#202020", 2);
+	for (let x = 10; x < W - 10; x += 8) r.brush(x, 90, x - 8, 88, 0.7, "#803020");
+};
+
+// Skia antialiases an edge a little differently depending on where the tile origin falls, so
+// mixed art is compared within that noise; misplaced content differs on thousands of values
+const compare = (a, b) => {
+	let off = 0, sum = 0;
+	for (let i = 0; i < a.length; i++) {
+		const d = Math.abs(a[i] - b[i]);
+		sum += d;
+		if (d > 24) off++;
+	}
+	return { off, mean: sum / a.length };
+};
+
+test("tiles of two sizes meet seamlessly", { skip }, () => {
+	const r = make(40, 40);
+	const a = data(r.renderAt(W, H, art, { seed: 11, tileSize: 32 }));
+	const b = data(r.renderAt(W, H, art, { seed: 11, tileSize: 48 }));
+	const { off, mean } = compare(a, b);
+	assert.ok(off < 20 && mean < 0.5, `${off} values off, mean diff ${mean}`);
+	// Around the 32px and 48px seams
+	for (const x of [31, 32, 47, 48, 95, 96]) {
+		const column = (d) => Array.from({ length: H }, (_, y) => d.subarray((y * W + x) * 4, (y * W + x) * 4 + 4)).flatMap(p => [...p]);
+		const seam = compare(column(a), column(b));
+		assert.ok(seam.off < 4 && seam.mean < 2, `column ${x}: ${seam.off} values off, mean diff ${seam.mean}`);
+	}
+});
+
+test("pixel-aligned art is identical whatever the tile size", { skip }, () => {
+	const blocks = (r) => {
+		r.cls("#ffffff");
+		for (let i = 0; i < 40; i++) {
+			const x = Math.floor(r.random(W - 20)), y = Math.floor(r.random(H - 20));
+			const h = 4 + Math.floor((r.noise(x * 0.1, y * 0.1) + 1) * 10);
+			r.rect(x, y, 17, h, r.color.hsl(Math.floor(r.random(360)), 0.7, 0.5));
+		}
+	};
+	const r = make(40, 40);
+	const whole = data(r.renderAt(W, H, blocks, { seed: 3 }));
+	assert.deepStrictEqual(data(r.renderAt(W, H, blocks, { seed: 3, tileSize: 32 })), whole);
+	assert.deepStrictEqual(data(r.renderAt(W, H, blocks, { seed: 3, tileSize: 20 })), whole);
+});
+
+test("padded tiles let filters cross seams", { skip }, () => {
+	const blurred = r => { art(r); r.filter("blur", { radius: 3 }); };
+	const r = make(40, 40);
+	const whole = data(r.renderAt(W, H, blurred, { seed: 2 }));
+	const tiled = data(r.renderAt(W, H, blurred, { seed: 2, tileSize: 48, pad: 12 }));
+	let worst = 0;
+	for (let i = 0; i < whole.length; i++) worst = Math.max(worst, Math.abs(whole[i] - tiled[i]));
+	assert.ok(worst <= 1, `max diff ${worst}`);
+});
+
+test("the default seed follows ray.seed", { skip }, () => {
+	const r = make(40, 40);
+	const a = data(r.seed(7).renderAt(W, H, art, { tileSize: 64 }));
+	const b = data(r.seed(7).renderAt(W, H, art, { tileSize: 64 }));
+	const c = data(r.seed(8).renderAt(W, H, art, { tileSize: 64 }));
+	assert.deepStrictEqual(b, a);
+	assert.notDeepStrictEqual(c, a);
+});
+
+test("scale sets drawing units and the live canvas state comes back", { skip }, () => {
+	const r = make(40, 30);
+	const seen = [];
+	const tiles = [];
+	const out = r.renderAt(200, 100, () => seen.push([r.width, r.height]), { scale: 2, tileSize: 128, onTile: (t, x, y) => tiles.push([x, y, t.canvas.width, t.canvas.height]) });
+	assert.strictEqual(out, null);
+	assert.deepStrictEqual(seen, [[100, 50], [100, 50]]);
+	assert.deepStrictEqual(tiles, [[0, 0, 128, 100], [128, 0, 72, 100]]);
+	assert.deepStrictEqual([r.width, r.height], [40, 30]);
+	assert.strictEqual(r.ctx.canvas.width, 40);
+});
@@ -0,0 +1,68 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixels, skip } = require("./helpers/canvas.js");
+
+// Elements of a given tag as attribute maps, in document order
+const elements = (svg, tag) => [...svg.matchAll(new RegExp(`<${tag}\\b([^>]*?)/?>`, "g"))].map(m => Object.fromEntries([...m[1].matchAll(/([\w:-]+)="([^"]*)"/g)].map(a => [a[1], a[2]])));
+
+test("primitives become SVG elements with their styles and transforms", { skip }, () => {
+	const r = make(100, 80);
+	const svg = r.toSVG(() => {
+		r.cls("#ffffff").rect(10, 10, 20, 10, "#ff0000", "#000000").circle(50, 40, 8, "rgba(0, 0, 255, 0.5)");
+		r.push().translate(5, 5).poly(70, 20, 10, 4, 0, "#00ff00").pop();
+		r.line(0, 0, 100, 80, "#333333", 2);
+	});
+	assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"[^>]* width="100" height="80" viewBox="0 0 100 80">/);
+	assert.match(svg, /<\/svg>\s*$/);
+	assert.deepStrictEqual(elements(svg, "rect"), [
+		{ x: "0", y: "0", width: "100", height: "80", fill: "#ffffff" },
+		{ x: "10", y: "10", width: "20", height: "10", fill: "#ff0000", stroke: "#000000", "stroke-width": "1" },
+	]);
+	assert.deepStrictEqual(elements(svg, "circle"), [{ cx: "50", cy: "40", r: "8", fill: "rgba(0, 0, 255, 0.5)" }]);
+	assert.deepStrictEqual(elements(svg, "polygon"), [{ points: "80,20 70,30 60,20 70,10", transform: "matrix(1 0 0 1 5 5)", fill: "#00ff00" }]);
+	assert.strictEqual(elements(svg, "line")[0]["stroke-width"], "2");
+});
+
+test("clips become clipPath groups and blend modes mix-blend-mode", { skip }, () => {
+	const r = make(100, 80);
+	const svg = r.toSVG(() => {
+		r.mode("multiply").shape([[0, 70], [20, 60], [40, 78]], "#123456").mode("source-over");
+		r.clipStart().circle(50, 40, 20).clipEnd().rect(0, 0, 100, 80, "#abcdef").clipReset();
+	});
+	assert.strictEqual(elements(svg, "polygon")[0].style, "mix-blend-mode:multiply");
+	assert.match(svg, /<clipPath id="([\w-]+)"><circle cx="50" cy="40" r="20"\/><\/clipPath>[\s\S]*<g clip-path="url\(#\1\)">\s*<rect [^>]*fill="#abcdef"\/>\s*<\/g>/);
+});
+
+test("modes SVG cannot express are drawn source-over and diagnosed", { skip }, () => {
+	const r = make(20, 20);
+	const svg = r.toSVG(() => r.mode("destination-out").rect(0, 0, 5, 5, "#000000").mode("source-over"));
+	assert.ok(!/mix-blend-mode/.test(svg));
+	const [d] = r.diagnostics();
+	assert.deepStrictEqual([d.level, d.call, d.args], ["warning", "mode", ["destination-out"]]);
+});
+
+test("brushes are embedded as PNG and the canvas is left untouched", { skip }, () => {
+	const r = make(60, 40).cls("#102030");
+	const before = pixels(r);
+	const svg = r.toSVG(() => r.rect(0, 0, 10, 10, "#ffffff").brush(10, 30, 40, 32, 0.8, "#884422"));
+	const [image] = elements(svg, "image");
+	assert.match(image["xlink:href"], /^data:image\/png;base64,iVBORw0KGgo/);
+	assert.deepStrictEqual([image.width, image.height], ["60", "40"]);
+	assert.deepStrictEqual(pixels(r), before);
+});
+
+test("an opaque cls() starts the svg backend's document over", { skip }, () => {
+	const r = make(60, 40, { backend: "svg" });
+	const sizes = [];
+	for (let i = 0; i < 5; i++) {
+		r.cls("#000000").circle(10 + i, 10, 5, "#ff0000");
+		sizes.push(r.toSVG().length);
+	}
+	assert.strictEqual(new Set(sizes).size, 1);
+	assert.strictEqual(elements(r.toSVG(), "circle").length, 1);
+	// Translucent cls() fades over what is there instead
+	r.cls("rgba(0, 0, 0, 0.2)");
+	assert.strictEqual(elements(r.toSVG(), "circle").length, 1);
+	assert.strictEqual(elements(r.toSVG(), "rect").length, 2);
+});
@@ -0,0 +1,48 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const { make, pixel, skip } = require("./helpers/canvas.js");
+
+const RED = [255, 0, 0, 255], WHITE = [255, 255, 255, 255];
+
+test("translate, scale and rotate compose in CSS pixels on top of the DPR", { skip }, () => {
+	const r = make(20, 20, { dpr: 2 }).cls("#ffffff");
+	assert.strictEqual(r.ctx.canvas.width, 40);
+	r.push().translate(10, 0).scale(2).rect(0, 0, 2, 2, "#ff0000").pop();
+	// CSS rect 10..14 is device 20..28
+	assert.deepStrictEqual(pixel(r, 21, 1), RED);
+	assert.deepStrictEqual(pixel(r, 27, 7), RED);
+	assert.deepStrictEqual(pixel(r, 29, 1), WHITE);
+	assert.deepStrictEqual(pixel(r, 19, 1), WHITE);
+	r.push().translate(10, 10).rotate(Math.PI / 2).rect(0, 0, 5, 2, "#0000ff").pop();
+	// A quarter turn maps +x onto +y: CSS x 8..10, y 10..15
+	assert.deepStrictEqual(pixel(r, 18, 28), [0, 0, 255, 255]);
+	assert.deepStrictEqual(pixel(r, 24, 24), WHITE);
+});
+
+test("push/pop nest and origin() resets to the base transform", { skip }, () => {
+	const r = make(20, 20).cls("#ffffff");
+	r.push().translate(5, 5).push().translate(5, 5).rect(0, 0, 1, 1, "#ff0000").pop().rect(0, 0, 1, 1, "#00ff00").pop();
+	r.rect(1, 1, 1, 1, "#0000ff");
+	assert.deepStrictEqual(pixel(r, 10, 10), RED);
+	assert.deepStrictEqual(pixel(r, 5, 5), [0, 255, 0, 255]);
+	assert.deepStrictEqual(pixel(r, 1, 1), [0, 0, 255, 255]);
+	r.translate(3, 3).scale(4).origin(10, 0).rect(0, 0, 2, 2, "#ff0000").origin();
+	assert.deepStrictEqual(pixel(r, 11, 1), RED);
+	assert.deepStrictEqual(pixel(r, 13, 1), WHITE);
+	// A pop without a push keeps the transform
+	r.translate(2, 0).pop().rect(0, 4, 1, 1, "#000000").origin();
+	assert.deepStrictEqual(pixel(r, 2, 4), [0, 0, 0, 255]);
+});
+
+test("the transform carries into layers and cls covers the whole target anyway", { skip }, () => {
+	const r = make(20, 20, { dpr: 2 });
+	r.translate(10, 10).rotate(0.7);
+	r.cls("#ffffff");
+	for (const [x, y] of [[0, 0], [39, 0], [0, 39], [39, 39]]) assert.deepStrictEqual(pixel(r, x, y), WHITE);
+	r.origin().translate(15, 15);
+	r.layer("a", () => r.rect(0, 0, 2, 2, "#ff0000"));
+	r.origin().composite();
+	assert.deepStrictEqual(pixel(r, 31, 31), RED);
+	assert.deepStrictEqual(pixel(r, 29, 29), WHITE);
+});
@@ -0,0 +1,87 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const ray = require("../ray.js");
+const { make, pixels, skip } = require("./helpers/canvas.js");
+
+// Inked pixel count and alpha-weighted centroid
+const ink = (data, w) => {
+	let n = 0, a = 0, sx = 0, sy = 0;
+	for (let i = 0; i < data.length / 4; i++) {
+		const v = data[i * 4 + 3];
+		if (v > 8) n++;
+		a += v; sx += (i % w) * v; sy += Math.floor(i / w) * v;
+	}
+	return { n, x: sx / a, y: sy / a };
+};
+const stroke = (r, fn = "wet") => { for (let x = 30; x <= 70; x += 5) r[fn](x, 50, x - 5, 50, 1, "#0000ff"); return r; };
+const settle = (r, ms = 50, limit = 400) => {
+	let steps = 0;
+	while (r.watercolor.wet && steps < limit) { r.watercolor.step(ms); steps++; }
+	return steps;
+};
+
+test("wet paint keeps spreading over steps, then dries", { skip }, () => {
+	const r = stroke(make(100, 100).seed(1).watercolor.enable());
+	assert.ok(r.watercolor.enabled && r.watercolor.wet);
+	const counts = [ink(pixels(r), 100).n];
+	for (let i = 0; i < 4; i++) { r.watercolor.step(50); counts.push(ink(pixels(r), 100).n); }
+	assert.ok(counts.every((n, i) => !i || n >= counts[i - 1]), counts.join(" "));
+	assert.ok(counts[4] > counts[0]);
+	const steps = settle(r);
+	assert.ok(!r.watercolor.wet && steps < 400, `${steps} steps`);
+	const dried = pixels(r).slice();
+	r.watercolor.step(50);
+	assert.deepStrictEqual(pixels(r), dried, "dry paint stays put");
+});
+
+test("dry() and disable() settle everything at once", { skip }, () => {
+	const r = stroke(make(100, 100).seed(1).watercolor.enable());
+	r.watercolor.dry();
+	assert.ok(!r.watercolor.wet && r.watercolor.enabled);
+	assert.ok(ink(pixels(r), 100).n > 1000);
+	stroke(r).watercolor.disable();
+	assert.ok(!r.watercolor.enabled && !r.watercolor.wet);
+	// Without the sim, wet strokes paint straight away
+	const before = ink(pixels(r), 100).n;
+	r.wet(20, 80, 10, 80, 1, "#ff0000");
+	assert.ok(ink(pixels(r), 100).n > before);
+	assert.strictEqual(ray.create().watercolor.enable().watercolor.enabled, false, "needs a canvas");
+});
+
+test("the same seed dries to the same picture", { skip }, () => {
+	const run = () => { const r = stroke(make(100, 100).seed(4).watercolor.enable()); settle(r); return pixels(r); };
+	assert.deepStrictEqual(run(), run());
+});
+
+test("gravity pulls the paint its way", { skip }, () => {
+	const centroid = (gravity) => { const r = stroke(make(100, 100).seed(1).watercolor.enable({ gravity })); settle(r); return ink(pixels(r), 100); };
+	const down = centroid([0, 1]), up = centroid([0, -1]), right = centroid(0), left = centroid(Math.PI);
+	assert.ok(down.y - up.y > 0.5, `${down.y} vs ${up.y}`);
+	assert.ok(right.x - left.x > 0.5, `${right.x} vs ${left.x}`);
+});
+
+test("the sim steps with its loop and dries into its layer", { skip }, () => {
+	const r = make(100, 100).seed(1).watercolor.enable({ layer: "paint", loop: "paint" });
+	stroke(r);
+	r.loop("other", () => {}, { manual: true });
+	r.step(200, "other");
+	assert.ok(r.watercolor.wet, "another loop does not step it");
+	r.loop("paint", () => {}, { manual: true });
+	for (let i = 0; i < 100 && r.watercolor.wet; i++) r.step(100, "paint");
+	r.stop();
+	assert.ok(!r.watercolor.wet);
+	r.layerSet("paint", { visible: false });
+	r.clear().composite();
+	assert.strictEqual(ink(pixels(r), 100).n, 0, "nothing landed on the canvas itself");
+	r.layerSet("paint", { visible: true }).composite();
+	assert.ok(ink(pixels(r), 100).n > 1000);
+});
+
+test("strokes inside another layer paint directly and skip the sim", { skip }, () => {
+	const r = make(100, 100).seed(1).watercolor.enable();
+	r.layer("direct", () => stroke(r));
+	assert.ok(!r.watercolor.wet);
+	r.composite();
+	assert.ok(ink(pixels(r), 100).n > 1000);
+});